@@ -0,0 +1,71 @@
+/**
+ * Minimal flag parser shared by the CLIs.
+ *
+ * Known flags are pulled out of the argument list wherever they appear and
+ * everything else is returned in order as positional arguments, so existing
+ * positional usage (and summarize.js's "-p <rest of line>" prompt) keeps working.
+ * An unknown "--" flag is an error rather than a positional, so a typo can't
+ * quietly become part of the object, fields or prompt; anything after a bare
+ * "--" is positional.
+ */
+function parseArgs(args, spec) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    const eqIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = eqIndex === -1 ? arg : arg.substring(0, eqIndex);
+    const type = spec[flag];
+
+    if (!type && flag.startsWith('--')) {
+      const valid = Object.keys(spec).filter(name => name.startsWith('--'));
+      throw new Error(`Unknown option ${flag} (valid options: ${valid.join(', ')})`);
+    }
+    if (!type) {
+      positional.push(arg);
+      continue;
+    }
+
+    const key = toOptionKey(flag);
+
+    if (type === 'boolean') {
+      options[key] = true;
+      continue;
+    }
+
+    let value;
+    if (eqIndex !== -1) {
+      value = arg.substring(eqIndex + 1);
+    } else {
+      value = args[i + 1];
+      i++;
+    }
+
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+
+    if (type === 'number') {
+      const parsed = Number(value);
+      if (Number.isNaN(parsed)) {
+        throw new Error(`${flag} must be a number (got "${value}")`);
+      }
+      options[key] = parsed;
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { options, positional };
+}
+
+function toOptionKey(flag) {
+  return flag.replace(/^-+/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+module.exports = { parseArgs };
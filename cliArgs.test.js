@@ -0,0 +1,29 @@
+const { parseArgs } = require('./cliArgs');
+
+describe('parseArgs', () => {
+  const spec = {
+    '--provider': 'string',
+    '--concurrency': 'number',
+    '--dry-run': 'boolean',
+    '-c': 'boolean'
+  };
+
+  it('should pull known flags out from anywhere and keep positionals in order', () => {
+    expect(parseArgs(['Survey__c', '--provider=openai', 'Comment__c', '--concurrency', '4', '-c', '--dry-run', 'Extract themes'], spec)).toEqual({
+      options: { provider: 'openai', concurrency: 4, c: true, dryRun: true },
+      positional: ['Survey__c', 'Comment__c', 'Extract themes']
+    });
+  });
+
+  it('should reject unknown and malformed flags', () => {
+    expect(() => parseArgs(['Survey__c', '--provder', 'openai'], spec))
+      .toThrow('Unknown option --provder (valid options: --provider, --concurrency, --dry-run)');
+    expect(() => parseArgs(['--dry-rn=true'], spec)).toThrow('Unknown option --dry-rn');
+    expect(() => parseArgs(['--concurrency', 'four'], spec)).toThrow('--concurrency must be a number (got "four")');
+    expect(() => parseArgs(['--provider'], spec)).toThrow('Missing value for --provider');
+  });
+
+  it('should treat everything after a bare -- as positional', () => {
+    expect(parseArgs(['-p', 'Summarize', '--', '--verbatim', 'text'], spec).positional).toEqual(['-p', 'Summarize', '--verbatim', 'text']);
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const { createObjectCsvWriter } = require('csv-writer');
+const { addInstructions } = require('./promptTemplate');
+
+/**
+ * Codebook classification: tag each response with zero or more codes from a
+ * fixed HR codebook, plus an "other/emergent" bucket for themes the codebook
+ * doesn't cover. Built on the structured output mode, so answers are
+ * validated (codes must come from the codebook) and re-prompted once when
+ * invalid.
+ */
+const OTHER_COLUMN = { id: 'codebook.other', title: 'Other/Emergent' };
+const EMERGENT_COLUMN = { id: 'codebook.emergent', title: 'Emergent Themes' };
+
+function pickColumn(row, names) {
+  const key = Object.keys(row).find(header => names.includes(header.trim().toLowerCase()));
+  return key ? (row[key] || '').trim() : '';
+}
+
+/**
+ * Read a codebook CSV with a code column plus optional label/name and
+ * definition/description columns. The first column is used as the code when
+ * there is no "code" header.
+ */
+async function loadCodebook(codebookPath) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+
+    fs.createReadStream(codebookPath)
+      .pipe(csv({
+        skipEmptyLines: true,
+        stripBOM: true
+      }))
+      .on('data', (row) => {
+        const code = pickColumn(row, ['code', 'id']) || (row[Object.keys(row)[0]] || '').trim();
+        if (!code) return;
+        entries.push({
+          code,
+          label: pickColumn(row, ['label', 'name', 'theme']) || code,
+          definition: pickColumn(row, ['definition', 'description'])
+        });
+      })
+      .on('end', () => {
+        if (entries.length === 0) {
+          reject(new Error(`Codebook ${codebookPath} has no codes`));
+          return;
+        }
+        const codes = entries.map(entry => entry.code);
+        const duplicate = codes.find((code, index) => codes.indexOf(code) !== index);
+        if (duplicate) {
+          reject(new Error(`Codebook ${codebookPath} lists code "${duplicate}" more than once`));
+          return;
+        }
+        resolve(entries);
+      })
+      .on('error', (error) => {
+        reject(error);
+      });
+  });
+}
+
+function codebookSchema(codebook) {
+  return {
+    type: 'object',
+    required: ['codes', 'emergent'],
+    additionalProperties: false,
+    properties: {
+      codes: { type: 'array', items: { type: 'string', enum: codebook.map(entry => entry.code) } },
+      emergent: { type: 'array', items: { type: 'string' } }
+    }
+  };
+}
+
+function buildCodebookPrompt(prompt, codebook) {
+  const lines = codebook.map(entry => {
+    const definition = entry.definition ? ` - ${entry.definition}` : '';
+    return `- ${entry.code}: ${entry.label}${definition}`;
+  });
+
+  return addInstructions(prompt, [
+    'Classify the text against this codebook. Put every code that applies in "codes" (an empty list if none apply). ' +
+      'Put short names for any themes the codebook does not cover in "emergent".',
+    'Codebook:',
+    ...lines
+  ].join('\n'), '\n');
+}
+
+function codebookColumns(codebook) {
+  return [
+    ...codebook.map(entry => ({ id: `codebook.${entry.code}`, title: entry.code })),
+    OTHER_COLUMN,
+    EMERGENT_COLUMN
+  ];
+}
+
+/**
+ * Turn a validated { codes, emergent } answer into one boolean column per
+ * code plus the other/emergent columns.
+ */
+function codebookFields(value, codebook) {
+  const fields = {};
+  codebook.forEach(entry => {
+    fields[`codebook.${entry.code}`] = value.codes.includes(entry.code) ? 'true' : 'false';
+  });
+  fields[OTHER_COLUMN.id] = value.emergent.length > 0 ? 'true' : 'false';
+  fields[EMERGENT_COLUMN.id] = value.emergent.join('; ');
+  return fields;
+}
+
+/**
+ * Count how many classified rows carry each code. Rows are raw results-file
+ * rows keyed by column title; rows without codebook values (errors, skipped)
+ * are left out of the denominator.
+ */
+function tallyCodebook(rows, codebook) {
+  const classified = rows.filter(row => row[OTHER_COLUMN.title] === 'true' || row[OTHER_COLUMN.title] === 'false');
+  const total = classified.length;
+  const count = (title) => classified.filter(row => row[title] === 'true').length;
+  const percent = (value) => (total === 0 ? 0 : Math.round((value / total) * 1000) / 10);
+
+  const tally = codebook.map(entry => {
+    const value = count(entry.code);
+    return { code: entry.code, label: entry.label, count: value, percent: percent(value) };
+  });
+  const other = count(OTHER_COLUMN.title);
+  tally.push({ code: OTHER_COLUMN.title, label: 'Themes outside the codebook', count: other, percent: percent(other) });
+
+  return { total, tally };
+}
+
+async function writeCodebookTally(filename, { total, tally }) {
+  const csvWriter = createObjectCsvWriter({
+    path: filename,
+    header: [
+      { id: 'code', title: 'Code' },
+      { id: 'label', title: 'Label' },
+      { id: 'count', title: 'Count' },
+      { id: 'percent', title: 'Percent' },
+      { id: 'total', title: 'Classified Responses' }
+    ]
+  });
+  await csvWriter.writeRecords(tally.map(entry => ({ ...entry, total })));
+}
+
+module.exports = {
+  loadCodebook,
+  codebookSchema,
+  buildCodebookPrompt,
+  codebookColumns,
+  codebookFields,
+  tallyCodebook,
+  writeCodebookTally
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCodebook, codebookSchema, buildCodebookPrompt, codebookColumns, codebookFields, tallyCodebook } = require('./codebook');
+const { validateAgainstSchema } = require('./structuredOutput');
+
+describe('codebook classification', () => {
+  let tmpDir;
+  const codebook = [
+    { code: 'RECOG', label: 'Recognition', definition: 'Being thanked or acknowledged' },
+    { code: 'LOAD', label: 'Workload', definition: '' }
+  ];
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should load codes, labels and definitions from a CSV', async () => {
+    const file = path.join(tmpDir, 'codebook.csv');
+    fs.writeFileSync(file, '﻿Code,Label,Definition\nRECOG,Recognition,Being thanked or acknowledged\nLOAD,Workload,\n');
+
+    expect(await loadCodebook(file)).toEqual(codebook);
+  });
+
+  it('should reject codebooks with duplicate codes', async () => {
+    const file = path.join(tmpDir, 'codebook.csv');
+    fs.writeFileSync(file, 'code\nRECOG\nRECOG\n');
+
+    await expect(loadCodebook(file)).rejects.toThrow(/"RECOG" more than once/);
+  });
+
+  it('should only accept codes from the codebook', () => {
+    const schema = codebookSchema(codebook);
+    expect(validateAgainstSchema({ codes: ['RECOG'], emergent: [] }, schema)).toEqual([]);
+    expect(validateAgainstSchema({ codes: ['PAY'], emergent: [] }, schema)[0]).toMatch(/\$\.codes\[0\]: must be one of/);
+  });
+
+  it('should list every code and definition in the prompt', () => {
+    const prompt = buildCodebookPrompt('Code this survey response', codebook);
+    expect(prompt).toContain('- RECOG: Recognition - Being thanked or acknowledged');
+    expect(prompt).toContain('- LOAD: Workload');
+  });
+
+  it('should write one boolean column per code plus the emergent bucket', () => {
+    expect(codebookColumns(codebook).map(column => column.title)).toEqual(['RECOG', 'LOAD', 'Other/Emergent', 'Emergent Themes']);
+    expect(codebookFields({ codes: ['LOAD'], emergent: ['Parking'] }, codebook)).toEqual({
+      'codebook.RECOG': 'false',
+      'codebook.LOAD': 'true',
+      'codebook.other': 'true',
+      'codebook.emergent': 'Parking'
+    });
+  });
+
+  it('should tally counts and percentages over classified rows only', () => {
+    const rows = [
+      { RECOG: 'true', LOAD: 'false', 'Other/Emergent': 'false' },
+      { RECOG: 'true', LOAD: 'true', 'Other/Emergent': 'true' },
+      { RECOG: 'false', LOAD: 'false', 'Other/Emergent': 'false' },
+      { RECOG: '', LOAD: '', 'Other/Emergent': '', 'LM Studio Response': 'Error: timeout' }
+    ];
+
+    const { total, tally } = tallyCodebook(rows, codebook);
+    expect(total).toBe(3);
+    expect(tally).toEqual([
+      { code: 'RECOG', label: 'Recognition', count: 2, percent: 66.7 },
+      { code: 'LOAD', label: 'Workload', count: 1, percent: 33.3 },
+      { code: 'Other/Emergent', label: 'Themes outside the codebook', count: 1, percent: 33.3 }
+    ]);
+  });
+});
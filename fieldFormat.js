@@ -0,0 +1,90 @@
+/**
+ * Turning Salesforce field values into the plain text sent to the model.
+ *
+ * Values are formatted by their describe type: booleans read as Yes/No,
+ * multi-select picklists as a list, compound fields as their parts, and
+ * rich text as plain text rather than raw HTML.
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Convert rich text area HTML to plain text, keeping line breaks for block
+ * elements and list items as "- " lines.
+ */
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr|blockquote)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|ul|ol|tr|blockquote)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Look up a possibly dotted field path (Owner.Department) on a record.
+ * REST results nest related records; Bulk and offline results use the
+ * dotted name as a flat key.
+ */
+function fieldValue(record, fieldName) {
+  if (!record) return undefined;
+  if (record[fieldName] !== undefined) return record[fieldName];
+
+  return fieldName.split('.').reduce((current, part) => {
+    if (current === null || current === undefined) return current;
+    const key = Object.keys(current).find(name => name.toLowerCase() === part.toLowerCase());
+    return key === undefined ? undefined : current[key];
+  }, record);
+}
+
+function formatFieldValue(value, metadata = {}) {
+  if (value === null || value === undefined) return '';
+
+  const type = metadata.type;
+  if (typeof value === 'boolean' || type === 'boolean') {
+    const text = String(value).toLowerCase();
+    if (text === 'true') return 'Yes';
+    if (text === 'false') return 'No';
+  }
+  if (typeof value === 'object') {
+    // Compound fields (address, geolocation) come back as objects
+    return Object.entries(value)
+      .filter(([key, part]) => key !== 'attributes' && part !== null && part !== undefined && part !== '')
+      .map(([, part]) => String(part))
+      .join(', ');
+  }
+  if (metadata.html) {
+    return htmlToText(value);
+  }
+  if (type === 'multipicklist') {
+    return String(value).split(';').map(item => item.trim()).filter(Boolean).join('; ');
+  }
+  return String(value).trim();
+}
+
+module.exports = { htmlToText, fieldValue, formatFieldValue };
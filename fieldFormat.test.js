@@ -0,0 +1,28 @@
+const { htmlToText, fieldValue, formatFieldValue } = require('./fieldFormat');
+
+describe('field formatting', () => {
+  it('should convert rich text HTML to plain text', () => {
+    const html = '<p>My manager <b>always</b> says thanks&nbsp;&amp; means it.</p><ul><li>Shout-outs</li><li>Bonuses &gt; gifts</li></ul><p>Line<br>break &#8217;s</p>';
+    expect(htmlToText(html)).toBe('My manager always says thanks & means it.\n\n- Shout-outs\n- Bonuses > gifts\n\nLine\nbreak ’s');
+  });
+
+  it('should read nested relationship values and flat dotted keys', () => {
+    const rest = { Id: 'a1', Owner: { attributes: { type: 'User' }, Department: 'Nursing' }, Survey__r: null };
+    expect(fieldValue(rest, 'Owner.Department')).toBe('Nursing');
+    expect(fieldValue(rest, 'owner.department')).toBe('Nursing');
+    expect(fieldValue(rest, 'Survey__r.Name')).toBeNull();
+    expect(fieldValue({ 'Owner.Department': 'ICU' }, 'Owner.Department')).toBe('ICU');
+  });
+
+  it('should format values by their describe type', () => {
+    expect(formatFieldValue(true, { type: 'boolean' })).toBe('Yes');
+    expect(formatFieldValue('false', { type: 'boolean' })).toBe('No');
+    expect(formatFieldValue(4.5, { type: 'double' })).toBe('4.5');
+    expect(formatFieldValue(0, { type: 'int' })).toBe('0');
+    expect(formatFieldValue('Pay;Workload; Growth', { type: 'multipicklist' })).toBe('Pay; Workload; Growth');
+    expect(formatFieldValue({ street: '1 Main St', city: 'Austin', state: null }, { type: 'address' })).toBe('1 Main St, Austin');
+    expect(formatFieldValue('<p>Hi</p>', { type: 'textarea', html: true })).toBe('Hi');
+    expect(formatFieldValue('  plain  ')).toBe('plain');
+    expect(formatFieldValue(null)).toBe('');
+  });
+});
@@ -2,120 +2,650 @@
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const { createObjectCsvWriter } = require('csv-writer');
 const csv = require('csv-parser');
-const authorize = require('./sfdcJwtAuth');
+const { createAuthenticator, listAuthStrategies } = require('./sfdcAuthStrategies');
+const { createSalesforceClient } = require('./sfdcClient');
+const { parseArgs } = require('./cliArgs');
+const { createProvider, sendChat, describeProvider, listProviders } = require('./llmProviders');
+const { runWorkerPool, createRateLimiter, createSerialQueue } = require('./workerPool');
+const { estimateTokens, contextWindowFor, splitTextByTokens, formatTokenCount, describeTokenDistribution } = require('./tokens');
+const { createRetryPolicy } = require('./retry');
+const { buildInClause, parseSoqlQuery, selectedFields } = require('./soql');
+const { runBulkQuery, readQueryResults } = require('./sfdcBulk');
+const { checkWritebackField, planWriteback, updateRecords, writeWritebackPreview } = require('./sfdcWriteback');
+const { readInputRecords } = require('./inputFile');
+const { fieldValue, formatFieldValue } = require('./fieldFormat');
+const { hashFile, resolveOutputFile, startRun, manifestPathFor } = require('./runManifest');
+const { loadSchema, buildSchemaInstructions, parseStructuredResponse, schemaColumns, flattenStructured } = require('./structuredOutput');
+const { loadCodebook, codebookSchema, buildCodebookPrompt, codebookColumns, codebookFields, tallyCodebook, writeCodebookTally } = require('./codebook');
+const { redactionFromOptions, createRedactionTally, writeRedactionReport } = require('./redaction');
+const { cacheFromOptions, describeCacheUse } = require('./llmCache');
+const { MODEL_PRICES, loadPriceTable, describeCost } = require('./pricing');
+const { loadPromptTemplate, loadSystemPrompt, composePrompt, addInstructions } = require('./promptTemplate');
+const { loadPipeline, pipelineColumns, pipelineFields, stepCells, withStepVersions, completedSteps, isRowComplete, codebookStepRows } = require('./pipeline');
+
+const CLI_FLAGS = {
+  '-c': 'boolean',
+  '--provider': 'string',
+  '--model': 'string',
+  '--temperature': 'number',
+  '--concurrency': 'number',
+  '--requests-per-minute': 'number',
+  '--tokens-per-minute': 'number',
+  '--max-attempts': 'number',
+  '--retry-errors': 'boolean',
+  '--new-version': 'boolean',
+  '--force-append': 'boolean',
+  '--schema': 'string',
+  '--codebook': 'string',
+  '--where': 'string',
+  '--soql-file': 'string',
+  '--list-view': 'string',
+  '--bulk': 'boolean',
+  '--writeback': 'string',
+  '--dry-run': 'boolean',
+  '--input-file': 'string',
+  '--id-column': 'string',
+  '--max-tokens': 'number',
+  '--context-window': 'number',
+  '--auth': 'string',
+  '--redact': 'boolean',
+  '--redact-rules': 'string',
+  '--redact-names': 'string',
+  '--restore-pii': 'boolean',
+  '--no-cache': 'boolean',
+  '--refresh-cache': 'boolean',
+  '--cache-dir': 'string',
+  '--price-table': 'string',
+  '--prompt-file': 'string',
+  '--system-prompt-file': 'string',
+  '--pipeline': 'string'
+};
 
 async function main() {
-  const args = process.argv.slice(2);
-
-  // Check for -c flag
-  const useCopilot = args.includes('-c');
-  const filteredArgs = args.filter(arg => arg !== '-c');
+  let options, filteredArgs;
+  try {
+    ({ options, positional: filteredArgs } = parseArgs(process.argv.slice(2), CLI_FLAGS));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 
-  if (filteredArgs.length < 4) {
-    console.error('Usage: node index.js <salesforce-object> <field-names> <prompt> <csv-file> [-c]');
+  // A --prompt-file template or --pipeline replaces the prompt argument
+  const promptArgument = !options.promptFile && !options.pipeline;
+  if (filteredArgs.length < (promptArgument ? 3 : 2)) {
+    console.error('Usage: node index.js <salesforce-object> <field-names> (<prompt> | --prompt-file <template.md> | --pipeline <pipeline.json>) (<csv-file> | --where <condition> | --soql-file <file.soql> | --list-view <id> | --input-file <file.csv|jsonl> [--id-column <name>]) [--provider <name>] [--model <name>] [--temperature <n>] [--concurrency <n>] [--requests-per-minute <n>] [--tokens-per-minute <n>] [--max-attempts <n>] [--retry-errors] [--new-version | --force-append] [--schema <file.json> | --codebook <file.csv>] [--bulk] [--writeback <Field__c>] [--dry-run [--price-table <file.json>]] [--max-tokens <n>] [--context-window <n>] [--auth <strategy>] [--redact [--redact-rules <file.json>] [--redact-names <file.txt>] [--restore-pii]] [--no-cache | --refresh-cache] [--cache-dir <dir>] [--system-prompt-file <file>] [-c]');
     console.error('Example: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c "Extract meta-themes from this survey response" survey-ids.csv');
     console.error('Multiple fields: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c,Q4_Supervisor_Skills__c "Extract meta-themes" survey-ids.csv');
-    console.error('Use Copilot: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c "Extract meta-themes" survey-ids.csv -c');
+    console.error('Select with SOQL: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c "Extract meta-themes" --where "Survey_Wave__c = \'Q3\' AND Department__c = \'Nursing\'"');
+    console.error('Prompt template: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c --prompt-file themes.md --where "Survey_Wave__c = \'Q3\'"');
+    console.error('Several steps per record: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c --pipeline pipeline.json survey-ids.csv');
+    console.error('Offline export: node index.js Pulse_Survey "Comment" "Extract meta-themes" --input-file responses.csv --id-column "Response ID"');
+    console.error('Use Copilot: node index.js Employee_Survey_Response__c Q6_Recognition_Thoughts__c "Extract meta-themes" survey-ids.csv --provider azure');
+    console.error(`Providers: ${listProviders().join(', ')} (-c is shorthand for --provider azure)`);
+    console.error(`Auth strategies: ${listAuthStrategies().join(', ')} (default jwt, or SFDC_AUTH)`);
     process.exit(1);
   }
 
-  const [objectName, fieldNames, prompt, csvFile] = filteredArgs;
+  const [objectName, fieldNames, ...rest] = filteredArgs;
+  const [prompt, csvFile] = promptArgument ? rest : [null, ...rest];
   const fields = fieldNames.split(',').map(field => field.trim());
 
   console.log(`Scanning Salesforce object: ${objectName}`);
   console.log(`Reading fields: ${fields.join(', ')}`);
-  console.log(`Using prompt: "${prompt}"`);
-  console.log(`Using CSV file: ${csvFile}`);
-  console.log(`AI Service: ${useCopilot ? 'Microsoft Copilot' : 'LM Studio'}`);
+  if (options.pipeline) {
+    console.log(`Using pipeline: ${options.pipeline}`);
+  } else {
+    console.log(options.promptFile ? `Using prompt template: ${options.promptFile}` : `Using prompt: "${prompt}"`);
+  }
 
   try {
+    const selection = recordSelection(options, csvFile);
+    console.log(`Selecting records by ${describeSelection(selection)}${options.bulk ? ' (Bulk API 2.0)' : ''}`);
+    if (options.bulk && selection.type === 'csv') {
+      throw new Error('--bulk needs --where, --soql-file or --list-view; filter CSVs are queried in chunks through the REST API');
+    }
+    const offline = selection.type === 'input-file';
+    if (offline && (options.bulk || options.writeback)) {
+      throw new Error('--input-file reads records locally; --bulk and --writeback need Salesforce');
+    }
+    if (options.idColumn !== undefined && !offline) {
+      throw new Error('--id-column only applies to --input-file');
+    }
+
+    const retryPolicy = createRetryPolicy({ maxAttempts: options.maxAttempts });
+    const authenticator = offline ? null : createAuthenticator(options.auth, { retryPolicy });
+    if (offline && options.auth !== undefined) {
+      throw new Error('--auth does not apply to --input-file, which reads records locally');
+    }
+    const cache = cacheFromOptions(options);
+    const provider = createProvider(options.provider || (options.c ? 'azure' : 'lmstudio'), {
+      model: options.model,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      retryPolicy,
+      cache
+    });
+    console.log(`AI Service: ${describeProvider(provider)}`);
+
+    for (const [key, flag] of [['maxTokens', '--max-tokens'], ['contextWindow', '--context-window']]) {
+      if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 1)) {
+        throw new Error(`${flag} must be a positive integer`);
+      }
+    }
+
+    if (options.concurrency !== undefined && (!Number.isInteger(options.concurrency) || options.concurrency < 1)) {
+      throw new Error('--concurrency must be a positive integer');
+    }
+    if (options.newVersion && options.forceAppend) {
+      throw new Error('--new-version and --force-append cannot be used together');
+    }
+    if (options.schema && options.codebook) {
+      throw new Error('--schema and --codebook cannot be used together');
+    }
+    if (options.pipeline && (options.promptFile || options.schema || options.codebook)) {
+      throw new Error('--pipeline sets the prompt and parse mode of each step; --prompt-file, --schema and --codebook go in the pipeline file');
+    }
+    if (options.priceTable && !options.dryRun) {
+      throw new Error('--price-table only applies to --dry-run');
+    }
+    const priceTable = options.priceTable ? loadPriceTable(options.priceTable) : MODEL_PRICES;
+    if (options.writeback && fields.some(field => field.toLowerCase() === options.writeback.toLowerCase())) {
+      throw new Error(`--writeback ${options.writeback} would overwrite a field being analyzed`);
+    }
+
+    // Structured mode: responses must be JSON matching the schema, and each
+    // schema field gets its own column next to the original text. Codebook
+    // mode is structured mode with a generated schema and boolean columns.
+    const schema = options.schema ? loadSchema(options.schema) : null;
+    const codebook = options.codebook ? await loadCodebook(options.codebook) : null;
+    const responseSchema = schema || (codebook && codebookSchema(codebook));
+
+    // A template is rendered per record; its {{field:...}} context fields are
+    // queried alongside the analyzed fields but aren't part of the text
+    const template = options.promptFile ? loadPromptTemplate(options.promptFile) : null;
+    const systemPrompt = options.systemPromptFile ? loadSystemPrompt(options.systemPromptFile) : undefined;
+
+    // Pipeline steps without their own provider settings share the CLI's
+    const pipeline = options.pipeline ? await loadPipeline(options.pipeline) : null;
+    const steps = pipeline ? pipeline.steps.map(step => ({
+      ...step,
+      provider: Object.keys(step.llm).length === 0 ? provider : createProvider(step.llm.provider || provider.name, {
+        model: step.llm.model || (step.llm.provider ? undefined : options.model),
+        temperature: step.llm.temperature !== undefined ? step.llm.temperature : options.temperature,
+        maxTokens: step.llm.maxTokens || options.maxTokens,
+        retryPolicy,
+        cache
+      }),
+      systemPrompt: step.systemPrompt || systemPrompt
+    })) : null;
+    if (steps) {
+      console.log(`Pipeline steps (${steps.length}):`);
+      steps.forEach(step => {
+        console.log(`  ${step.name}: ${step.parse}${step.provider !== provider ? `, ${describeProvider(step.provider)}` : ''}`);
+      });
+    }
+
+    const promptFields = pipeline ? pipelineFields(pipeline) : {
+      contextFields: template ? template.contextFields : [],
+      labelFields: template ? template.labelFields : []
+    };
+    const contextFields = promptFields.contextFields.filter(field => !fields.includes(field));
+    const queryFields = [...fields, ...contextFields];
+    if (contextFields.length > 0) {
+      console.log(`Context fields: ${contextFields.join(', ')}`);
+    }
+    if (systemPrompt) {
+      console.log(`System prompt: ${options.systemPromptFile}`);
+    }
+    const redaction = redactionFromOptions(options);
+    if (redaction) {
+      console.log(`Redaction: ${redaction.description}${redaction.restore ? ' (placeholders restored in stored responses)' : ''}`);
+    }
+    let extraColumns = [];
+    if (pipeline) {
+      extraColumns = pipelineColumns(pipeline);
+    } else if (schema) {
+      extraColumns = schemaColumns(schema);
+      console.log(`Structured output: ${options.schema} (columns: ${extraColumns.map(column => column.title).join(', ')})`);
+    } else if (codebook) {
+      extraColumns = codebookColumns(codebook);
+      console.log(`Codebook: ${options.codebook} (${codebook.length} codes: ${codebook.map(entry => entry.code).join(', ')})`);
+    }
+
     // Read CSV file to get filter data
-    console.log('Reading CSV file...');
-    const { filterField, filterValues: allFilterValues } = await readCsvFile(csvFile);
-    console.log(`Filter field: ${filterField}`);
-    console.log(`Found ${allFilterValues.length} values to filter by`);
+    let filterField = null;
+    let allFilterValues = [];
+    if (selection.type === 'csv') {
+      console.log('Reading CSV file...');
+      ({ filterField, filterValues: allFilterValues } = await readCsvFile(csvFile));
+      console.log(`Filter field: ${filterField}`);
+      console.log(`Found ${allFilterValues.length} values to filter by`);
+    }
 
-    // Check for existing output and exclude already processed records
-    const outputFile = `${objectName}_${fields.join('_')}_results.csv`;
-    const processedIds = await getProcessedRecordIds(outputFile);
+    // Only resume a results file produced with the same settings
+    const runConfig = {
+      objectName,
+      fields,
+      prompt,
+      provider: provider.name,
+      model: provider.model,
+      temperature: provider.temperature,
+      ...selectionConfig(selection),
+      // Only present when set so manifests from before --schema still match
+      ...(schema && { schemaHash: hashFile(options.schema) }),
+      ...(codebook && { codebookHash: hashFile(options.codebook) }),
+      ...(template && { promptFileHash: hashFile(options.promptFile) }),
+      // Step settings are tracked per row instead (the Pipeline Steps
+      // column), so editing the pipeline reruns only the steps it changes
+      ...(pipeline && { pipeline: true }),
+      ...(systemPrompt && { systemPromptHash: hashFile(options.systemPromptFile) }),
+      ...(options.maxTokens && { maxTokens: provider.maxTokens }),
+      ...(options.contextWindow && { contextWindow: options.contextWindow }),
+      ...(redaction && { redaction: redaction.fingerprint, restorePii: redaction.restore })
+    };
+    const resolved = resolveOutputFile(`${objectName}_${fields.join('_')}_results.csv`, runConfig, {
+      newVersion: options.newVersion,
+      forceAppend: options.forceAppend
+    });
+    const outputFile = resolved.outputFile;
+    if (resolved.mode === 'force-append') {
+      console.warn(`⚠ Appending to ${outputFile} even though it was produced with different settings (--force-append)`);
+    }
+    if (!options.dryRun) {
+      await ensureResultColumns(outputFile, filterField, extraColumns);
+    }
+    console.log(`Output file: ${outputFile} (${resolved.mode === 'new' ? 'new' : 'resuming'}, manifest ${manifestPathFor(outputFile)})`);
 
     let filterValues = allFilterValues;
-    if (processedIds.size > 0) {
-      console.log(`Found existing output file with ${processedIds.size} already processed records`);
-      const originalCount = allFilterValues.length;
-      filterValues = allFilterValues.filter(value => !processedIds.has(value));
-      console.log(`Filtered ${originalCount - filterValues.length} already processed records. ${filterValues.length} remaining to process.`);
-
-      if (filterValues.length === 0) {
-        console.log('All records have already been processed!');
-        process.exit(0);
+    let processedIds = new Set();
+    let retryIds = null;
+    // Pipeline rows by record Id, so records resume at their first
+    // unanswered step
+    const existingRows = new Map();
+    if (pipeline) {
+      (await readResultRows(outputFile)).rows.forEach(row => existingRows.set(rowRecordId(row), row));
+    }
+
+    if (options.retryErrors) {
+      // Only reprocess rows whose response is an error; they are replaced in place
+      const erroredRows = (await readResultRows(outputFile)).rows.filter(isErrorRow);
+      if (erroredRows.length === 0) {
+        console.log(`No errored rows found in ${outputFile}. Nothing to retry.`);
+        // With --writeback, carry on so existing results are still written
+        // back, and with --dry-run so the (empty) plan is still printed
+        if (!options.writeback && !options.dryRun) process.exit(0);
       }
+      retryIds = new Set(erroredRows.map(rowRecordId));
+      filterValues = filterField ?
+        [...new Set(erroredRows.map(row => (row[filterField] || '').trim()).filter(Boolean))] :
+        [...retryIds];
+      console.log(`Found ${retryIds.size} errored records in ${outputFile} to retry`);
+    } else {
+      // Check for existing output and exclude already processed records.
+      // Pipeline rows still missing a step's answer are processed again
+      processedIds = pipeline ?
+        new Set([...existingRows].filter(([, row]) => isRowComplete(row, pipeline)).map(([recordId]) => recordId)) :
+        await getProcessedRecordIds(outputFile);
+
+      if (processedIds.size > 0 && filterField) {
+        console.log(`Found existing output file with ${processedIds.size} already processed records`);
+        const originalCount = allFilterValues.length;
+        filterValues = allFilterValues.filter(value => !processedIds.has(value));
+        console.log(`Filtered ${originalCount - filterValues.length} already processed records. ${filterValues.length} remaining to process.`);
+
+        if (filterValues.length === 0) {
+          console.log('All records have already been processed!');
+          if (!options.writeback && !options.dryRun) process.exit(0);
+        }
+      } else if (processedIds.size > 0) {
+        console.log(`Found existing output file with ${processedIds.size} already processed records`);
+      }
+    }
+
+    // Retries of a query-based selection look the errored records up by Id
+    const queryFilterField = offline ? null : filterField || (retryIds ? 'Id' : null);
+
+    // Offline input needs no Salesforce access; its column names double as labels
+    let client = null;
+    let fieldMetadata = {};
+    if (!offline) {
+      // Authenticate to Salesforce; the client logs in again if the session
+      // expires mid-run
+      console.log(`Authenticating to Salesforce (${authenticator.label})...`);
+      client = createSalesforceClient({ authenticate: authenticator.authenticate, retryPolicy });
+      await client.connect();
+
+      // Get field metadata (the filter field's type decides how values are quoted)
+      console.log('Retrieving field metadata...');
+      fieldMetadata = await getFieldMetadata(client, objectName, [
+        ...queryFields,
+        ...promptFields.labelFields,
+        ...(queryFilterField ? [queryFilterField] : []),
+        ...(options.writeback ? [options.writeback, 'Id'] : [])
+      ]);
     }
 
-    // Authenticate to Salesforce
-    console.log('Authenticating to Salesforce...');
-    const { accessToken, instanceUrl } = await authorize();
+    // Results are written back from the results file once processing ends
+    const writeBack = async () => {
+      if (!options.writeback) return;
+      await writeBackResults(outputFile, {
+        client,
+        objectName,
+        targetField: options.writeback,
+        fieldMetadata,
+        dryRun: options.dryRun
+      });
+    };
+    // Check the target field now so a typo doesn't surface only after every
+    // LLM call has been paid for
+    if (options.writeback) {
+      const length = checkWritebackField(objectName, options.writeback, fieldMetadata);
+      console.log(`Writeback: ${fieldMetadata[options.writeback].name} (${length} characters)${options.dryRun ? ' - dry run, no records will be updated' : ''}`);
+    }
+
+    // The CSV filter values aren't necessarily record IDs, so also drop
+    // records whose Id is already in the output file (or, when retrying,
+    // records that didn't error)
+    const wanted = (record) => (retryIds ? retryIds.has(record.Id) : !processedIds.has(record.Id));
 
-    // Get field metadata
-    console.log('Retrieving field metadata...');
-    const fieldMetadata = await getFieldMetadata(accessToken, instanceUrl, objectName, fields);
+    const promptFor = (record) => {
+      const recordPrompt = template ? template.render(record, fieldMetadata) : prompt;
+      return codebook ? buildCodebookPrompt(recordPrompt, codebook) : recordPrompt;
+    };
 
     // Query Salesforce records
-    console.log('Querying Salesforce records...');
-    const records = await querySalesforceRecords(accessToken, instanceUrl, objectName, fields, filterField, filterValues);
+    console.log(offline ? `Reading ${selection.inputFile}...` : 'Querying Salesforce records...');
+    let records;
+    let recordCount;
+    let bulkDirectory = null;
+    let bulkSkipped = 0;
+    let queriedSkipped = 0;
+    if (options.bulk && !queryFilterField) {
+      // Results are streamed to disk and read back one record at a time;
+      // retries (queryFilterField = Id) are small enough for REST
+      const query = await buildSelectionQuery(selection, client, objectName, queryFields, { ordered: false });
+      console.log(`  ${query}`);
+      const parsed = path.parse(outputFile);
+      bulkDirectory = path.join(parsed.dir, `${parsed.name}_bulk`);
+      const bulk = await runBulkQuery(client, query, { directory: bulkDirectory });
+      console.log(`Found ${bulk.numberOfRecords} records`);
+      if (bulk.numberOfRecords === 0) {
+        console.log('No records matched the selection.');
+        if (!options.dryRun) {
+          await writeBack();
+          process.exit(0);
+        }
+      }
+      recordCount = bulk.numberOfRecords;
+      records = (async function* () {
+        for await (const record of readQueryResults(bulk.files)) {
+          if (wanted(record)) {
+            yield record;
+          } else {
+            bulkSkipped++;
+          }
+        }
+      })();
+    } else {
+      let queriedRecords;
+      if (offline) {
+        queriedRecords = await readInputRecords(selection.inputFile, { idColumn: selection.idColumn, fields: queryFields });
+      } else if (queryFilterField) {
+        queriedRecords = await querySalesforceRecords(client, objectName, queryFields, queryFilterField, filterValues, { fieldMetadata });
+      } else {
+        const query = await buildSelectionQuery(selection, client, objectName, queryFields);
+        console.log(`  ${query}`);
+        queriedRecords = await fetchQueryPages(client, query);
+      }
 
-    console.log(`Found ${records.length} records`);
+      records = queriedRecords.filter(wanted);
+      recordCount = records.length;
+      queriedSkipped = queriedRecords.length - records.length;
+      console.log(`Found ${queriedRecords.length} records`);
+      if (records.length < queriedRecords.length) {
+        console.log(`Skipping ${queriedRecords.length - records.length} records already in ${outputFile}`);
+      }
+      if (records.length === 0) {
+        console.log(queriedRecords.length === 0 ? 'No records matched the selection.' : 'All records have already been processed!');
+        // A dry run still prints its plan, with nothing to analyze
+        if (!options.dryRun) {
+          await writeBack();
+          process.exit(0);
+        }
+      }
+    }
 
-    // Process records with LM Studio
-    console.log('Processing records with LM Studio...');
-    const results = [];
+    // Plan only: report what the run would send, then stop before any LLM
+    // call or write (a writeback is previewed from the existing results)
+    if (options.dryRun) {
+      let plan;
+      const stepPlans = [];
+      if (steps) {
+        // Each step is planned over the records that still need it, as the
+        // resume check would decide, and bulk results can only be read once
+        const recordList = [];
+        for await (const record of records) recordList.push(record);
+        const completed = new Map(recordList.map(record => [record.Id, completedSteps(existingRows.get(record.Id), pipeline)]));
+        const stepPlan = (step, stepRecords) => planAnalysis(stepRecords, {
+          fields,
+          fieldMetadata,
+          provider: step.provider,
+          promptFor: record => stepPrompt(step, record, fieldMetadata),
+          schema: step.responseSchema,
+          contextWindow: options.contextWindow,
+          systemPrompt: step.systemPrompt
+        });
+        // Record counts and text sizes cover every record to analyze
+        plan = await stepPlan(steps[0], recordList);
+        for (const step of steps) {
+          stepPlans.push({
+            step,
+            plan: await stepPlan(step, recordList.filter(record => !completed.get(record.Id)[step.name]))
+          });
+        }
+      } else {
+        plan = await planAnalysis(records, {
+          fields,
+          fieldMetadata,
+          provider,
+          promptFor,
+          schema: responseSchema,
+          contextWindow: options.contextWindow,
+          systemPrompt
+        });
+      }
+      if (bulkDirectory) {
+        fs.rmSync(bulkDirectory, { recursive: true, force: true });
+      }
+      // Filter values dropped before querying plus records dropped after
+      const skipped = (filterField ? allFilterValues.length - filterValues.length : 0) + (bulkDirectory ? bulkSkipped : queriedSkipped);
+      printAnalysisPlan(plan, { provider, priceTable, skipped, outputFile, stepPlans });
+      await writeBack();
+      return;
+    }
+
+    const runId = startRun(outputFile, resolved.manifest, runConfig, {
+      mode: options.retryErrors ? 'retry-errors' : resolved.mode,
+      ...(pipeline && { pipelineSteps: Object.fromEntries(pipeline.steps.map(step => [step.name, step.hash])) }),
+      ...(csvFile ? { inputFile: path.basename(csvFile) } : { selection: describeSelection(selection) })
+    });
+    console.log(`Run ID: ${runId}`);
+
+    // Process records with the selected provider
+    const concurrency = options.concurrency || 1;
+    console.log(`Processing records with ${provider.label} (concurrency: ${concurrency})...`);
+    const rateLimiter = createRateLimiter({
+      requestsPerMinute: options.requestsPerMinute,
+      tokensPerMinute: options.tokensPerMinute
+    });
+    const writeQueue = createSerialQueue();
+    // Retried and resumed pipeline rows are replaced in place, which rewrites
+    // the whole file, so they are collected and written in batches rather
+    // than one at a time
+    const replacements = createReplacementBatcher(writeQueue, batch => replaceResultsInCSV(batch, outputFile, filterField, extraColumns));
+    const redactionTally = redaction && createRedactionTally();
+    let resultCount = 0;
+
+    const interrupt = createInterruptHandler({ flush: replacements.flush });
+    process.on('SIGINT', interrupt.handler);
 
-    for (let i = 0; i < records.length; i++) {
-      const record = records[i];
-      console.log(`Processing record ${i + 1}/${records.length}: ${record.Id}`);
+    const processRecord = async (record, i) => {
+      console.log(`Processing record ${i + 1}/${recordCount}: ${record.Id}`);
 
       const combinedText = combineFieldsWithLabels(record, fields, fieldMetadata);
-      if (combinedText.trim()) {
-        try {
-          const response = useCopilot ?
-            await sendToCopilot(prompt, combinedText) :
-            await sendToLMStudio(prompt, combinedText);
-          const result = {
-            recordId: record.Id,
-            [filterField]: record[filterField],
-            originalText: combinedText,
-            response: response
-          };
-          results.push(result);
-
-          // Append this single result immediately to support interruption/resumption
-          await appendResultsToCSV([result], outputFile, filterField, true);
-          console.log(`  ✓ Result written to ${outputFile}`);
-
-        } catch (error) {
-          console.error(`Error processing record ${record.Id}:`, error.message);
-          const errorResult = {
-            recordId: record.Id,
-            [filterField]: record[filterField],
-            originalText: combinedText,
-            response: `Error: ${error.message}`
-          };
-          results.push(errorResult);
-
-          // Append error result immediately
-          await appendResultsToCSV([errorResult], outputFile, filterField, true);
-          console.log(`  ⚠ Error result written to ${outputFile}`);
+      if (!combinedText.trim()) {
+        console.log(`Skipping record ${record.Id} - all specified fields are empty`);
+        return;
+      }
+
+      // Only the redacted text is sent; Original Text keeps what was read.
+      // A session per record keeps placeholders independent of processing order
+      const pii = redaction && redaction.redactor.session();
+      const maskedCounts = {};
+      const mask = (text) => {
+        if (!pii) return text;
+        const masked = pii.redact(text);
+        Object.entries(masked.counts).forEach(([label, count]) => {
+          maskedCounts[label] = (maskedCounts[label] || 0) + count;
+        });
+        return masked.text;
+      };
+      const text = mask(combinedText);
+      const redactedFlags = () => {
+        const maskedCount = Object.values(maskedCounts).reduce((sum, count) => sum + count, 0);
+        return maskedCount > 0 ? [`redacted:${maskedCount}`] : [];
+      };
+
+      let result;
+      try {
+        let cells;
+        let analysis;
+        if (steps) {
+          // Steps already answered in the results file are reused; step
+          // prompts carry context fields and earlier answers, so they are
+          // masked like the text
+          analysis = await analyzePipeline(steps, record, text, {
+            fieldMetadata,
+            completed: completedSteps(existingRows.get(record.Id), pipeline),
+            maskPrompt: mask,
+            restore: pii && redaction.restore ? (stepAnalysis, step) => restoreAnalysis(stepAnalysis, pii, step.schema) : null,
+            contextWindow: options.contextWindow,
+            rateLimiter,
+            runId
+          });
+          if (analysis.failedStep) {
+            console.error(`Error processing record ${record.Id} at step ${analysis.failedStep}:`, analysis.error);
+          }
+          cells = analysis.cells;
+        } else {
+          // Context fields rendered into a template are masked the same way
+          analysis = await analyzeRecord(provider, template ? mask(promptFor(record)) : promptFor(record), text, {
+            schema: responseSchema,
+            contextWindow: options.contextWindow,
+            rateLimiter,
+            systemPrompt
+          });
+          if (pii && redaction.restore) {
+            analysis = restoreAnalysis(analysis, pii, schema);
+          }
+          cells = codebook ? codebookFields(analysis.value, codebook) : analysis.fields;
+        }
+        result = {
+          recordId: record.Id,
+          ...(filterField && { [filterField]: fieldValue(record, filterField) }),
+          originalText: combinedText,
+          ...cells,
+          response: analysis.response,
+          flags: [...analysis.flags, ...redactedFlags()].join('; '),
+          runId
+        };
+      } catch (error) {
+        console.error(`Error processing record ${record.Id}:`, error.message);
+        result = {
+          recordId: record.Id,
+          ...(filterField && { [filterField]: fieldValue(record, filterField) }),
+          originalText: combinedText,
+          response: `Error: ${error.message}`,
+          runId
+        };
+      }
+      if (pii) redactionTally.add(maskedCounts);
+      resultCount++;
+
+      // Write this single result immediately to support interruption/resumption.
+      // Writes go through a queue so concurrent records never interleave rows.
+      // Resumed pipeline rows are replaced like retried ones
+      let written = 'written to';
+      if (retryIds || existingRows.has(record.Id)) {
+        if (!(await replacements.add(result))) {
+          written = 'queued for';
         }
       } else {
-        console.log(`Skipping record ${record.Id} - all specified fields are empty`);
+        await writeQueue.push(() => appendResultsToCSV([result], outputFile, filterField, true, extraColumns));
       }
+      if (result.response.startsWith('Error: ')) {
+        console.log(`  ⚠ Error result for ${record.Id} ${written} ${outputFile}`);
+      } else {
+        console.log(`  ✓ Result for ${record.Id} ${written} ${outputFile}`);
+      }
+    };
+
+    try {
+      await runWorkerPool(records, concurrency, processRecord, { shouldStop: interrupt.stopped });
+    } finally {
+      await replacements.flush();
+      process.removeListener('SIGINT', interrupt.handler);
+      if (bulkDirectory) {
+        fs.rmSync(bulkDirectory, { recursive: true, force: true });
+      }
+    }
+    if (bulkSkipped > 0) {
+      console.log(`Skipped ${bulkSkipped} records already in ${outputFile}`);
+    }
+    if (provider.cache) {
+      console.log(describeCacheUse(provider.cache));
+    }
+    if (redaction) {
+      const parsed = path.parse(outputFile);
+      const reportFile = path.join(parsed.dir, `${parsed.name}_redaction_${runId}.csv`);
+      await writeRedactionReport(reportFile, redactionTally, { runId });
+      const entries = redactionTally.entries();
+      console.log(`Redaction report written to ${reportFile}${entries.length === 0 ? ' (nothing masked)' : ''}`);
+      entries.forEach(entry => {
+        console.log(`  ${entry.label}: ${entry.masked} masked in ${entry.records} records`);
+      });
+    }
+
+    if (interrupt.stopped()) {
+      console.log(`Stopped early. ${resultCount} records written to ${outputFile}; rerun the same command to resume.`);
+      process.exit(130);
     }
 
     console.log(`Job completed! All results written to ${outputFile}`);
-    console.log(`Processed ${results.length} records successfully`);
+    console.log(`Processed ${resultCount} records successfully`);
+
+    // Tally the whole file, not just this run, so resumed runs report
+    // totals; pipelines get one tally per codebook step
+    const tallies = codebook ? [{ codebook, suffix: '' }] : (steps || [])
+      .filter(step => step.codebook)
+      .map(step => ({ codebook: step.codebook, suffix: `_${step.name}`, step }));
+    if (tallies.length > 0) {
+      const { rows } = await readResultRows(outputFile);
+      for (const { codebook: stepCodebook, suffix, step } of tallies) {
+        const summary = tallyCodebook(step ? codebookStepRows(rows, step) : rows, stepCodebook);
+        const parsed = path.parse(outputFile);
+        const tallyFile = path.join(parsed.dir, `${parsed.name}${suffix}_codebook_tally.csv`);
+        await writeCodebookTally(tallyFile, summary);
+        console.log(`Codebook tally (${summary.total} classified responses) written to ${tallyFile}`);
+        summary.tally.forEach(entry => {
+          console.log(`  ${entry.code}: ${entry.count} (${entry.percent}%)`);
+        });
+      }
+    }
+
+    await writeBack();
 
   } catch (error) {
     console.error('Error:', error.message);
@@ -123,6 +653,65 @@ async function main() {
   }
 }
 
+/**
+ * --writeback: copy the latest successful response for each record in the
+ * results file to targetField. Only records whose stored value would change
+ * are updated, so reruns are cheap; with dryRun the changes are reported
+ * and saved to a preview CSV instead.
+ */
+async function writeBackResults(outputFile, { client, objectName, targetField, fieldMetadata, dryRun = false }) {
+  const length = checkWritebackField(objectName, targetField, fieldMetadata);
+  const fieldName = fieldMetadata[targetField].name;
+
+  const responses = new Map();
+  (await readResultRows(outputFile)).rows.forEach(row => {
+    const recordId = rowRecordId(row);
+    if (recordId && !isErrorRow(row)) {
+      responses.set(recordId, row['LM Studio Response']);
+    }
+  });
+  if (responses.size === 0) {
+    console.log('Writeback: no successful results to write back');
+    return;
+  }
+
+  console.log(`Writeback: reading current ${fieldName} values for ${responses.size} records...`);
+  const currentRecords = await querySalesforceRecords(client, objectName, [fieldName], 'Id', [...responses.keys()], { fieldMetadata });
+  const currentValues = new Map(currentRecords.map(record => [record.Id, record[fieldName]]));
+  if (currentValues.size < responses.size) {
+    console.warn(`⚠ Writeback: ${responses.size - currentValues.size} records in ${outputFile} no longer exist in Salesforce`);
+  }
+
+  const changes = planWriteback([...responses].map(([id, response]) => ({ id, response })), currentValues, length);
+  const truncated = changes.filter(change => change.truncated).length;
+  console.log(`Writeback: ${changes.length} of ${currentValues.size} records ${dryRun ? 'would change' : 'to update'}` +
+    `${truncated > 0 ? ` (${truncated} truncated to ${length} characters)` : ''}`);
+
+  if (dryRun) {
+    const preview = (text) => JSON.stringify(text.length > 60 ? `${text.substring(0, 57)}...` : text);
+    changes.slice(0, 20).forEach(change => {
+      console.log(`  ${change.id}: ${preview(change.current)} -> ${preview(change.value)}${change.truncated ? ' (truncated)' : ''}`);
+    });
+    if (changes.length > 20) console.log(`  ...and ${changes.length - 20} more`);
+
+    const parsed = path.parse(outputFile);
+    const previewFile = path.join(parsed.dir, `${parsed.name}_writeback_preview.csv`);
+    await writeWritebackPreview(previewFile, fieldName, changes);
+    console.log(`Dry run: no records updated. Full list of changes written to ${previewFile}`);
+    return;
+  }
+
+  if (changes.length === 0) return;
+  const { updated, failures } = await updateRecords(client, objectName, fieldName, changes);
+  failures.forEach(failure => {
+    console.error(`  ✗ Writeback failed for ${failure.id}: ${failure.message}`);
+  });
+  console.log(`✓ Updated ${fieldName} on ${updated} records${failures.length > 0 ? `; ${failures.length} failed (rerun to retry them)` : ''}`);
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
 async function getProcessedRecordIds(outputFilePath) {
   const processedIds = new Set();
 
@@ -137,10 +726,9 @@ async function getProcessedRecordIds(outputFilePath) {
         stripBOM: true
       }))
       .on('data', (data) => {
-        // Try different possible column names for the record ID
-        const recordId = data['Salesforce Record ID'] || data['recordId'] || data[Object.keys(data)[0]];
-        if (recordId && recordId.trim()) {
-          processedIds.add(recordId.trim());
+        const recordId = rowRecordId(data);
+        if (recordId) {
+          processedIds.add(recordId);
         }
       })
       .on('end', () => {
@@ -153,6 +741,50 @@ async function getProcessedRecordIds(outputFilePath) {
   });
 }
 
+// Try different possible column names for the record ID
+function rowRecordId(row) {
+  const recordId = row['Salesforce Record ID'] || row['recordId'] || row[Object.keys(row)[0]];
+  return recordId ? recordId.trim() : '';
+}
+
+function isErrorRow(row) {
+  const response = row['LM Studio Response'] || row['response'] || '';
+  return response.startsWith('Error:');
+}
+
+/**
+ * Read an existing results file as raw rows keyed by column title, keeping
+ * the header order so the file can be rewritten without losing columns.
+ */
+async function readResultRows(outputFilePath) {
+  if (!fs.existsSync(outputFilePath)) {
+    return { headers: [], rows: [] };
+  }
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+
+    fs.createReadStream(outputFilePath)
+      .pipe(csv({
+        skipEmptyLines: true,
+        stripBOM: true
+      }))
+      .on('headers', (headerList) => {
+        headers = headerList;
+      })
+      .on('data', (data) => {
+        rows.push(data);
+      })
+      .on('end', () => {
+        resolve({ headers, rows });
+      })
+      .on('error', (error) => {
+        reject(error);
+      });
+  });
+}
+
 async function readCsvFile(csvFilePath) {
   return new Promise((resolve, reject) => {
     const results = [];
@@ -184,28 +816,10 @@ async function readCsvFile(csvFilePath) {
   });
 }
 
-async function getFieldMetadata(accessToken, instanceUrl, objectName, fields) {
-  const url = `${instanceUrl}/services/data/v58.0/sobjects/${objectName}/describe`;
-
+async function describeObject(client, objectName) {
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const fieldMap = {};
-    response.data.fields.forEach(field => {
-      if (fields.includes(field.name)) {
-        fieldMap[field.name] = {
-          label: field.label,
-          name: field.name
-        };
-      }
-    });
-
-    return fieldMap;
+    const response = await client.get(`/sobjects/${objectName}/describe`, {}, { label: `Salesforce describe (${objectName})` });
+    return response.data;
   } catch (error) {
     if (error.response) {
       throw new Error(`Salesforce Metadata API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
@@ -214,13 +828,78 @@ async function getFieldMetadata(accessToken, instanceUrl, objectName, fields) {
   }
 }
 
+// "Owner ID" -> "Owner", "Survey" -> "Survey"
+function relationshipLabel(field) {
+  return field.label.replace(/\s+ID$/i, '');
+}
+
+/**
+ * Describe metadata for each field, keyed by the name as given. Dotted
+ * relationship paths (Owner.Department, Survey__r.Name) are followed through
+ * the related objects' describes, and their labels name the path
+ * ("Owner > Department"). Fields that can't be resolved are left out.
+ */
+async function getFieldMetadata(client, objectName, fields) {
+  const describes = new Map();
+  const describe = (name) => {
+    // SOQL names are case-insensitive, so cache (and match) them that way too
+    const key = name.toLowerCase();
+    if (!describes.has(key)) {
+      describes.set(key, describeObject(client, name));
+    }
+    return describes.get(key);
+  };
+  const sameName = (a, b) => Boolean(a) && a.toLowerCase() === b.toLowerCase();
+
+  const fieldMap = {};
+  for (const fieldName of fields) {
+    const parts = fieldName.split('.');
+    let currentObject = objectName;
+    const labels = [];
+    const names = [];
+    let resolved = true;
+
+    for (const relationship of parts.slice(0, -1)) {
+      const { fields: objectFields } = await describe(currentObject);
+      const lookup = objectFields.find(field => sameName(field.relationshipName, relationship));
+      if (!lookup || !lookup.referenceTo || lookup.referenceTo.length === 0) {
+        resolved = false;
+        break;
+      }
+      labels.push(relationshipLabel(lookup));
+      names.push(lookup.relationshipName);
+      // Polymorphic lookups (Owner -> User or Group) use their first target
+      currentObject = lookup.referenceTo[0];
+    }
+    if (!resolved) continue;
+
+    const { fields: objectFields } = await describe(currentObject);
+    const field = objectFields.find(candidate => sameName(candidate.name, parts[parts.length - 1]));
+    if (!field) continue;
+
+    fieldMap[fieldName] = {
+      label: [...labels, field.label].join(' > '),
+      name: [...names, field.name].join('.'),
+      type: field.type,
+      filterable: field.filterable,
+      updateable: names.length === 0 ? field.updateable : false,
+      length: field.length,
+      html: Boolean(field.htmlFormatted || field.extraTypeInfo === 'richtextarea')
+    };
+  }
+
+  return fieldMap;
+}
+
 function combineFieldsWithLabels(record, fields, fieldMetadata) {
   const parts = [];
 
   fields.forEach(fieldName => {
-    if (record[fieldName] && record[fieldName].trim()) {
-      const label = fieldMetadata[fieldName]?.label || fieldName;
-      parts.push(`${label}: ${record[fieldName].trim()}`);
+    const metadata = fieldMetadata[fieldName];
+    const text = formatFieldValue(fieldValue(record, fieldName), metadata);
+    if (text) {
+      const label = metadata?.label || fieldName;
+      parts.push(`${label}: ${text}`);
     }
   });
 
@@ -235,16 +914,43 @@ function chunkArray(array, chunkSize) {
   return chunks;
 }
 
-async function querySalesforceRecordsChunk(accessToken, instanceUrl, objectName, fields, filterField, filterValuesChunk, chunkIndex, totalChunks) {
+/**
+ * Describe metadata for the filter field. Without metadata (callers that
+ * skip the describe) values are treated as text.
+ */
+function filterFieldMetadata(objectName, filterField, fieldMetadata) {
+  if (!fieldMetadata) {
+    return { name: filterField, type: 'string' };
+  }
+  if (!fieldMetadata[filterField]) {
+    throw new Error(`Filter field ${filterField} does not exist on ${objectName} (check the first column header of the filter CSV)`);
+  }
+  return fieldMetadata[filterField];
+}
+
+async function querySalesforceRecordsChunk(client, objectName, fields, filterField, filterValuesChunk, chunkIndex, totalChunks, { fieldMetadata } = {}) {
+  // Create IN clause for filtering this chunk
+  const filterClause = buildInClause(filterFieldMetadata(objectName, filterField, fieldMetadata), filterValuesChunk);
+  // Salesforce rejects a field selected twice, e.g. a filter on Id
+  const fieldList = ['Id', ...fields, filterField]
+    .filter((field, index, all) => all.findIndex(other => other.toLowerCase() === field.toLowerCase()) === index)
+    .join(', ');
+  const query = `SELECT ${fieldList} FROM ${objectName} WHERE ${filterClause} ORDER BY Id`;
+
+  return fetchQueryPages(client, query, {
+    label: `Chunk ${chunkIndex}/${totalChunks}`
+  });
+}
+
+/**
+ * Run a SOQL query and follow nextRecordsUrl until every page is fetched.
+ * Pages are requested 200 records at a time.
+ */
+async function fetchQueryPages(client, query, { label = 'Query' } = {}) {
   const allRecords = [];
   let totalRecords = 0;
   let pageCount = 0;
 
-  // Create IN clause for filtering this chunk
-  const filterClause = filterValuesChunk.map(value => `'${value}'`).join(',');
-  const fieldList = ['Id', ...fields, filterField].join(', ');
-  const query = `SELECT ${fieldList} FROM ${objectName} WHERE ${filterField} IN (${filterClause}) ORDER BY Id`;
-
   let nextRecordsUrl = null;
   let isFirstQuery = true;
 
@@ -254,25 +960,23 @@ async function querySalesforceRecordsChunk(accessToken, instanceUrl, objectName,
       let url, params;
 
       if (isFirstQuery) {
-        // First query with LIMIT
-        url = `${instanceUrl}/services/data/v58.0/query`;
-        params = { q: `${query} LIMIT 200` };
+        url = '/query';
+        params = { q: query };
         isFirstQuery = false;
       } else {
         // Subsequent queries using nextRecordsUrl
-        url = `${instanceUrl}${nextRecordsUrl}`;
+        url = nextRecordsUrl;
         params = {};
       }
 
-      console.log(`  Chunk ${chunkIndex}/${totalChunks}, Page ${pageCount}: Fetching...`);
+      console.log(`  ${label}, Page ${pageCount}: Fetching...`);
 
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
+      // Each page is retried on its own so a transient failure doesn't lose
+      // the pages already fetched
+      const response = await client.get(url, {
+        headers: { 'Sforce-Query-Options': 'batchSize=200' },
         params: params
-      });
+      }, { label: `Salesforce query (${label}, Page ${pageCount})` });
 
       const data = response.data;
       const records = data.records || [];
@@ -280,37 +984,143 @@ async function querySalesforceRecordsChunk(accessToken, instanceUrl, objectName,
       allRecords.push(...records);
       totalRecords += records.length;
 
-      console.log(`  Chunk ${chunkIndex}/${totalChunks}, Page ${pageCount}: Retrieved ${records.length} records (Chunk Total: ${totalRecords})`);
+      console.log(`  ${label}, Page ${pageCount}: Retrieved ${records.length} records (Total: ${totalRecords})`);
 
-      // Check if there are more records
+      // Check if there are more records. Guard against a cursor that
+      // doesn't advance instead of capping pages, which would drop records
+      const previousUrl = nextRecordsUrl;
       nextRecordsUrl = data.nextRecordsUrl || null;
-
-      // Safety check to prevent infinite loops
-      if (pageCount > 100) {
-        console.warn(`  Warning: Reached maximum page limit (100) for chunk ${chunkIndex}. Stopping pagination.`);
-        break;
+      if (nextRecordsUrl && nextRecordsUrl === previousUrl) {
+        throw new Error(`Salesforce returned the same page cursor twice (${nextRecordsUrl})`);
       }
 
     } while (nextRecordsUrl);
 
-    console.log(`  Chunk ${chunkIndex}/${totalChunks} complete: ${totalRecords} records retrieved in ${pageCount} pages`);
+    console.log(`  ${label} complete: ${totalRecords} records retrieved in ${pageCount} pages`);
     return allRecords;
 
   } catch (error) {
     if (error.response) {
-      throw new Error(`Salesforce API error (Chunk ${chunkIndex}): ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      throw new Error(`Salesforce API error (${label}): ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+    }
+    throw new Error(`Network error (${label}): ${error.message}`);
+  }
+}
+
+/**
+ * Pick how records are selected: a filter CSV (the positional csv-file),
+ * --where, --soql-file or --list-view. Exactly one must be given.
+ */
+function recordSelection(options, csvFile) {
+  const selections = [
+    csvFile && { type: 'csv', csvFile },
+    options.where !== undefined && { type: 'where', where: options.where },
+    options.soqlFile !== undefined && { type: 'soql-file', soqlFile: options.soqlFile },
+    options.listView !== undefined && { type: 'list-view', listView: options.listView },
+    options.inputFile !== undefined && { type: 'input-file', inputFile: options.inputFile, idColumn: options.idColumn || 'Id' }
+  ].filter(Boolean);
+
+  if (selections.length !== 1) {
+    throw new Error('Select records with exactly one of: a filter CSV file, --where, --soql-file, --list-view or --input-file');
+  }
+  const selection = selections[0];
+
+  if (selection.type === 'where' && !selection.where.trim()) {
+    throw new Error('--where needs a SOQL condition, e.g. --where "Department__c = \'Nursing\'"');
+  }
+  // The query adds its own ORDER BY after the condition, so these can't follow it
+  const clause = selection.type === 'where' &&
+    selection.where.replace(/'(?:[^'\\]|\\.)*'/g, "''").match(/\b(ORDER\s+BY|LIMIT|OFFSET)\b/i);
+  if (clause) {
+    throw new Error(`--where takes only a condition, not ${clause[1].toUpperCase().replace(/\s+/, ' ')}; use --soql-file for a query with ORDER BY, LIMIT or OFFSET`);
+  }
+  if (selection.type === 'list-view' && !/^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(selection.listView)) {
+    throw new Error(`--list-view must be a list view ID, got "${selection.listView}"`);
+  }
+  return selection;
+}
+
+// Settings that identify the selected records, for the run manifest
+function selectionConfig(selection) {
+  switch (selection.type) {
+    case 'csv': return { inputHash: hashFile(selection.csvFile) };
+    case 'where': return { where: selection.where };
+    case 'soql-file': return { soqlHash: hashFile(selection.soqlFile) };
+    case 'input-file': return { inputFileHash: hashFile(selection.inputFile), idColumn: selection.idColumn };
+    default: return { listView: selection.listView };
+  }
+}
+
+function describeSelection(selection) {
+  switch (selection.type) {
+    case 'csv': return `CSV file ${selection.csvFile}`;
+    case 'where': return `WHERE ${selection.where}`;
+    case 'soql-file': return `SOQL file ${selection.soqlFile}`;
+    case 'input-file': return `input file ${selection.inputFile} (id column ${selection.idColumn})`;
+    default: return `list view ${selection.listView}`;
+  }
+}
+
+/**
+ * Build the query for a --where, --soql-file or --list-view selection.
+ * --where and list views get our own SELECT list; a SOQL file is run as
+ * written, so it must select from the object and include Id and the
+ * analyzed fields.
+ */
+async function buildSelectionQuery(selection, client, objectName, fields, { ordered = true } = {}) {
+  const fieldList = ['Id', ...fields.filter(field => field.toLowerCase() !== 'id')].join(', ');
+
+  if (selection.type === 'where') {
+    return `SELECT ${fieldList} FROM ${objectName} WHERE ${selection.where}${ordered ? ' ORDER BY Id' : ''}`;
+  }
+
+  if (selection.type === 'soql-file') {
+    const query = fs.readFileSync(selection.soqlFile, 'utf8').trim().replace(/;\s*$/, '');
+    const { selectList, objectName: queryObject } = parseSoqlQuery(query);
+    if (queryObject.toLowerCase() !== objectName.toLowerCase()) {
+      throw new Error(`${selection.soqlFile} queries ${queryObject}, not ${objectName}`);
+    }
+    const selected = selectedFields(selectList);
+    const missing = ['Id', ...fields].filter(field => !selected.includes(field.toLowerCase()));
+    if (missing.length > 0) {
+      throw new Error(`${selection.soqlFile} must select ${missing.join(', ')}`);
+    }
+    return query;
+  }
+
+  let response;
+  try {
+    response = await client.get(`/sobjects/${objectName}/listviews/${selection.listView}/describe`, {}, { label: 'Salesforce list view describe' });
+  } catch (error) {
+    if (error.response) {
+      throw new Error(`Salesforce list view error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
     }
-    throw new Error(`Network error (Chunk ${chunkIndex}): ${error.message}`);
+    throw new Error(`Network error: ${error.message}`);
+  }
+
+  // Keep the list view's filters, scope and ordering but select our fields.
+  // Bulk jobs don't need (or sort quickly by) an ORDER BY, so it is dropped there
+  let { rest } = parseSoqlQuery(response.data.query);
+  if (!ordered) {
+    rest = rest.replace(/\s*\bORDER\s+BY\b[\s\S]*?(?=\s+LIMIT\b|$)/i, '');
   }
+  return `SELECT ${fieldList} FROM ${objectName}${rest ? ` ${rest}` : ''}`;
 }
 
-async function querySalesforceRecords(accessToken, instanceUrl, objectName, fields, filterField, filterValues) {
+async function querySalesforceRecords(client, objectName, fields, filterField, filterValues, options = {}) {
   const CHUNK_SIZE = 450; // Stay well under 500 limit for safety
 
+  if (filterValues.length === 0) {
+    return [];
+  }
+
+  // Check the filter field and every value before the first chunk is queried
+  buildInClause(filterFieldMetadata(objectName, filterField, options.fieldMetadata), filterValues);
+
   // Check if we need to chunk the filter values
   if (filterValues.length <= CHUNK_SIZE) {
     console.log(`  Single query: ${filterValues.length} filter values (under ${CHUNK_SIZE} limit)`);
-    return await querySalesforceRecordsChunk(accessToken, instanceUrl, objectName, fields, filterField, filterValues, 1, 1);
+    return await querySalesforceRecordsChunk(client, objectName, fields, filterField, filterValues, 1, 1, options);
   }
 
   // Split filter values into chunks
@@ -323,14 +1133,14 @@ async function querySalesforceRecords(accessToken, instanceUrl, objectName, fiel
   // Process each chunk
   for (let i = 0; i < chunks.length; i++) {
     const chunkRecords = await querySalesforceRecordsChunk(
-      accessToken,
-      instanceUrl,
+      client,
       objectName,
       fields,
       filterField,
       chunks[i],
       i + 1,
-      chunks.length
+      chunks.length,
+      options
     );
 
     allRecords.push(...chunkRecords);
@@ -347,94 +1157,336 @@ async function querySalesforceRecords(accessToken, instanceUrl, objectName, fiel
   return allRecords;
 }
 
-async function sendToLMStudio(prompt, text) {
-  const lmStudioUrl = process.env.LM_STUDIO_URL || 'http://127.0.0.1:1234/v1/chat/completions';
-
-  const requestBody = {
-    model: "local-model", // LM Studio typically uses this or you can specify the actual model name
-    messages: [
-      {
-        role: "user",
-        content: `${prompt}\n\nText to analyze: ${text}`
-      }
-    ],
-    temperature: 0.7,
-    max_tokens: 500
-  };
+const ANALYSIS_SYSTEM_PROMPT = 'You are a helpful AI assistant that analyzes text and provides insights based on the given prompt.';
+
+async function requestAnalysis(provider, userPrompt, { rateLimiter, systemPrompt = ANALYSIS_SYSTEM_PROMPT, accept } = {}) {
+  // Reserve the prompt plus the full output allowance, then settle to the
+  // provider's reported usage when it gives one. Cached responses take no slot
+  let ticket = null;
+  const result = await sendChat(provider, {
+    systemPrompt,
+    userPrompt
+  }, {
+    beforeSend: rateLimiter && (async () => {
+      ticket = await rateLimiter.acquire(estimateTokens(systemPrompt + userPrompt) + provider.maxTokens);
+    }),
+    accept
+  });
 
-  try {
-    const response = await axios.post(lmStudioUrl, requestBody, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+  if (ticket && result.usage) {
+    ticket.settle(result.usage.promptTokens + result.usage.completionTokens);
+  }
+  return result;
+}
 
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`LM Studio API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+async function analyzeText(provider, prompt, text, options = {}) {
+  const result = await requestAnalysis(provider, composePrompt(prompt, text), options);
+  return result.content;
+}
+
+// Room left for the part and merge wording around the prompt and text
+const SPLIT_PROMPT_OVERHEAD_TOKENS = 200;
+
+/**
+ * Tokens of text that fit in one request alongside the system prompt, the
+ * user prompt (and schema instructions) and the output allowance.
+ */
+function analysisInputBudget(provider, promptText, contextWindow = contextWindowFor(provider.model), systemPrompt = ANALYSIS_SYSTEM_PROMPT) {
+  const budget = contextWindow - provider.maxTokens -
+    estimateTokens(systemPrompt + promptText) - SPLIT_PROMPT_OVERHEAD_TOKENS;
+  if (budget < 100) {
+    throw new Error(`The prompt and ${provider.maxTokens}-token output allowance leave no room for text in a ${contextWindow}-token context window; use a shorter prompt, a lower --max-tokens or a larger --context-window`);
+  }
+  return budget;
+}
+
+function formatPartials(partials) {
+  return partials.map((partial, index) => `Part ${index + 1} analysis:\n${partial}`).join('\n\n');
+}
+
+function mergePrompt(prompt, partCount, final = true) {
+  const target = final ? 'a single answer for the whole text' : 'one analysis';
+  return addInstructions(prompt, `The text was too long to analyze at once, so it was split into ${partCount} parts and each part was analyzed separately. Combine the partial analyses below into ${target}, merging duplicates and keeping anything mentioned in only one of them.`);
+}
+
+/**
+ * Merge partial analyses in groups that fit the budget until the remainder
+ * fits in a single request. Every pass merges at least one pair, so the list
+ * always shrinks.
+ */
+async function reducePartials(prompt, partials, { partCount, budget, request }) {
+  let current = partials;
+  while (current.length > 1 && estimateTokens(formatPartials(current)) > budget) {
+    const groups = [];
+    let group = [];
+    current.forEach(partial => {
+      const candidate = [...group, partial];
+      if (group.length >= 2 && estimateTokens(formatPartials(candidate)) > budget) {
+        groups.push(group);
+        group = [partial];
+      } else {
+        group = candidate;
+      }
+    });
+    groups.push(group);
+
+    console.log(`  ↻ Partial analyses are over the context budget; merging them in ${groups.length} groups first`);
+    current = [];
+    for (const members of groups) {
+      if (members.length === 1) {
+        current.push(members[0]);
+        continue;
+      }
+      const result = await request(composePrompt(mergePrompt(prompt, partCount, false), formatPartials(members), { label: '' }));
+      current.push(result.content);
     }
-    throw new Error(`LM Studio connection error: ${error.message}`);
   }
+  return current;
 }
 
-async function sendToCopilot(prompt, text) {
-  const copilotApiKey = process.env.COPILOT_API_KEY;
-  const copilotUrl = process.env.COPILOT_API_URL;
-  const deployment = process.env.COPILOT_DEPLOYMENT || 'gpt-5-chat';
-  const apiVersion = process.env.AZURE_API_VERSION || '2024-02-15-preview';
+/**
+ * Analyze one record's text, splitting it when it won't fit in the model's
+ * context window: each part is analyzed on its own and the partial analyses
+ * are merged in a final request (structured when schema is given). Returns
+ * { response, value, fields, flags } where flags notes a split ("split:3")
+ * and any request cut off by the output limit ("truncated").
+ */
+async function analyzeRecord(provider, prompt, text, { schema = null, contextWindow, ...options } = {}) {
+  const flags = [];
+  const request = async (userPrompt, requestOptions = {}) => {
+    const result = await requestAnalysis(provider, userPrompt, { ...options, ...requestOptions });
+    if (result.finishReason === 'length' && !flags.includes('truncated')) {
+      flags.push('truncated');
+    }
+    return result;
+  };
 
-  if (!copilotApiKey) {
-    throw new Error('COPILOT_API_KEY environment variable is required for Copilot integration');
+  const instructions = schema ? buildSchemaInstructions(schema) : '';
+  const budget = analysisInputBudget(provider, `${prompt}\n\n${instructions}`, contextWindow, options.systemPrompt);
+  let input = text;
+  let finalPrompt = prompt;
+
+  if (estimateTokens(text) > budget) {
+    const parts = splitTextByTokens(text, budget);
+    flags.push(`split:${parts.length}`);
+    console.log(`  ↻ Text is ~${estimateTokens(text)} tokens, over the ${budget}-token budget; analyzing it in ${parts.length} parts`);
+
+    const partials = [];
+    for (let i = 0; i < parts.length; i++) {
+      const result = await request(composePrompt(prompt, parts[i], {
+        note: `This is part ${i + 1} of ${parts.length} of a longer text. Analyze only this part.`
+      }));
+      partials.push(result.content);
+    }
+
+    const remaining = await reducePartials(prompt, partials, { partCount: parts.length, budget, request });
+    input = formatPartials(remaining);
+    finalPrompt = mergePrompt(prompt, parts.length);
   }
 
-  if (!copilotUrl) {
-    throw new Error('COPILOT_API_URL environment variable is required. Set it to your Azure OpenAI base URL (e.g., https://xxx.openai.azure.com)');
+  let outcome;
+  if (schema) {
+    outcome = await analyzeStructured(provider, finalPrompt, input, schema, { ...options, request });
+  } else {
+    const userPrompt = input === text ? composePrompt(prompt, text) : composePrompt(finalPrompt, input, { label: '' });
+    outcome = { response: (await request(userPrompt)).content, value: null, fields: {} };
+  }
+  // Fail the record (so --retry-errors can redo it) rather than the run
+  if (typeof outcome.response !== 'string') {
+    throw new Error(`${provider.label} returned no text response`);
   }
 
-  // Build Azure OpenAI endpoint URL
-  const fullUrl = `${copilotUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+  if (flags.includes('truncated')) {
+    console.warn(`  ⚠ A response hit the ${provider.maxTokens}-token output limit (finish_reason=length) and may be cut off; raise --max-tokens`);
+  }
+  return { ...outcome, flags };
+}
 
-  const requestBody = {
-    messages: [
-      {
-        role: "system",
-        content: "You are a helpful AI assistant that analyzes text and provides insights based on the given prompt."
-      },
-      {
-        role: "user",
-        content: `${prompt}\n\nText to analyze: ${text}`
-      }
-    ],
-    temperature: 0.7,
-    max_tokens: 500
-  };
+// A pipeline step's prompt for a record, with earlier steps' answers filled in
+function stepPrompt(step, record, fieldMetadata, stepOutputs = {}) {
+  const prompt = step.template.render(record, fieldMetadata, stepOutputs);
+  return step.codebook ? buildCodebookPrompt(prompt, step.codebook) : prompt;
+}
 
-  try {
-    const response = await axios.post(fullUrl, requestBody, {
-      headers: {
-        'api-key': copilotApiKey,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000 // 60 second timeout for Copilot
-    });
+/**
+ * Run a record's text through pipeline steps in order. Steps in completed
+ * (see completedSteps) are reused as they are; the first step that fails
+ * stops the record and leaves the later steps empty. Steps run now are
+ * recorded as produced by runId. Returns { response,
+ * cells, flags } where response is the last step's answer or
+ * "Error: <step>: <message>", plus failedStep and error on failure.
+ */
+async function analyzePipeline(steps, record, text, { fieldMetadata = {}, completed = {}, maskPrompt = prompt => prompt, restore = null, runId, ...options } = {}) {
+  const outputs = {};
+  const cells = {};
+  const runIds = {};
+  const flags = [];
+  let response = '';
+
+  for (const step of steps) {
+    if (completed[step.name]) {
+      response = completed[step.name].response;
+      outputs[step.name] = response;
+      Object.assign(cells, completed[step.name].cells);
+      runIds[step.name] = completed[step.name].runId;
+      continue;
+    }
+    runIds[step.name] = runId;
+    try {
+      let analysis = await analyzeRecord(step.provider, maskPrompt(stepPrompt(step, record, fieldMetadata, outputs)), text, {
+        ...options,
+        schema: step.responseSchema,
+        systemPrompt: step.systemPrompt
+      });
+      if (restore) {
+        analysis = restore(analysis, step);
+      }
+      response = analysis.response;
+      outputs[step.name] = response;
+      Object.assign(cells, stepCells(step, analysis));
+      flags.push(...analysis.flags.map(flag => `${step.name}:${flag}`));
+    } catch (error) {
+      cells[step.column.id] = `Error: ${error.message}`;
+      return {
+        response: `Error: ${step.name}: ${error.message}`,
+        cells: withStepVersions(steps, cells, runIds),
+        flags,
+        failedStep: step.name,
+        error: error.message
+      };
+    }
+  }
+  return { response, cells: withStepVersions(steps, cells, runIds), flags };
+}
 
-    // Handle Azure OpenAI response format
-    if (response.data.choices && response.data.choices[0]) {
-      return response.data.choices[0].message.content;
-    } else {
-      throw new Error(`Unexpected API response format: ${JSON.stringify(response.data)}`);
+/**
+ * Estimate what analyzeRecord would send for each record without calling the
+ * provider: empty records, text sizes, requests and tokens, using the same
+ * budget and splitting. promptFor(record) returns the record's prompt.
+ * Schema re-prompts aren't counted.
+ */
+async function planAnalysis(records, { fields, fieldMetadata, provider, promptFor, schema = null, contextWindow, systemPrompt = ANALYSIS_SYSTEM_PROMPT }) {
+  const instructions = schema ? buildSchemaInstructions(schema) : '';
+  const plan = { budget: null, records: 0, empty: 0, split: 0, textTokens: [], requests: 0, inputTokens: 0, outputTokens: 0 };
+
+  for await (const record of records) {
+    plan.records++;
+    const text = combineFieldsWithLabels(record, fields, fieldMetadata);
+    if (!text.trim()) {
+      plan.empty++;
+      continue;
     }
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Copilot API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+    const prompt = promptFor(record);
+    const budget = analysisInputBudget(provider, `${prompt}\n\n${instructions}`, contextWindow, systemPrompt);
+    const overhead = estimateTokens(systemPrompt + composePrompt(prompt, '', { note: instructions }));
+    plan.budget = plan.budget === null ? budget : Math.min(plan.budget, budget);
+    const tokens = estimateTokens(text);
+    plan.textTokens.push(tokens);
+    if (tokens <= budget) {
+      plan.requests++;
+      plan.inputTokens += overhead + tokens;
+      continue;
     }
-    throw new Error(`Copilot connection error: ${error.message}`);
+    // One request per part, then merges of the partial analyses, each up to
+    // the output allowance long; too many partials are merged in groups first
+    const parts = splitTextByTokens(text, budget);
+    const partialTokens = parts.length * provider.maxTokens;
+    const merges = partialTokens > budget ? Math.ceil(partialTokens / budget) + 1 : 1;
+    plan.split++;
+    plan.requests += parts.length + merges;
+    plan.inputTokens += (parts.length + merges) * (overhead + SPLIT_PROMPT_OVERHEAD_TOKENS) + tokens + partialTokens;
+  }
+
+  plan.outputTokens = plan.requests * provider.maxTokens;
+  return plan;
+}
+
+function printAnalysisPlan(plan, { provider, priceTable, skipped, outputFile, stepPlans = [] }) {
+  const toAnalyze = plan.records - plan.empty;
+  console.log('');
+  console.log('Dry run: no LLM calls made and no results written');
+  console.log(`  Matched records: ${plan.records + skipped}`);
+  console.log(`  Already processed: ${skipped}${skipped > 0 ? ` (in ${outputFile})` : ''}`);
+  console.log(`  Empty (skipped): ${plan.empty}`);
+  console.log(`  To analyze: ${toAnalyze}${plan.split > 0 ? ` (${plan.split} over the ${plan.budget}-token text budget would be split)` : ''}`);
+  console.log(`  Text tokens per record: ${describeTokenDistribution(plan.textTokens)}`);
+  if (stepPlans.length > 0) {
+    console.log('  Steps, for the records still missing each one (earlier answers used in prompts aren\'t counted):');
+    stepPlans.forEach(({ step, plan: stepPlan }) => {
+      console.log(`    ${step.name}: ${stepPlan.records - stepPlan.empty} records, ~${stepPlan.requests} requests (~${formatTokenCount(stepPlan.inputTokens)} input tokens, up to ${formatTokenCount(stepPlan.outputTokens)} output tokens), cost ${describeCost(step.provider, stepPlan, priceTable)}`);
+    });
+    return;
+  }
+  console.log(`  Requests: ~${plan.requests} (~${formatTokenCount(plan.inputTokens)} input tokens, up to ${formatTokenCount(plan.outputTokens)} output tokens)`);
+  console.log(`  Estimated cost: ${describeCost(provider, plan, priceTable)}`);
+}
+
+/**
+ * Ask for a JSON answer matching schema. An invalid answer gets exactly one
+ * re-prompt that includes the validation errors; if that is invalid too the
+ * record fails. Returns { response, value, fields } with fields keyed by the
+ * schemaColumns ids. options.request replaces requestAnalysis for sending.
+ * Answers that fail validation are not cached.
+ */
+async function analyzeStructured(provider, prompt, text, schema, { request, ...options } = {}) {
+  const send = request || ((userPrompt, requestOptions) => requestAnalysis(provider, userPrompt, { ...options, ...requestOptions }));
+  // Only valid answers are cached, so a retry asks the provider again
+  const accept = result => !parseStructuredResponse(result.content, schema).errors;
+  const userPrompt = composePrompt(prompt, text, { note: buildSchemaInstructions(schema) });
+  const first = await send(userPrompt, { accept });
+  let parsed = parseStructuredResponse(first.content, schema);
+
+  if (parsed.errors) {
+    console.log(`  ↻ Response did not match the schema (${parsed.errors.join('; ')}), re-prompting once`);
+    const retryPrompt = [
+      userPrompt,
+      `Your previous response was:\n${first.content}`,
+      `It was rejected because: ${parsed.errors.join('; ')}`,
+      'Respond again with only a corrected JSON object.'
+    ].join('\n\n');
+    const second = await send(retryPrompt, { accept });
+    parsed = parseStructuredResponse(second.content, schema);
   }
+
+  if (parsed.errors) {
+    throw new Error(`Invalid structured response: ${parsed.errors.join('; ')}`);
+  }
+
+  return {
+    response: JSON.stringify(parsed.value),
+    value: parsed.value,
+    fields: flattenStructured(parsed.value, schema)
+  };
 }
 
-async function appendResultsToCSV(results, filename, filterField, skipHeaderCheck = false) {
+/**
+ * Replace redaction placeholders in an analyzeRecord result with the values
+ * they stand for. Structured answers are restored field by field so the JSON
+ * stays valid.
+ */
+function restoreAnalysis(analysis, pii, schema) {
+  if (analysis.value === null || analysis.value === undefined) {
+    return { ...analysis, response: pii.restore(analysis.response) };
+  }
+  const value = pii.restoreValue(analysis.value);
+  return {
+    ...analysis,
+    value,
+    response: JSON.stringify(value),
+    fields: schema ? flattenStructured(value, schema) : analysis.fields
+  };
+}
+
+// Kept for callers that still pick a backend by function name
+async function sendToLMStudio(prompt, text) {
+  return analyzeText(createProvider('lmstudio'), prompt, text);
+}
+
+async function sendToCopilot(prompt, text) {
+  return analyzeText(createProvider('azure'), prompt, text);
+}
+
+async function appendResultsToCSV(results, filename, filterField, skipHeaderCheck = false, extraColumns = []) {
   if (results.length === 0) return;
 
   const fileExists = fs.existsSync(filename);
@@ -442,18 +1494,151 @@ async function appendResultsToCSV(results, filename, filterField, skipHeaderChec
 
   const csvWriter = createObjectCsvWriter({
     path: filename,
-    header: [
-      { id: 'recordId', title: 'Salesforce Record ID' },
-      { id: filterField, title: filterField },
-      { id: 'originalText', title: 'Original Text' },
-      { id: 'response', title: 'LM Studio Response' }
-    ],
+    header: resultColumns(filterField, extraColumns),
     append: fileExists
   });
 
   await csvWriter.writeRecords(results);
 }
 
+// extraColumns (e.g. structured output fields) sit between the original text
+// and the raw response
+function resultColumns(filterField, extraColumns = []) {
+  return [
+    { id: 'recordId', title: 'Salesforce Record ID' },
+    // Record selections other than a filter CSV have no filter column
+    ...(filterField ? [{ id: filterField, title: filterField }] : []),
+    { id: 'originalText', title: 'Original Text' },
+    ...extraColumns,
+    { id: 'response', title: 'LM Studio Response' },
+    { id: 'runId', title: 'Run ID' },
+    // Notes on how the response was produced: "split:N", "truncated"
+    { id: 'flags', title: 'Flags' }
+  ];
+}
+
+async function writeResultRows(filename, headers, rows) {
+  const tempFile = `${filename}.tmp`;
+  const csvWriter = createObjectCsvWriter({
+    path: tempFile,
+    header: headers.map(title => ({ id: title, title }))
+  });
+  await csvWriter.writeRecords(rows);
+  await fs.promises.rename(tempFile, filename);
+}
+
+/**
+ * Make sure an existing results file has exactly the current result columns
+ * so appended rows line up. Files from older versions (e.g. without the
+ * "Run ID" column) are rewritten once with the missing columns left empty.
+ */
+async function ensureResultColumns(filename, filterField, extraColumns = []) {
+  if (!fs.existsSync(filename)) return;
+
+  const { headers, rows } = await readResultRows(filename);
+  const titles = resultColumns(filterField, extraColumns).map(column => column.title);
+  if (headers.length === 0 || JSON.stringify(headers) === JSON.stringify(titles)) return;
+
+  const extra = headers.filter(title => !titles.includes(title));
+  console.log(`Updating columns in ${filename} to match the current output format`);
+  await writeResultRows(filename, [...titles, ...extra], rows);
+}
+
+// Replaced rows written per rewrite of the results file
+const REPLACE_BATCH_SIZE = 100;
+
+/**
+ * Collect results to replace in the results file and hand them to write in
+ * batches of batchSize through writeQueue. add(result) resolves to true once
+ * the result's batch is written, or false while it is still waiting;
+ * flush() writes whatever is waiting and resolves when the queue is idle.
+ */
+function createReplacementBatcher(writeQueue, write, { batchSize = REPLACE_BATCH_SIZE } = {}) {
+  let pending = [];
+  const flush = () => {
+    if (pending.length === 0) return writeQueue.drain();
+    const batch = pending;
+    pending = [];
+    return writeQueue.push(() => write(batch));
+  };
+  return {
+    async add(result) {
+      pending.push(result);
+      if (pending.length < batchSize) return false;
+      await flush();
+      return true;
+    },
+    flush
+  };
+}
+
+/**
+ * Ctrl+C handling for a run. The first interrupt stops dispatching
+ * (stopped() turns true) and lets in-flight records finish writing so the
+ * output stays resumable. The second writes the results flush() still holds,
+ * so retried and resumed pipeline rows already paid for aren't lost, then
+ * exits; a third exits immediately.
+ */
+function createInterruptHandler({ flush, exit = code => process.exit(code) }) {
+  let presses = 0;
+  const handler = () => {
+    presses++;
+    if (presses === 1) {
+      console.log('\nInterrupted - finishing in-flight records (press Ctrl+C again to exit immediately)...');
+      return undefined;
+    }
+    if (presses === 2) {
+      console.log('\nWriting queued results, then exiting (press Ctrl+C again to exit without them)...');
+      return Promise.resolve()
+        .then(flush)
+        .catch(error => console.error('Error writing queued results:', error.message))
+        .finally(() => exit(130));
+    }
+    return exit(130);
+  };
+  return { handler, stopped: () => presses > 0 };
+}
+
+/**
+ * Replace rows for the given results in an existing output file, leaving one
+ * row per record. Duplicate rows already in the file are collapsed too,
+ * preferring a successful response over an error. The file is rewritten via
+ * a temporary file and rename so an interruption never leaves it truncated.
+ */
+async function replaceResultsInCSV(results, filename, filterField, extraColumns = []) {
+  const columns = resultColumns(filterField, extraColumns);
+  const { headers: existingHeaders, rows } = await readResultRows(filename);
+  const headers = [...existingHeaders];
+  columns.forEach(column => {
+    if (!headers.includes(column.title)) headers.push(column.title);
+  });
+
+  const byId = new Map();
+  const order = [];
+  const keep = (recordId, row) => {
+    if (!byId.has(recordId)) order.push(recordId);
+    byId.set(recordId, row);
+  };
+
+  rows.forEach(row => {
+    const recordId = rowRecordId(row);
+    if (!recordId) return;
+    const existing = byId.get(recordId);
+    if (existing && !isErrorRow(existing) && isErrorRow(row)) return;
+    keep(recordId, row);
+  });
+
+  results.forEach(result => {
+    const row = {};
+    columns.forEach(column => {
+      row[column.title] = result[column.id];
+    });
+    keep(result.recordId, row);
+  });
+
+  await writeResultRows(filename, headers, order.map(recordId => byId.get(recordId)));
+}
+
 // Keep the old function for backward compatibility
 async function writeResultsToCSV(results, filename, filterField) {
   await appendResultsToCSV(results, filename, filterField, false);
@@ -463,4 +1648,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main, getProcessedRecordIds, readCsvFile, getFieldMetadata, combineFieldsWithLabels, chunkArray, querySalesforceRecordsChunk, querySalesforceRecords, sendToLMStudio, sendToCopilot, appendResultsToCSV, writeResultsToCSV };
\ No newline at end of file
+module.exports = { main, getProcessedRecordIds, readCsvFile, getFieldMetadata, combineFieldsWithLabels, chunkArray, querySalesforceRecordsChunk, querySalesforceRecords, fetchQueryPages, recordSelection, buildSelectionQuery, analyzeText, analyzeStructured, analyzeRecord, analyzePipeline, planAnalysis, sendToLMStudio, sendToCopilot, appendResultsToCSV, writeResultsToCSV, readResultRows, replaceResultsInCSV, createReplacementBatcher, createInterruptHandler, ensureResultColumns, writeBackResults };
\ No newline at end of file
@@ -1,11 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const nock = require('nock');
-const { sendToCopilot } = require('./index');
+const { createProvider } = require('./llmProviders');
+const { createLlmCache } = require('./llmCache');
+const { createSalesforceClient } = require('./sfdcClient');
+const { sendToCopilot, analyzeStructured, analyzeRecord, analyzePipeline, planAnalysis, getFieldMetadata, combineFieldsWithLabels, querySalesforceRecords, fetchQueryPages, recordSelection, buildSelectionQuery, writeBackResults, appendResultsToCSV, replaceResultsInCSV, createReplacementBatcher, createInterruptHandler, readResultRows, getProcessedRecordIds, ensureResultColumns } = require('./index');
+const { createSerialQueue } = require('./workerPool');
+const { parsePromptTemplate } = require('./promptTemplate');
+const { loadPipeline, pipelineColumns, completedSteps } = require('./pipeline');
+
+const AZURE_BASE_URL = 'https://test-resource.openai.azure.com';
+const AZURE_PATH = '/openai/deployments/gpt-5-chat/chat/completions';
+
+const salesforce = () => createSalesforceClient({
+  session: { accessToken: 'token', instanceUrl: 'https://example.my.salesforce.com' }
+});
 
 describe('Copilot Integration', () => {
   beforeEach(() => {
     // Clean up any previous environment variables
     delete process.env.COPILOT_API_KEY;
     delete process.env.COPILOT_API_URL;
+    delete process.env.COPILOT_DEPLOYMENT;
+    delete process.env.COPILOT_TIMEOUT_MS;
+    delete process.env.RETRY_MAX_ATTEMPTS;
     nock.cleanAll();
   });
 
@@ -16,26 +35,26 @@ describe('Copilot Integration', () => {
   describe('sendToCopilot', () => {
     it('should successfully send a request to Copilot and receive a response', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
-      process.env.COPILOT_API_URL = 'https://api.github.com/copilot_internal/v2/token';
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
 
       const prompt = 'Extract meta-themes from this survey response';
       const text = 'I love the recognition program at work. It makes me feel valued.';
       const expectedResponse = 'Meta-themes: Recognition, Employee Value, Positive Sentiment';
 
       // Mock the Copilot API response
-      const scope = nock('https://api.github.com')
-        .post('/copilot_internal/v2/token', (body) => {
+      const scope = nock(AZURE_BASE_URL)
+        .post(AZURE_PATH, (body) => {
           // Verify request body
           expect(body.messages).toHaveLength(2);
           expect(body.messages[0].role).toBe('system');
           expect(body.messages[1].role).toBe('user');
           expect(body.messages[1].content).toContain(prompt);
           expect(body.messages[1].content).toContain(text);
-          expect(body.model).toBe('gpt-4');
           expect(body.temperature).toBe(0.7);
           expect(body.max_tokens).toBe(500);
           return true;
         })
+        .query({ 'api-version': '2024-02-15-preview' })
         .reply(200, {
           choices: [
             {
@@ -61,11 +80,21 @@ describe('Copilot Integration', () => {
       );
     });
 
+    it('should throw an error when COPILOT_API_URL is not set', async () => {
+      process.env.COPILOT_API_KEY = 'test-api-key';
+
+      await expect(sendToCopilot('prompt', 'text')).rejects.toThrow(
+        /COPILOT_API_URL environment variable is required/
+      );
+    });
+
     it('should handle Copilot API errors', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
 
-      const scope = nock('https://api.github.com')
-        .post('/copilot_internal/v2/token')
+      const scope = nock(AZURE_BASE_URL)
+        .post(AZURE_PATH)
+        .query(true)
         .reply(401, {
           error: 'Unauthorized',
           message: 'Invalid API key'
@@ -80,9 +109,11 @@ describe('Copilot Integration', () => {
 
     it('should handle network errors', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
 
-      const scope = nock('https://api.github.com')
-        .post('/copilot_internal/v2/token')
+      const scope = nock(AZURE_BASE_URL)
+        .post(AZURE_PATH)
+        .query(true)
         .replyWithError('Network error occurred');
 
       await expect(sendToCopilot('prompt', 'text')).rejects.toThrow(
@@ -92,12 +123,14 @@ describe('Copilot Integration', () => {
       expect(scope.isDone()).toBe(true);
     });
 
-    it('should use custom COPILOT_API_URL when provided', async () => {
+    it('should use custom COPILOT_DEPLOYMENT when provided', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
-      process.env.COPILOT_API_URL = 'https://custom-copilot-api.example.com/v1/chat';
+      process.env.COPILOT_API_URL = 'https://custom-resource.openai.azure.com/';
+      process.env.COPILOT_DEPLOYMENT = 'custom-deployment';
 
-      const scope = nock('https://custom-copilot-api.example.com')
-        .post('/v1/chat')
+      const scope = nock('https://custom-resource.openai.azure.com')
+        .post('/openai/deployments/custom-deployment/chat/completions')
+        .query(true)
         .reply(200, {
           choices: [
             {
@@ -116,15 +149,16 @@ describe('Copilot Integration', () => {
 
     it('should include proper headers in the request', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key-123';
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
 
-      const scope = nock('https://api.github.com', {
+      const scope = nock(AZURE_BASE_URL, {
         reqheaders: {
-          'Authorization': 'Bearer test-api-key-123',
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
+          'api-key': 'test-api-key-123',
+          'Content-Type': 'application/json'
         }
       })
-        .post('/copilot_internal/v2/token')
+        .post(AZURE_PATH)
+        .query(true)
         .reply(200, {
           choices: [
             {
@@ -142,16 +176,18 @@ describe('Copilot Integration', () => {
 
     it('should format the prompt and text correctly', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
 
       const prompt = 'Analyze sentiment';
       const text = 'This is amazing!';
 
-      const scope = nock('https://api.github.com')
-        .post('/copilot_internal/v2/token', (body) => {
+      const scope = nock(AZURE_BASE_URL)
+        .post(AZURE_PATH, (body) => {
           const userMessage = body.messages[1].content;
           expect(userMessage).toBe(`${prompt}\n\nText to analyze: ${text}`);
           return true;
         })
+        .query(true)
         .reply(200, {
           choices: [
             {
@@ -169,10 +205,14 @@ describe('Copilot Integration', () => {
 
     it('should handle timeout correctly', async () => {
       process.env.COPILOT_API_KEY = 'test-api-key';
-
-      const scope = nock('https://api.github.com')
-        .post('/copilot_internal/v2/token')
-        .delayConnection(61000) // Delay longer than timeout
+      process.env.COPILOT_API_URL = AZURE_BASE_URL;
+      process.env.COPILOT_TIMEOUT_MS = '200';
+      process.env.RETRY_MAX_ATTEMPTS = '1';
+
+      nock(AZURE_BASE_URL)
+        .post(AZURE_PATH)
+        .query(true)
+        .delayConnection(1000) // Delay longer than timeout
         .reply(200, {
           choices: [
             {
@@ -183,9 +223,661 @@ describe('Copilot Integration', () => {
           ]
         });
 
-      await expect(sendToCopilot('prompt', 'text')).rejects.toThrow();
+      await expect(sendToCopilot('prompt', 'text')).rejects.toThrow(/Copilot connection error/);
 
       nock.cleanAll();
-    }, 70000); // Increase test timeout to 70 seconds to accommodate the 60 second delay
+    });
+  });
+});
+
+describe('Results file handling', () => {
+  let tmpDir;
+  let outputFile;
+
+  const row = (recordId, response) => ({
+    recordId,
+    Employee_Record_ID__c: `emp-${recordId}`,
+    originalText: `text for ${recordId}`,
+    response
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    outputFile = path.join(tmpDir, 'results.csv');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should replace errored rows in place without duplicating records', async () => {
+    await appendResultsToCSV([
+      row('a1', 'themes one'),
+      row('a2', 'Error: LM Studio connection error: timeout'),
+      row('a3', 'themes three')
+    ], outputFile, 'Employee_Record_ID__c', true);
+
+    await replaceResultsInCSV([row('a2', 'themes two')], outputFile, 'Employee_Record_ID__c');
+
+    const { headers, rows } = await readResultRows(outputFile);
+    expect(headers).toEqual(['Salesforce Record ID', 'Employee_Record_ID__c', 'Original Text', 'LM Studio Response', 'Run ID', 'Flags']);
+    expect(rows.map(r => [r['Salesforce Record ID'], r['LM Studio Response']])).toEqual([
+      ['a1', 'themes one'],
+      ['a2', 'themes two'],
+      ['a3', 'themes three']
+    ]);
+    expect(fs.existsSync(`${outputFile}.tmp`)).toBe(false);
+  });
+
+  it('should collapse duplicate rows, preferring successful responses', async () => {
+    await appendResultsToCSV([
+      row('a1', 'themes one'),
+      row('a1', 'Error: Copilot API error: 503'),
+      row('a2', 'Error: Copilot API error: 503')
+    ], outputFile, 'Employee_Record_ID__c', true);
+
+    await replaceResultsInCSV([row('a2', 'Error: Copilot API error: 429')], outputFile, 'Employee_Record_ID__c');
+
+    const { rows } = await readResultRows(outputFile);
+    expect(rows.map(r => r['LM Studio Response'])).toEqual(['themes one', 'Error: Copilot API error: 429']);
+    expect((await getProcessedRecordIds(outputFile)).size).toBe(2);
+  });
+
+  it('should add missing columns to results files from older versions', async () => {
+    fs.writeFileSync(outputFile, [
+      'Salesforce Record ID,Employee_Record_ID__c,Original Text,LM Studio Response',
+      'a1,emp-a1,text,themes'
+    ].join('\n') + '\n');
+
+    await ensureResultColumns(outputFile, 'Employee_Record_ID__c');
+    await appendResultsToCSV([{ ...row('a2', 'more themes'), runId: 'run-1' }], outputFile, 'Employee_Record_ID__c', true);
+
+    const { headers, rows } = await readResultRows(outputFile);
+    expect(headers[4]).toBe('Run ID');
+    expect(rows.map(r => r['Run ID'])).toEqual(['', 'run-1']);
+  });
+
+  it('should replace retried rows in batches', async () => {
+    await appendResultsToCSV(['a1', 'a2', 'a3'].map(id => row(id, 'Error: timeout')), outputFile, 'Employee_Record_ID__c', true);
+    const write = jest.fn(batch => replaceResultsInCSV(batch, outputFile, 'Employee_Record_ID__c'));
+    const replacements = createReplacementBatcher(createSerialQueue(), write, { batchSize: 2 });
+
+    expect(await replacements.add(row('a1', 'themes one'))).toBe(false);
+    expect(await replacements.add(row('a2', 'themes two'))).toBe(true);
+    expect(await replacements.add(row('a3', 'themes three'))).toBe(false);
+    expect(write).toHaveBeenCalledTimes(1);
+    await replacements.flush();
+
+    expect(write.mock.calls.map(([batch]) => batch.map(result => result.recordId))).toEqual([['a1', 'a2'], ['a3']]);
+    expect((await readResultRows(outputFile)).rows.map(r => r['LM Studio Response'])).toEqual(['themes one', 'themes two', 'themes three']);
+  });
+
+  it('should write queued replacements before exiting on a second Ctrl+C', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await appendResultsToCSV([row('a1', 'Error: timeout')], outputFile, 'Employee_Record_ID__c', true);
+    const replacements = createReplacementBatcher(createSerialQueue(), batch => replaceResultsInCSV(batch, outputFile, 'Employee_Record_ID__c'));
+    await replacements.add(row('a1', 'themes one'));
+    const exit = jest.fn();
+    const interrupt = createInterruptHandler({ flush: replacements.flush, exit });
+
+    interrupt.handler();
+    expect(interrupt.stopped()).toBe(true);
+    expect(exit).not.toHaveBeenCalled();
+
+    await interrupt.handler();
+    expect(exit).toHaveBeenCalledWith(130);
+    expect((await readResultRows(outputFile)).rows.map(r => r['LM Studio Response'])).toEqual(['themes one']);
+
+    interrupt.handler();
+    expect(exit).toHaveBeenCalledTimes(2);
+    console.log.mockRestore();
+  });
+});
+
+describe('analyzeStructured', () => {
+  const schema = {
+    type: 'object',
+    required: ['themes', 'sentiment'],
+    properties: {
+      themes: { type: 'array', items: { type: 'string' } },
+      sentiment: { type: 'string', enum: ['positive', 'negative'] }
+    }
+  };
+
+  beforeEach(() => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LM_STUDIO_URL;
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  const answer = (content) => ({ choices: [{ message: { content } }] });
+
+  it('should re-prompt once with the validation error and flatten the corrected answer', async () => {
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => body.messages[1].content.includes('JSON Schema'))
+      .reply(200, answer('{"themes": "Recognition", "sentiment": "positive"}'))
+      .post('/v1/chat/completions', (body) => body.messages[1].content.includes('$.themes: expected array, got string'))
+      .reply(200, answer('{"themes": ["Recognition"], "sentiment": "positive"}'));
+
+    const result = await analyzeStructured(createProvider('lmstudio'), 'Extract themes', 'text', schema);
+
+    expect(result).toEqual({
+      response: '{"themes":["Recognition"],"sentiment":"positive"}',
+      value: { themes: ['Recognition'], sentiment: 'positive' },
+      fields: { 'structured.themes': 'Recognition', 'structured.sentiment': 'positive' }
+    });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should fail the record when the re-prompted answer is still invalid', async () => {
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions')
+      .times(2)
+      .reply(200, answer('{"themes": []}'));
+
+    await expect(analyzeStructured(createProvider('lmstudio'), 'Extract themes', 'text', schema))
+      .rejects.toThrow('Invalid structured response: $.sentiment: is required');
+  });
+
+  it('should cache only answers that pass validation', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    const provider = createProvider('lmstudio', { cache: createLlmCache({ directory: tmpDir }) });
+    try {
+      nock('http://lmstudio.test').post('/v1/chat/completions').times(2).reply(200, answer('{"themes": []}'));
+      await expect(analyzeStructured(provider, 'Extract themes', 'text', schema)).rejects.toThrow('Invalid structured response');
+
+      // A retry asks again instead of replaying the rejected answers
+      const scope = nock('http://lmstudio.test').post('/v1/chat/completions').reply(200, answer('{"themes": [], "sentiment": "positive"}'));
+      expect((await analyzeStructured(provider, 'Extract themes', 'text', schema)).value).toEqual({ themes: [], sentiment: 'positive' });
+      expect(scope.isDone()).toBe(true);
+      expect((await analyzeStructured(provider, 'Extract themes', 'text', schema)).value).toEqual({ themes: [], sentiment: 'positive' });
+      expect(provider.cache.stats()).toEqual({ hits: 1, misses: 3, writes: 1 });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('analyzeRecord', () => {
+  beforeEach(() => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.LM_STUDIO_URL;
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    nock.cleanAll();
+  });
+
+  const answer = (content, finishReason = 'stop') => ({ choices: [{ message: { content }, finish_reason: finishReason }] });
+  const paragraphs = (count) => Array.from({ length: count }, (_, i) => `Paragraph ${i + 1}. ${'word '.repeat(150).trim()}`).join('\n\n');
+
+  it('should send short text in a single request', async () => {
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => body.messages[1].content === 'Extract themes\n\nText to analyze: short text')
+      .reply(200, answer('Recognition'));
+
+    const result = await analyzeRecord(createProvider('lmstudio'), 'Extract themes', 'short text');
+
+    expect(result).toEqual({ response: 'Recognition', value: null, fields: {}, flags: [] });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should fail the record when a provider returns no text', async () => {
+    const echo = createProvider('echo');
+    const provider = { ...echo, definition: { ...echo.definition, complete: async () => ({ content: null, finishReason: 'content_filter' }) } };
+
+    await expect(analyzeRecord(provider, 'Extract themes', 'short text')).rejects.toThrow('Echo returned no text response');
+  });
+
+  it('should analyze oversized text in parts and merge the partial analyses', async () => {
+    const prompts = [];
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => prompts.push(body.messages[1].content))
+      .times(4)
+      .reply(200, () => answer(`analysis ${prompts.length}`));
+
+    // Room for roughly two ~190-token paragraphs per request
+    const provider = createProvider('lmstudio', { maxTokens: 100 });
+    const result = await analyzeRecord(provider, 'Extract themes', paragraphs(6), { contextWindow: 850 });
+
+    expect(result.flags).toEqual(['split:3']);
+    expect(prompts).toHaveLength(4);
+    expect(prompts[0]).toContain('This is part 1 of 3 of a longer text');
+    expect(prompts[0]).toContain('Paragraph 1.');
+    expect(prompts[0]).not.toContain('Paragraph 3.');
+    expect(prompts[2]).toContain('Paragraph 6.');
+    expect(prompts[3]).toContain('split into 3 parts');
+    expect(prompts[3]).toContain('Part 1 analysis:\nanalysis 1\n\nPart 2 analysis:\nanalysis 2\n\nPart 3 analysis:\nanalysis 3');
+    expect(result.response).toBe('analysis 4');
+  });
+
+  it('should merge partial analyses in groups when they are too long to merge at once', async () => {
+    const prompts = [];
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => prompts.push(body.messages[1].content))
+      .times(5)
+      .reply(200, () => answer(prompts.length <= 3 ? `analysis ${prompts.length} ${'detail '.repeat(150)}` : `merged ${prompts.length}`));
+
+    const provider = createProvider('lmstudio', { maxTokens: 100 });
+    const result = await analyzeRecord(provider, 'Extract themes', paragraphs(6), { contextWindow: 850 });
+
+    // The three long partials don't fit in one request, so the first two are
+    // merged on their own and the result merged with the third
+    expect(prompts).toHaveLength(5);
+    expect(prompts[3]).toContain('into one analysis');
+    expect(prompts[3]).toContain('Part 2 analysis:\nanalysis 2');
+    expect(prompts[3]).not.toContain('analysis 3');
+    expect(prompts[4]).toContain('into a single answer for the whole text');
+    expect(prompts[4]).toContain('Part 1 analysis:\nmerged 4\n\nPart 2 analysis:\nanalysis 3');
+    expect(result.response).toBe('merged 5');
+  });
+
+  it('should flag responses cut off by the output limit', async () => {
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions')
+      .reply(200, answer('Recognition, Work', 'length'));
+
+    const result = await analyzeRecord(createProvider('lmstudio'), 'Extract themes', 'short text');
+
+    expect(result.flags).toEqual(['truncated']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('finish_reason=length'));
+  });
+
+  it('should return structured fields from the merge request for oversized text', async () => {
+    const schema = { type: 'object', required: ['themes'], properties: { themes: { type: 'array', items: { type: 'string' } } } };
+    const prompts = [];
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => prompts.push(body.messages[1].content))
+      .times(4)
+      .reply(200, () => answer(prompts.length < 4 ? `partial ${prompts.length}` : '{"themes": ["Recognition"]}'));
+
+    const provider = createProvider('lmstudio', { maxTokens: 100 });
+    const result = await analyzeRecord(provider, 'Extract themes', paragraphs(6), { schema, contextWindow: 900 });
+
+    expect(prompts[0]).not.toContain('JSON Schema');
+    expect(prompts[3]).toContain('JSON Schema');
+    expect(prompts[3]).toContain('Part 3 analysis:\npartial 3');
+    expect(result.fields).toEqual({ 'structured.themes': 'Recognition' });
+    expect(result.flags).toEqual(['split:3']);
+  });
+
+  it('should place the text and schema instructions at a template\'s {{text}}', async () => {
+    const schema = { type: 'object', required: ['themes'], properties: { themes: { type: 'array', items: { type: 'string' } } } };
+    const requests = [];
+    nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => requests.push(body.messages))
+      .reply(200, answer('{"themes": ["Recognition"]}'));
+
+    const prompt = parsePromptTemplate('Department: {{field:Department__c}}\n\n{{text}}\n\nList the themes.')
+      .render({ Id: 'a1', Department__c: 'Nursing' });
+    const result = await analyzeRecord(createProvider('lmstudio'), prompt, 'great team', { schema, systemPrompt: 'You are an HR analyst.' });
+
+    const [system, user] = requests[0];
+    expect(system.content).toBe('You are an HR analyst.');
+    expect(user.content).toMatch(/^Department: Nursing\n\n[\s\S]*JSON Schema[\s\S]*\n\ngreat team\n\nList the themes\.$/);
+    expect(user.content).not.toContain('Text to analyze');
+    expect(result.fields).toEqual({ 'structured.themes': 'Recognition' });
+  });
+
+  it('should refuse to run when the prompt leaves no room for text', async () => {
+    await expect(analyzeRecord(createProvider('lmstudio'), 'Extract themes', 'text', { contextWindow: 600 }))
+      .rejects.toThrow('leave no room for text');
+  });
+
+  it('should plan requests and tokens without calling the provider', async () => {
+    const records = [
+      { Id: 'a1', Comment__c: 'short text' },
+      { Id: 'a2', Comment__c: null },
+      { Id: 'a3', Comment__c: paragraphs(6) }
+    ];
+    const provider = createProvider('lmstudio', { maxTokens: 100 });
+
+    const plan = await planAnalysis(records, { fields: ['Comment__c'], fieldMetadata: {}, provider, promptFor: () => 'Extract themes', contextWindow: 850 });
+
+    // The long record is analyzed in 3 parts plus one merge, as above
+    expect(plan).toEqual(expect.objectContaining({ records: 3, empty: 1, split: 1, requests: 5, outputTokens: 500 }));
+    expect(plan.textTokens).toHaveLength(2);
+    expect(plan.textTokens[0]).toBeLessThan(10);
+    expect(plan.inputTokens).toBeGreaterThan(plan.textTokens[1]);
+    expect(nock.pendingMocks()).toEqual([]);
+  });
+
+  describe('analyzePipeline', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const loadSteps = async (steps) => {
+      const file = path.join(tmpDir, 'pipeline.json');
+      fs.writeFileSync(file, JSON.stringify({ steps }));
+      const pipeline = await loadPipeline(file);
+      return { pipeline, steps: pipeline.steps.map(step => ({ ...step, provider: createProvider('lmstudio') })) };
+    };
+
+    it('should run steps in order with earlier answers in later prompts', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'schema.json'), JSON.stringify({ type: 'object', required: ['tone'], properties: { tone: { type: 'string' } } }));
+      const { steps } = await loadSteps([
+        { name: 'themes', prompt: 'Extract themes ({{field:Department__c}})' },
+        { name: 'sentiment', prompt: 'Themes: {{step:themes}}\n\n{{text}}', parse: 'json', schema: 'schema.json' }
+      ]);
+      const prompts = [];
+      nock('http://lmstudio.test')
+        .post('/v1/chat/completions', (body) => prompts.push(body.messages[1].content))
+        .times(2)
+        .reply(200, () => answer(prompts.length === 1 ? 'Recognition' : '{"tone": "positive"}'));
+
+      const result = await analyzePipeline(steps, { Id: 'a1', Department__c: 'Nursing' }, 'great team', { runId: 'run-1' });
+
+      expect(prompts[0]).toBe('Extract themes (Nursing)\n\nText to analyze: great team');
+      expect(prompts[1]).toMatch(/^Themes: Recognition\n\n[\s\S]*JSON Schema[\s\S]*great team$/);
+      expect(result.response).toBe('{"tone":"positive"}');
+      expect(result.cells).toEqual(expect.objectContaining({
+        'step.themes': 'Recognition',
+        'step.sentiment': '{"tone":"positive"}',
+        'sentiment.structured.tone': 'positive'
+      }));
+      expect(result.cells['pipeline.steps']).toMatch(/^themes:[0-9a-f]{8}@run-1; sentiment:[0-9a-f]{8}@run-1$/);
+    });
+
+    it('should write resumed rows queued for replacement before exiting on a second Ctrl+C', async () => {
+      const { pipeline, steps } = await loadSteps([
+        { name: 'themes', prompt: 'Extract themes' },
+        { name: 'tone', prompt: 'Rate the tone' }
+      ]);
+      const outputFile = path.join(tmpDir, 'results.csv');
+      const columns = pipelineColumns(pipeline);
+      await appendResultsToCSV([{ recordId: 'a1', originalText: 'great team', 'step.themes': 'Recognition', 'pipeline.steps': `themes:${pipeline.steps[0].hash.substring(0, 8)}@run-1`, response: 'Recognition', runId: 'run-1' }], outputFile, null, true, columns);
+      nock('http://lmstudio.test').post('/v1/chat/completions').reply(200, answer('positive'));
+
+      const row = (await readResultRows(outputFile)).rows[0];
+      const resumed = await analyzePipeline(steps, { Id: 'a1' }, 'great team', { completed: completedSteps(row, pipeline), runId: 'run-2' });
+      const replacements = createReplacementBatcher(createSerialQueue(), batch => replaceResultsInCSV(batch, outputFile, null, columns));
+      await replacements.add({ recordId: 'a1', originalText: 'great team', ...resumed.cells, response: resumed.response, runId: 'run-2' });
+      const exit = jest.fn();
+      const interrupt = createInterruptHandler({ flush: replacements.flush, exit });
+
+      interrupt.handler();
+      await interrupt.handler();
+
+      expect(exit).toHaveBeenCalledWith(130);
+      const [written] = (await readResultRows(outputFile)).rows;
+      expect([written.themes, written.tone, written['Run ID']]).toEqual(['Recognition', 'positive', 'run-2']);
+      expect(written['Pipeline Steps']).toMatch(/^themes:[0-9a-f]{8}@run-1; tone:[0-9a-f]{8}@run-2$/);
+    });
+
+    it('should reuse completed steps and stop at the first failure', async () => {
+      const { pipeline, steps } = await loadSteps([
+        { name: 'themes', prompt: 'Extract themes' },
+        { name: 'paraphrase', prompt: 'Paraphrase given {{step:themes}}' },
+        { name: 'label', prompt: 'Label it' }
+      ]);
+      const row = {
+        'Salesforce Record ID': 'a1',
+        themes: 'Recognition',
+        paraphrase: 'Error: LM Studio API error: 500',
+        'Pipeline Steps': `themes:${pipeline.steps[0].hash.substring(0, 8)}@run-1; paraphrase:${pipeline.steps[1].hash.substring(0, 8)}@run-1`
+      };
+      const scope = nock('http://lmstudio.test')
+        .post('/v1/chat/completions', (body) => body.messages[1].content.startsWith('Paraphrase given Recognition'))
+        .reply(400, { error: 'bad request' });
+
+      const result = await analyzePipeline(steps, { Id: 'a1' }, 'great team', { completed: completedSteps(row, pipeline), runId: 'run-2' });
+
+      expect(scope.isDone()).toBe(true);
+      expect(result.failedStep).toBe('paraphrase');
+      expect(result.response).toMatch(/^Error: paraphrase: LM Studio API error: 400/);
+      expect(result.cells['step.themes']).toBe('Recognition');
+      expect(result.cells['step.label']).toBeUndefined();
+      // The reused answer keeps the run that produced it
+      expect(result.cells['pipeline.steps']).toMatch(/^themes:[0-9a-f]{8}@run-1; paraphrase:[0-9a-f]{8}@run-2$/);
+    });
+  });
+});
+
+describe('Salesforce filter queries', () => {
+  const INSTANCE = 'https://example.my.salesforce.com';
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  const describeFields = () => nock(INSTANCE)
+    .get('/services/data/v58.0/sobjects/Survey__c/describe')
+    .reply(200, {
+      fields: [
+        { name: 'Comment__c', label: 'Comment', type: 'textarea', filterable: false },
+        { name: 'Employee_Number__c', label: 'Employee Number', type: 'double', filterable: true },
+        { name: 'Team__c', label: 'Team', type: 'string', filterable: true }
+      ]
+    });
+
+  it('should format filter values according to the field type', async () => {
+    describeFields();
+    const queries = [];
+    nock(INSTANCE)
+      .get('/services/data/v58.0/query')
+      .query(params => queries.push(params.q))
+      .times(2)
+      .reply(200, { records: [{ Id: '001000000000001AAA' }] });
+
+    const fieldMetadata = await getFieldMetadata(salesforce(), 'Survey__c', ['Comment__c', 'employee_number__c', 'Team__c']);
+    expect(fieldMetadata.employee_number__c).toEqual({ label: 'Employee Number', name: 'Employee_Number__c', type: 'double', filterable: true, html: false });
+
+    await querySalesforceRecords(salesforce(), 'Survey__c', ['Comment__c'], 'employee_number__c', ['101', '102'], { fieldMetadata });
+    await querySalesforceRecords(salesforce(), 'Survey__c', ['Comment__c'], 'Team__c', ["Sales 'East'"], { fieldMetadata });
+
+    expect(queries[0]).toContain('WHERE Employee_Number__c IN (101,102) ORDER BY Id');
+    expect(queries[1]).toContain("WHERE Team__c IN ('Sales \\'East\\'') ORDER BY Id");
+  });
+
+  it('should follow relationship paths and label related fields from their describe', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/sobjects/Survey__c/describe')
+      .reply(200, {
+        fields: [
+          { name: 'Comments__c', label: 'Comments', type: 'textarea', extraTypeInfo: 'richtextarea', htmlFormatted: true },
+          { name: 'Would_Recommend__c', label: 'Would Recommend', type: 'boolean' },
+          { name: 'OwnerId', label: 'Owner ID', type: 'reference', relationshipName: 'Owner', referenceTo: ['User', 'Group'] }
+        ]
+      })
+      .get('/services/data/v58.0/sobjects/User/describe')
+      .reply(200, { fields: [{ name: 'Department', label: 'Department', type: 'string' }] });
+
+    const fields = ['Comments__c', 'Would_Recommend__c', 'Owner.Department', 'Owner.Missing__c'];
+    const fieldMetadata = await getFieldMetadata(salesforce(), 'Survey__c', fields);
+
+    expect(fieldMetadata['Owner.Department']).toMatchObject({ label: 'Owner > Department', name: 'Owner.Department', updateable: false });
+    expect(fieldMetadata['Owner.Missing__c']).toBeUndefined();
+    expect(combineFieldsWithLabels({
+      Comments__c: '<p>Great <i>team</i></p>',
+      Would_Recommend__c: false,
+      Owner: { attributes: { type: 'User' }, Department: 'Nursing' }
+    }, fields, fieldMetadata)).toBe('Comments: Great team\n\nWould Recommend: No\n\nOwner > Department: Nursing');
+  });
+
+  it('should reject an unknown filter field or bad values before querying', async () => {
+    describeFields();
+    const fieldMetadata = await getFieldMetadata(salesforce(), 'Survey__c', ['Comment__c', 'Region__c', 'Employee_Number__c']);
+
+    await expect(querySalesforceRecords(salesforce(), 'Survey__c', ['Comment__c'], 'Region__c', ['West'], { fieldMetadata }))
+      .rejects.toThrow('Filter field Region__c does not exist on Survey__c');
+    await expect(querySalesforceRecords(salesforce(), 'Survey__c', ['Comment__c'], 'Employee_Number__c', ['101', "1' OR '1'='1"], { fieldMetadata }))
+      .rejects.toThrow('value 2: "1\' OR \'1\'=\'1" is not a valid number');
+    expect(nock.pendingMocks()).toEqual([]);
+  });
+});
+
+describe('Record selection', () => {
+  const INSTANCE = 'https://example.my.salesforce.com';
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should require exactly one way of selecting records', () => {
+    expect(recordSelection({}, 'ids.csv')).toEqual({ type: 'csv', csvFile: 'ids.csv' });
+    expect(recordSelection({ where: "Wave__c = 'Q3'" }, undefined)).toEqual({ type: 'where', where: "Wave__c = 'Q3'" });
+    expect(() => recordSelection({ where: 'x = 1' }, 'ids.csv')).toThrow('exactly one of');
+    expect(() => recordSelection({}, undefined)).toThrow('exactly one of');
+    expect(() => recordSelection({ listView: 'Recent' }, undefined)).toThrow('--list-view must be a list view ID');
+  });
+
+  it('should reject --where conditions with their own ORDER BY, LIMIT or OFFSET', () => {
+    expect(() => recordSelection({ where: "Wave__c = 'Q3' LIMIT 100" }, undefined))
+      .toThrow('--where takes only a condition, not LIMIT; use --soql-file for a query with ORDER BY, LIMIT or OFFSET');
+    expect(() => recordSelection({ where: "Wave__c = 'Q3' order  by CreatedDate" }, undefined)).toThrow('not ORDER BY');
+    expect(() => recordSelection({ where: 'Score__c > 3 OFFSET 10' }, undefined)).toThrow('not OFFSET');
+    // The words are fine inside string literals
+    expect(recordSelection({ where: "Comment__c LIKE '%no limit on it\\'s offset%'" }, undefined).type).toBe('where');
+  });
+
+  it('should build a query from --where and follow every page', async () => {
+    const query = await buildSelectionQuery({ type: 'where', where: "Department__c = 'Nursing'" }, salesforce(), 'Survey__c', ['Comment__c']);
+    expect(query).toBe("SELECT Id, Comment__c FROM Survey__c WHERE Department__c = 'Nursing' ORDER BY Id");
+
+    const scope = nock(INSTANCE, { reqheaders: { 'Sforce-Query-Options': 'batchSize=200' } })
+      .get('/services/data/v58.0/query')
+      .query({ q: query })
+      .reply(200, { records: [{ Id: 'a1' }, { Id: 'a2' }], nextRecordsUrl: '/services/data/v58.0/query/01g-2000' })
+      .get('/services/data/v58.0/query/01g-2000')
+      .reply(200, { records: [{ Id: 'a3' }] });
+
+    const records = await fetchQueryPages(salesforce(), query);
+    expect(records.map(record => record.Id)).toEqual(['a1', 'a2', 'a3']);
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should look errored records up by Id when retrying a query selection', async () => {
+    const fieldMetadata = { Id: { name: 'Id', type: 'id', filterable: true }, Comment__c: { name: 'Comment__c', type: 'textarea' } };
+    const scope = nock(INSTANCE)
+      .get('/services/data/v58.0/query')
+      .query({ q: "SELECT Id, Comment__c FROM Survey__c WHERE Id IN ('a01000000000001AAA','a01000000000002AAA') ORDER BY Id" })
+      .reply(200, { records: [{ Id: 'a01000000000001AAA' }, { Id: 'a01000000000002AAA' }] });
+
+    // --retry-errors with --where, --soql-file, --list-view or --bulk filters on Id
+    const records = await querySalesforceRecords(salesforce(), 'Survey__c', ['Comment__c', 'id'], 'Id', ['a01000000000001AAA', 'a01000000000002AAA'], { fieldMetadata });
+
+    expect(records).toHaveLength(2);
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should run a SOQL file as written after checking its object and fields', async () => {
+    const soqlFile = path.join(tmpDir, 'q3.soql');
+    fs.writeFileSync(soqlFile, "SELECT Id, Comment__c\nFROM Survey__c\nWHERE Wave__c = 'Q3'\nLIMIT 500;\n");
+    expect(await buildSelectionQuery({ type: 'soql-file', soqlFile }, salesforce(), 'Survey__c', ['Comment__c']))
+      .toBe("SELECT Id, Comment__c\nFROM Survey__c\nWHERE Wave__c = 'Q3'\nLIMIT 500");
+
+    await expect(buildSelectionQuery({ type: 'soql-file', soqlFile }, salesforce(), 'Survey__c', ['Comment__c', 'Score__c']))
+      .rejects.toThrow('q3.soql must select Score__c');
+    await expect(buildSelectionQuery({ type: 'soql-file', soqlFile }, salesforce(), 'Account', ['Comment__c']))
+      .rejects.toThrow('q3.soql queries Survey__c, not Account');
+  });
+
+  it('should reuse a list view\'s filters with the analyzed fields', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/sobjects/Survey__c/listviews/00B000000000001AAA/describe')
+      .reply(200, { query: "SELECT Name, Id FROM Survey__c WHERE Department__c = 'Nursing' ORDER BY Name ASC NULLS FIRST, Id ASC NULLS FIRST" });
+
+    const query = await buildSelectionQuery({ type: 'list-view', listView: '00B000000000001AAA' }, salesforce(), 'Survey__c', ['Comment__c']);
+    expect(query).toBe("SELECT Id, Comment__c FROM Survey__c WHERE Department__c = 'Nursing' ORDER BY Name ASC NULLS FIRST, Id ASC NULLS FIRST");
+  });
+
+  it('should leave ORDER BY out of queries for bulk jobs', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/sobjects/Survey__c/listviews/00B000000000001AAA/describe')
+      .reply(200, { query: "SELECT Name FROM Survey__c WHERE Department__c = 'Nursing' ORDER BY Name ASC NULLS FIRST LIMIT 50000" });
+
+    expect(await buildSelectionQuery({ type: 'list-view', listView: '00B000000000001AAA' }, salesforce(), 'Survey__c', ['Comment__c'], { ordered: false }))
+      .toBe("SELECT Id, Comment__c FROM Survey__c WHERE Department__c = 'Nursing' LIMIT 50000");
+    expect(await buildSelectionQuery({ type: 'where', where: 'Score__c > 3' }, salesforce(), 'Survey__c', ['Comment__c'], { ordered: false }))
+      .toBe('SELECT Id, Comment__c FROM Survey__c WHERE Score__c > 3');
+  });
+});
+
+describe('writeBackResults', () => {
+  const INSTANCE = 'https://example.my.salesforce.com';
+  const fieldMetadata = {
+    Id: { name: 'Id', type: 'id', filterable: true },
+    themes__c: { name: 'Themes__c', type: 'textarea', updateable: true, length: 12 }
+  };
+  let tmpDir;
+  let outputFile;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    outputFile = path.join(tmpDir, 'results.csv');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await appendResultsToCSV([
+      { recordId: '001000000000001AAA', originalText: 't', response: 'Recognition' },
+      { recordId: '001000000000002AAA', originalText: 't', response: 'Workload and staffing' },
+      { recordId: '001000000000003AAA', originalText: 't', response: 'Error: timeout' }
+    ], outputFile, null, true);
+
+    nock(INSTANCE)
+      .get('/services/data/v58.0/query')
+      .query({ q: "SELECT Id, Themes__c FROM Survey__c WHERE Id IN ('001000000000001AAA','001000000000002AAA') ORDER BY Id" })
+      .reply(200, { records: [{ Id: '001000000000001AAA', Themes__c: 'Recognition' }, { Id: '001000000000002AAA', Themes__c: null }] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  const options = (extra = {}) => ({
+    client: salesforce(), objectName: 'Survey__c', targetField: 'themes__c', fieldMetadata, ...extra
+  });
+
+  it('should update only changed records, truncated to the field length', async () => {
+    const scope = nock(INSTANCE)
+      .patch('/services/data/v58.0/composite/sobjects', body => {
+        expect(body.records).toEqual([{ attributes: { type: 'Survey__c' }, id: '001000000000002AAA', Themes__c: 'Workload and' }]);
+        return true;
+      })
+      .reply(200, [{ id: '001000000000002AAA', success: true, errors: [] }]);
+
+    await writeBackResults(outputFile, options());
+
+    expect(scope.isDone()).toBe(true);
+    expect(console.log).toHaveBeenCalledWith('✓ Updated Themes__c on 1 records');
+  });
+
+  it('should only preview the changes on a dry run', async () => {
+    await writeBackResults(outputFile, options({ dryRun: true }));
+
+    const preview = fs.readFileSync(path.join(tmpDir, 'results_writeback_preview.csv'), 'utf8');
+    expect(preview.trim().split('\n')).toEqual([
+      'Salesforce Record ID,Current Themes__c,New Themes__c,Truncated',
+      '001000000000002AAA,,Workload and,true'
+    ]);
   });
 });
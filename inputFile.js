@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+
+/**
+ * Offline record source: a local CSV or JSONL export (a Salesforce report,
+ * another survey tool) read in place of a Salesforce query.
+ *
+ * Each row becomes a record shaped like a query result: Id from the id
+ * column plus one string property per text column, so the rest of the
+ * pipeline can't tell the difference.
+ */
+function inputFormat(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  if (ext === '.csv') return 'csv';
+  throw new Error(`Input file ${filename} must be .csv or .jsonl`);
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+async function readCsvRows(filename) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filename)
+      .pipe(csv({
+        skipEmptyLines: true,
+        stripBOM: true,
+        mapHeaders: ({ header }) => header.trim()
+      }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+async function readJsonlRows(filename) {
+  const rows = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filename), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filename} line ${lineNumber} is not valid JSON: ${error.message}`);
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`${filename} line ${lineNumber} is not a JSON object`);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read filename into [{ Id, [column]: text }]. Every text column and the id
+ * column must be present; rows without an id are an error and repeated ids
+ * are skipped with a warning, since results are keyed by id.
+ */
+async function readInputRecords(filename, { idColumn = 'Id', fields }) {
+  const rows = inputFormat(filename) === 'jsonl' ? await readJsonlRows(filename) : await readCsvRows(filename);
+  if (rows.length === 0) return [];
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const missing = [idColumn, ...fields].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Input file ${filename} has no ${missing.join(', ')} column${missing.length > 1 ? 's' : ''} (columns: ${columns.join(', ')})`);
+  }
+
+  const records = [];
+  const seen = new Set();
+  rows.forEach((row, index) => {
+    const id = cellText(row[idColumn]).trim();
+    if (!id) {
+      throw new Error(`Input file ${filename} row ${index + 1} has no ${idColumn}`);
+    }
+    if (seen.has(id)) {
+      console.warn(`⚠ Input file row ${index + 1}: ${idColumn} ${id} already seen; skipping the duplicate`);
+      return;
+    }
+    seen.add(id);
+
+    const record = { Id: id };
+    fields.forEach(field => {
+      record[field] = cellText(row[field]);
+    });
+    records.push(record);
+  });
+  return records;
+}
+
+module.exports = { readInputRecords };
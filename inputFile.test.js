@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readInputRecords } = require('./inputFile');
+
+describe('readInputRecords', () => {
+  let tmpDir;
+
+  const write = (name, content) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.warn.mockRestore();
+  });
+
+  it('should map the id column and keep only the text columns from a CSV export', async () => {
+    const file = write('export.csv', '﻿Response ID , Comment,Team,Score\nr1,"Great team, thanks",A,5\nr2,,B,3\nr1,duplicate,A,1\n');
+
+    const records = await readInputRecords(file, { idColumn: 'Response ID', fields: ['Comment', 'Team'] });
+
+    expect(records).toEqual([
+      { Id: 'r1', Comment: 'Great team, thanks', Team: 'A' },
+      { Id: 'r2', Comment: '', Team: 'B' }
+    ]);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('row 3: Response ID r1 already seen'));
+  });
+
+  it('should read JSONL and turn non-string values into text', async () => {
+    const file = write('export.jsonl', '{"id": 7, "text": "Short staffed", "tags": ["a", "b"]}\n\n{"id": "8", "text": null}\n');
+
+    expect(await readInputRecords(file, { idColumn: 'id', fields: ['text', 'tags'] })).toEqual([
+      { Id: '7', text: 'Short staffed', tags: '["a","b"]' },
+      { Id: '8', text: '', tags: '' }
+    ]);
+  });
+
+  it('should name missing columns, rows without an id and bad JSON lines', async () => {
+    const csvFile = write('export.csv', 'Id,Comment\n,text\n');
+    await expect(readInputRecords(csvFile, { fields: ['Comment', 'Team'] }))
+      .rejects.toThrow('has no Team column (columns: Id, Comment)');
+    await expect(readInputRecords(csvFile, { fields: ['Comment'] }))
+      .rejects.toThrow('row 1 has no Id');
+
+    const jsonlFile = write('export.jsonl', '{"Id": "1"}\n{oops}\n');
+    await expect(readInputRecords(jsonlFile, { fields: [] })).rejects.toThrow('line 2 is not valid JSON');
+    await expect(readInputRecords(path.join(tmpDir, 'export.xlsx'), { fields: [] })).rejects.toThrow('must be .csv or .jsonl');
+  });
+});
@@ -9,6 +9,31 @@ module.exports = {
   ],
   collectCoverageFrom: [
     'index.js',
-    '!index.test.js'
+    'summarize.js',
+    'llmProviders.js',
+    'cliArgs.js',
+    'workerPool.js',
+    'tokens.js',
+    'retry.js',
+    'runManifest.js',
+    'structuredOutput.js',
+    'codebook.js',
+    'soql.js',
+    'sfdcBulk.js',
+    'sfdcWriteback.js',
+    'inputFile.js',
+    'fieldFormat.js',
+    'sfdcApi.js',
+    'sfdcJwtAuth.js',
+    'sfdcClient.js',
+    'sfdcOAuth.js',
+    'sfdcAuth.js',
+    'sfdcAuthStrategies.js',
+    'redaction.js',
+    'llmCache.js',
+    'pricing.js',
+    'promptTemplate.js',
+    'pipeline.js',
+    '!**/*.test.js'
   ]
 };
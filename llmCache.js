@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('./cliArgs');
+
+/**
+ * Content-addressed on-disk cache of LLM responses, shared by index.js and
+ * summarize.js.
+ *
+ * Each response is stored in its own JSON file named by the SHA-256 of
+ * everything that determines it: provider, endpoint URL, model, temperature,
+ * output limit, system prompt and user prompt. The URL matters because local
+ * servers report whatever model is loaded under a placeholder name. Prompts
+ * are not stored, only the response. A hit bumps the file's modification
+ * time, so pruning by age or size drops the least recently used entries
+ * first.
+ */
+const DEFAULT_CACHE_DIR = '.llm-cache';
+
+function cacheDirFromEnv() {
+  return process.env.LLM_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+/**
+ * request: { provider, url, model, temperature, maxTokens, systemPrompt,
+ * userPrompt }
+ */
+function cacheKey(request) {
+  const canonical = JSON.stringify(['provider', 'url', 'model', 'temperature', 'maxTokens', 'systemPrompt', 'userPrompt']
+    .map(field => [field, request[field] === undefined ? null : request[field]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+function entryPath(directory, key) {
+  return path.join(directory, key.substring(0, 2), `${key}.json`);
+}
+
+/**
+ * Create a cache in directory. With refresh, lookups always miss but new
+ * responses are still stored, replacing the old ones. get(key, accept)
+ * treats an entry accept(response) rejects as a miss.
+ */
+function createLlmCache({ directory = cacheDirFromEnv(), refresh = false } = {}) {
+  const counts = { hits: 0, misses: 0, writes: 0 };
+
+  return {
+    directory,
+    refresh,
+    get(key, accept) {
+      if (refresh) {
+        counts.misses++;
+        return null;
+      }
+      const file = entryPath(directory, key);
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        // Missing, or left unreadable by a crash: call the provider again
+        counts.misses++;
+        return null;
+      }
+      if (accept && !accept(entry.response)) {
+        counts.misses++;
+        return null;
+      }
+      const now = new Date();
+      try {
+        fs.utimesSync(file, now, now);
+      } catch (error) {
+        // Only affects pruning order
+      }
+      counts.hits++;
+      return entry.response;
+    },
+    set(key, { provider, model }, response) {
+      const file = entryPath(directory, key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write then rename so concurrent runs never read half an entry
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ key, provider, model, createdAt: new Date().toISOString(), response }));
+      fs.renameSync(tmpFile, file);
+      counts.writes++;
+    },
+    stats() {
+      return { ...counts };
+    }
+  };
+}
+
+/**
+ * The cache selected by CLI options (--no-cache, --refresh-cache,
+ * --cache-dir), or null when caching is off.
+ */
+function cacheFromOptions(options) {
+  if (options.noCache && options.refreshCache) {
+    throw new Error('--no-cache and --refresh-cache cannot be used together');
+  }
+  if (options.noCache) return null;
+  return createLlmCache({ directory: options.cacheDir || cacheDirFromEnv(), refresh: Boolean(options.refreshCache) });
+}
+
+function describeCacheUse(cache) {
+  const { hits, writes } = cache.stats();
+  return `Cache: ${hits} cached responses reused, ${writes} new responses stored in ${cache.directory}`;
+}
+
+function listEntries(directory) {
+  if (!fs.existsSync(directory)) return [];
+  const entries = [];
+  fs.readdirSync(directory, { withFileTypes: true })
+    .filter(shard => shard.isDirectory())
+    .forEach(shard => {
+      fs.readdirSync(path.join(directory, shard.name))
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+          const file = path.join(directory, shard.name, name);
+          const stat = fs.statSync(file);
+          entries.push({ file, size: stat.size, lastUsed: stat.mtime });
+        });
+    });
+  return entries;
+}
+
+/**
+ * Entry count, size and age of the cache, broken down by provider and model.
+ */
+function cacheStats(directory = cacheDirFromEnv()) {
+  const entries = listEntries(directory);
+  const byModel = new Map();
+  entries.forEach(entry => {
+    let meta = {};
+    try {
+      meta = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+    } catch (error) {
+      // Counted under unknown
+    }
+    const name = `${meta.provider || 'unknown'}/${meta.model || 'unknown'}`;
+    const group = byModel.get(name) || { name, entries: 0, bytes: 0 };
+    group.entries++;
+    group.bytes += entry.size;
+    byModel.set(name, group);
+  });
+  const times = entries.map(entry => entry.lastUsed.getTime());
+  return {
+    directory,
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    oldest: times.length > 0 ? new Date(Math.min(...times)) : null,
+    newest: times.length > 0 ? new Date(Math.max(...times)) : null,
+    byModel: [...byModel.values()].sort((a, b) => b.entries - a.entries || a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Remove entries not used for olderThanDays, then the least recently used
+ * until the cache is at most maxBytes; all removes everything.
+ */
+function pruneCache(directory = cacheDirFromEnv(), { olderThanDays, maxBytes, all = false, now = Date.now() } = {}) {
+  const entries = listEntries(directory).sort((a, b) => a.lastUsed - b.lastUsed);
+  const remove = new Set();
+  entries.forEach(entry => {
+    if (all || (olderThanDays !== undefined && now - entry.lastUsed.getTime() > olderThanDays * 24 * 60 * 60 * 1000)) {
+      remove.add(entry);
+    }
+  });
+  if (maxBytes !== undefined) {
+    let total = entries.filter(entry => !remove.has(entry)).reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      if (remove.has(entry)) continue;
+      remove.add(entry);
+      total -= entry.size;
+    }
+  }
+
+  remove.forEach(entry => fs.rmSync(entry.file, { force: true }));
+  // Drop shard directories left empty
+  if (fs.existsSync(directory)) {
+    fs.readdirSync(directory, { withFileTypes: true })
+      .filter(shard => shard.isDirectory() && fs.readdirSync(path.join(directory, shard.name)).length === 0)
+      .forEach(shard => fs.rmdirSync(path.join(directory, shard.name)));
+  }
+
+  const removed = [...remove];
+  return {
+    removed: removed.length,
+    freedBytes: removed.reduce((sum, entry) => sum + entry.size, 0),
+    remaining: entries.length - removed.length
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const CLI_FLAGS = {
+  '--cache-dir': 'string',
+  '--older-than': 'number',
+  '--max-size': 'number',
+  '--all': 'boolean'
+};
+
+function main(args = process.argv.slice(2)) {
+  const { options, positional } = parseArgs(args, CLI_FLAGS);
+  const command = positional[0];
+  const directory = options.cacheDir || cacheDirFromEnv();
+
+  if (command === 'stats') {
+    const stats = cacheStats(directory);
+    console.log(`Cache: ${directory}`);
+    console.log(`Entries: ${stats.entries} (${formatBytes(stats.bytes)})`);
+    if (stats.entries > 0) {
+      console.log(`Last used: ${stats.oldest.toISOString()} to ${stats.newest.toISOString()}`);
+      stats.byModel.forEach(group => {
+        console.log(`  ${group.name}: ${group.entries} (${formatBytes(group.bytes)})`);
+      });
+    }
+    return;
+  }
+
+  if (command === 'prune') {
+    if (!options.all && options.olderThan === undefined && options.maxSize === undefined) {
+      throw new Error('prune needs --older-than <days>, --max-size <MB> or --all');
+    }
+    for (const [key, flag] of [['olderThan', '--older-than'], ['maxSize', '--max-size']]) {
+      if (options[key] !== undefined && options[key] < 0) {
+        throw new Error(`${flag} must not be negative`);
+      }
+    }
+    const result = pruneCache(directory, {
+      olderThanDays: options.olderThan,
+      maxBytes: options.maxSize !== undefined ? options.maxSize * 1024 * 1024 : undefined,
+      all: Boolean(options.all)
+    });
+    console.log(`✓ Removed ${result.removed} entries (${formatBytes(result.freedBytes)}) from ${directory}; ${result.remaining} left`);
+    return;
+  }
+
+  throw new Error('Usage: node llmCache.js stats [--cache-dir <dir>] | prune (--older-than <days> | --max-size <MB> | --all) [--cache-dir <dir>]');
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  cacheKey,
+  createLlmCache,
+  cacheFromOptions,
+  describeCacheUse,
+  cacheStats,
+  pruneCache,
+  main
+};
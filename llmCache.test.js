@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const { cacheKey, createLlmCache, cacheFromOptions, cacheStats, pruneCache, main } = require('./llmCache');
+const { createProvider, sendChat } = require('./llmProviders');
+const { createRetryPolicy } = require('./retry');
+
+const LM_STUDIO = 'http://lmstudio.test';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('LLM response cache', () => {
+  let tmpDir;
+  let cacheDir;
+
+  const request = {
+    provider: 'lmstudio',
+    model: 'qwen',
+    temperature: 0.7,
+    maxTokens: 500,
+    systemPrompt: 'system',
+    userPrompt: 'Find themes\n\nText to analyze: great team'
+  };
+
+  // Backdate an entry's last use by the given number of days
+  const age = (key, days) => {
+    const file = path.join(cacheDir, key.substring(0, 2), `${key}.json`);
+    const time = new Date(Date.now() - days * DAY);
+    fs.utimesSync(file, time, time);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    cacheDir = path.join(tmpDir, 'cache');
+    process.env.LM_STUDIO_URL = `${LM_STUDIO}/v1/chat/completions`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.LM_STUDIO_URL;
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should key on everything that determines the response', () => {
+    const key = cacheKey(request);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(cacheKey({ ...request })).toBe(key);
+    ['provider', 'url', 'model', 'temperature', 'maxTokens', 'systemPrompt', 'userPrompt'].forEach(field => {
+      expect(cacheKey({ ...request, [field]: 'changed' })).not.toBe(key);
+    });
+  });
+
+  it('should store responses and count hits and misses', () => {
+    const cache = createLlmCache({ directory: cacheDir });
+    const key = cacheKey(request);
+
+    expect(cache.get(key)).toBeNull();
+    cache.set(key, { provider: 'lmstudio', model: 'qwen' }, { content: 'Teamwork', finishReason: 'stop', usage: null });
+
+    expect(cache.get(key)).toEqual({ content: 'Teamwork', finishReason: 'stop', usage: null });
+    expect(cache.stats()).toEqual({ hits: 1, misses: 1, writes: 1 });
+    expect(fs.readFileSync(path.join(cacheDir, key.substring(0, 2), `${key}.json`), 'utf8')).not.toContain('great team');
+
+    const refreshing = createLlmCache({ directory: cacheDir, refresh: true });
+    expect(refreshing.get(key)).toBeNull();
+  });
+
+  it('should answer repeated calls from the cache without sending a request', async () => {
+    const scope = nock(LM_STUDIO)
+      .post('/v1/chat/completions')
+      .once()
+      .reply(200, { choices: [{ message: { content: 'Teamwork' }, finish_reason: 'stop' }] });
+    const cache = createLlmCache({ directory: cacheDir });
+    const provider = createProvider('lmstudio', { cache, retryPolicy: createRetryPolicy({ maxAttempts: 1 }) });
+    const beforeSend = jest.fn();
+
+    const first = await sendChat(provider, { systemPrompt: 'system', userPrompt: 'same text' }, { beforeSend });
+    const second = await sendChat(provider, { systemPrompt: 'system', userPrompt: 'same text' }, { beforeSend });
+
+    expect(scope.isDone()).toBe(true);
+    expect(first).toEqual({ content: 'Teamwork', finishReason: 'stop', usage: null });
+    expect(second).toEqual({ ...first, cached: true });
+    expect(beforeSend).toHaveBeenCalledTimes(1);
+
+    // A different temperature is a different call
+    nock(LM_STUDIO).post('/v1/chat/completions').reply(200, { choices: [{ message: { content: 'Colder' } }] });
+    expect((await sendChat(provider, { systemPrompt: 'system', userPrompt: 'same text', temperature: 0 })).content).toBe('Colder');
+  });
+
+  it('should not reuse answers from another endpoint', async () => {
+    nock(LM_STUDIO).post('/v1/chat/completions').reply(200, { choices: [{ message: { content: 'Old model' } }] });
+    nock('http://other.test').post('/v1/chat/completions').reply(200, { choices: [{ message: { content: 'New model' } }] });
+    const cache = createLlmCache({ directory: cacheDir });
+    const retryPolicy = createRetryPolicy({ maxAttempts: 1 });
+
+    expect((await sendChat(createProvider('lmstudio', { cache, retryPolicy }), { userPrompt: 'text' })).content).toBe('Old model');
+    process.env.LM_STUDIO_URL = 'http://other.test/v1/chat/completions';
+    const moved = await sendChat(createProvider('lmstudio', { cache, retryPolicy }), { userPrompt: 'text' });
+
+    expect(moved).toEqual({ content: 'New model', finishReason: null, usage: null });
+    expect(cache.stats().writes).toBe(2);
+  });
+
+  it('should skip responses and entries the caller rejects', async () => {
+    nock(LM_STUDIO).post('/v1/chat/completions').times(3).reply(200, { choices: [{ message: { content: 'not json' } }] });
+    const cache = createLlmCache({ directory: cacheDir });
+    const provider = createProvider('lmstudio', { cache, retryPolicy: createRetryPolicy({ maxAttempts: 1 }) });
+    const accept = result => result.content.startsWith('{');
+
+    expect((await sendChat(provider, { userPrompt: 'text' }, { accept })).content).toBe('not json');
+    expect(cache.stats().writes).toBe(0);
+
+    // Entries stored without a check are ignored when the caller rejects them
+    await sendChat(provider, { userPrompt: 'text' });
+    expect((await sendChat(provider, { userPrompt: 'text' }, { accept })).cached).toBeUndefined();
+  });
+
+  it('should not cache failed calls', async () => {
+    nock(LM_STUDIO).post('/v1/chat/completions').reply(400, { error: 'bad request' });
+    const cache = createLlmCache({ directory: cacheDir });
+    const provider = createProvider('lmstudio', { cache, retryPolicy: createRetryPolicy({ maxAttempts: 1 }) });
+
+    await expect(sendChat(provider, { userPrompt: 'text' })).rejects.toThrow('LM Studio API error: 400');
+    expect(cache.stats().writes).toBe(0);
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+
+  it('should pick the cache from CLI options', () => {
+    expect(cacheFromOptions({ noCache: true })).toBeNull();
+    expect(cacheFromOptions({ cacheDir }).directory).toBe(cacheDir);
+    expect(cacheFromOptions({ refreshCache: true }).refresh).toBe(true);
+    expect(() => cacheFromOptions({ noCache: true, refreshCache: true })).toThrow('--no-cache and --refresh-cache cannot be used together');
+  });
+
+  it('should report entries by provider and model', () => {
+    const cache = createLlmCache({ directory: cacheDir });
+    cache.set(cacheKey({ ...request, userPrompt: 'a' }), { provider: 'lmstudio', model: 'qwen' }, { content: 'A' });
+    cache.set(cacheKey({ ...request, userPrompt: 'b' }), { provider: 'lmstudio', model: 'qwen' }, { content: 'B' });
+    cache.set(cacheKey({ ...request, provider: 'azure', model: 'gpt-5-chat' }), { provider: 'azure', model: 'gpt-5-chat' }, { content: 'C' });
+
+    const stats = cacheStats(cacheDir);
+
+    expect(stats.entries).toBe(3);
+    expect(stats.bytes).toBeGreaterThan(0);
+    expect(stats.byModel.map(group => [group.name, group.entries])).toEqual([['lmstudio/qwen', 2], ['azure/gpt-5-chat', 1]]);
+    expect(cacheStats(path.join(tmpDir, 'missing')).entries).toBe(0);
+  });
+
+  it('should prune entries by last use and by total size', () => {
+    const cache = createLlmCache({ directory: cacheDir });
+    const keys = ['old', 'older', 'recent'].map(text => cacheKey({ ...request, userPrompt: text }));
+    keys.forEach(key => cache.set(key, { provider: 'lmstudio', model: 'qwen' }, { content: 'x'.repeat(100) }));
+    age(keys[0], 40);
+    age(keys[1], 50);
+    age(keys[2], 1);
+
+    expect(pruneCache(cacheDir, { olderThanDays: 45 })).toEqual(expect.objectContaining({ removed: 1, remaining: 2 }));
+    expect(cache.get(keys[1])).toBeNull();
+
+    // keys[0] is now the least recently used entry
+    const entrySize = cacheStats(cacheDir).bytes / 2;
+    expect(pruneCache(cacheDir, { maxBytes: entrySize })).toEqual(expect.objectContaining({ removed: 1, remaining: 1 }));
+    expect(cache.get(keys[0])).toBeNull();
+    expect(cache.get(keys[2])).not.toBeNull();
+
+    expect(pruneCache(cacheDir, { all: true })).toEqual(expect.objectContaining({ removed: 1, remaining: 0 }));
+    expect(fs.readdirSync(cacheDir)).toEqual([]);
+  });
+
+  it('should run stats and prune from the command line', () => {
+    const cache = createLlmCache({ directory: cacheDir });
+    cache.set(cacheKey(request), { provider: 'lmstudio', model: 'qwen' }, { content: 'A' });
+
+    main(['stats', '--cache-dir', cacheDir]);
+    expect(console.log).toHaveBeenCalledWith(`Entries: 1 (${cacheStats(cacheDir).bytes} B)`);
+    expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^ {2}lmstudio\/qwen: 1 /));
+
+    expect(() => main(['prune', '--cache-dir', cacheDir])).toThrow('prune needs --older-than <days>, --max-size <MB> or --all');
+    main(['prune', '--all', '--cache-dir', cacheDir]);
+    expect(cacheStats(cacheDir).entries).toBe(0);
+    expect(() => main(['clear'])).toThrow(/^Usage: node llmCache.js stats/);
+  });
+});
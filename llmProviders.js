@@ -0,0 +1,319 @@
+const axios = require('axios');
+const { createRetryPolicy, withRetry } = require('./retry');
+const { cacheKey } = require('./llmCache');
+
+/**
+ * Registry of LLM backends shared by index.js and summarize.js.
+ *
+ * Each provider describes how to read its configuration from the environment,
+ * how to build an HTTP request for a chat completion and how to read the
+ * answer back out. Sending, timeouts, retries and error wrapping live in one
+ * place (sendChat) so every backend behaves the same way on failure.
+ */
+const providers = {};
+
+function registerProvider(name, definition) {
+  providers[name] = { name, aliases: [], ...definition };
+}
+
+function resolveProviderName(name) {
+  const key = (name || 'lmstudio').toLowerCase();
+  if (providers[key]) return key;
+
+  const match = Object.values(providers).find(provider => provider.aliases.includes(key));
+  if (match) return match.name;
+
+  throw new Error(`Unknown provider "${name}". Available providers: ${listProviders().join(', ')}`);
+}
+
+function listProviders() {
+  return Object.keys(providers);
+}
+
+function timeoutFromEnv(envName, fallback) {
+  const value = parseInt(process.env[envName], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function openAiMessages(messages) {
+  return messages.map(message => ({ role: message.role, content: message.content }));
+}
+
+function parseOpenAiResponse(data) {
+  if (data && data.choices && data.choices[0]) {
+    return {
+      content: data.choices[0].message.content,
+      finishReason: data.choices[0].finish_reason || null,
+      usage: data.usage ? {
+        promptTokens: data.usage.prompt_tokens,
+        completionTokens: data.usage.completion_tokens
+      } : null
+    };
+  }
+  throw new Error(`Unexpected API response format: ${JSON.stringify(data)}`);
+}
+
+registerProvider('lmstudio', {
+  label: 'LM Studio',
+  aliases: ['lm-studio', 'local'],
+  configure: () => ({
+    url: process.env.LM_STUDIO_URL || 'http://127.0.0.1:1234/v1/chat/completions',
+    model: process.env.LM_STUDIO_MODEL || 'local-model', // LM Studio typically uses this or you can specify the actual model name
+    timeout: timeoutFromEnv('LM_STUDIO_TIMEOUT_MS', 30000)
+  }),
+  buildRequest: (config, messages, options) => ({
+    url: config.url,
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      model: config.model,
+      messages: openAiMessages(messages),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    }
+  }),
+  parseResponse: parseOpenAiResponse
+});
+
+registerProvider('azure', {
+  label: 'Copilot',
+  aliases: ['copilot', 'azure-openai'],
+  configure: () => {
+    const apiKey = process.env.COPILOT_API_KEY;
+    const baseUrl = process.env.COPILOT_API_URL;
+
+    if (!apiKey) {
+      throw new Error('COPILOT_API_KEY environment variable is required for Copilot integration');
+    }
+
+    if (!baseUrl) {
+      throw new Error('COPILOT_API_URL environment variable is required. Set it to your Azure OpenAI base URL (e.g., https://xxx.openai.azure.com)');
+    }
+
+    return {
+      apiKey,
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      model: process.env.COPILOT_DEPLOYMENT || 'gpt-5-chat',
+      apiVersion: process.env.AZURE_API_VERSION || '2024-02-15-preview',
+      timeout: timeoutFromEnv('COPILOT_TIMEOUT_MS', 60000)
+    };
+  },
+  buildRequest: (config, messages, options) => ({
+    // Azure OpenAI routes by deployment name rather than a model field
+    url: `${config.baseUrl}/openai/deployments/${config.model}/chat/completions?api-version=${config.apiVersion}`,
+    headers: {
+      'api-key': config.apiKey,
+      'Content-Type': 'application/json'
+    },
+    body: {
+      messages: openAiMessages(messages),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    }
+  }),
+  parseResponse: parseOpenAiResponse
+});
+
+registerProvider('openai', {
+  label: 'OpenAI-compatible',
+  aliases: ['openai-compatible'],
+  configure: () => ({
+    url: `${(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`,
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    timeout: timeoutFromEnv('OPENAI_TIMEOUT_MS', 60000)
+  }),
+  buildRequest: (config, messages, options) => {
+    const headers = { 'Content-Type': 'application/json' };
+    // Self-hosted OpenAI-compatible servers (vLLM, llama.cpp) often run without a key
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+    return {
+      url: config.url,
+      headers,
+      body: {
+        model: config.model,
+        messages: openAiMessages(messages),
+        temperature: options.temperature,
+        max_tokens: options.maxTokens
+      }
+    };
+  },
+  parseResponse: parseOpenAiResponse
+});
+
+registerProvider('ollama', {
+  label: 'Ollama',
+  configure: () => ({
+    url: `${(process.env.OLLAMA_URL || 'http://127.0.0.1:11434').replace(/\/+$/, '')}/api/chat`,
+    model: process.env.OLLAMA_MODEL || 'llama3',
+    timeout: timeoutFromEnv('OLLAMA_TIMEOUT_MS', 60000)
+  }),
+  buildRequest: (config, messages, options) => ({
+    url: config.url,
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      model: config.model,
+      messages: openAiMessages(messages),
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens
+      }
+    }
+  }),
+  parseResponse: (data) => {
+    if (data && data.message) {
+      return {
+        content: data.message.content,
+        finishReason: data.done_reason || null,
+        usage: data.prompt_eval_count !== undefined ? {
+          promptTokens: data.prompt_eval_count,
+          completionTokens: data.eval_count
+        } : null
+      };
+    }
+    throw new Error(`Unexpected API response format: ${JSON.stringify(data)}`);
+  }
+});
+
+registerProvider('echo', {
+  label: 'Echo',
+  aliases: ['mock'],
+  configure: () => ({
+    model: 'echo',
+    response: process.env.ECHO_RESPONSE || null,
+    timeout: 0
+  }),
+  // Deterministic, offline provider for dry runs and tests: returns the
+  // configured ECHO_RESPONSE or the user message it was given.
+  complete: (config, messages) => {
+    const userMessage = messages.filter(message => message.role === 'user').pop();
+    const content = config.response !== null ? config.response : `Echo: ${userMessage ? userMessage.content : ''}`;
+    return {
+      content,
+      finishReason: 'stop',
+      usage: null
+    };
+  }
+});
+
+/**
+ * Create a configured provider instance.
+ *
+ * overrides may set model, temperature, maxTokens, timeout, retryPolicy and
+ * cache (see llmCache.js); anything not overridden comes from the provider's
+ * environment configuration.
+ */
+function createProvider(name, overrides = {}) {
+  const definition = providers[resolveProviderName(name)];
+  const config = { ...definition.configure() };
+
+  if (overrides.model) config.model = overrides.model;
+  if (overrides.timeout) config.timeout = overrides.timeout;
+
+  return {
+    name: definition.name,
+    label: definition.label,
+    model: config.model,
+    timeout: config.timeout,
+    temperature: overrides.temperature !== undefined ? overrides.temperature : 0.7,
+    maxTokens: overrides.maxTokens || 500,
+    retryPolicy: overrides.retryPolicy || createRetryPolicy(),
+    cache: overrides.cache || null,
+    definition,
+    config
+  };
+}
+
+/**
+ * Send a chat completion through a provider.
+ *
+ * Transient failures are retried according to provider.retryPolicy. Returns
+ * { content, finishReason, usage }. HTTP failures are rethrown as
+ * "<Label> API error: <status> - <body>" and transport failures as
+ * "<Label> connection error: <message>", with the original status kept on
+ * error.status for callers that need to tell them apart.
+ *
+ * With provider.cache set, a response already cached for the same provider,
+ * endpoint, model, parameters and prompts is returned (with cached: true)
+ * without a request, and new HTTP responses are cached. accept(result), when
+ * given, decides which responses count: rejected ones are returned but not
+ * cached, and rejected cache entries are ignored. beforeSend runs only when a
+ * request is actually sent, e.g. to take a rate limit slot.
+ */
+async function sendChat(provider, { systemPrompt, userPrompt, maxTokens, temperature, timeout }, { beforeSend, accept } = {}) {
+  const { definition, config } = provider;
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: userPrompt });
+
+  const options = {
+    maxTokens: maxTokens || provider.maxTokens,
+    temperature: temperature !== undefined ? temperature : provider.temperature
+  };
+
+  if (definition.complete) {
+    if (beforeSend) await beforeSend();
+    return definition.complete(config, messages, options);
+  }
+
+  const request = definition.buildRequest(config, messages, options);
+
+  const { cache } = provider;
+  const key = cache && cacheKey({ provider: provider.name, url: request.url, model: provider.model, ...options, systemPrompt, userPrompt });
+  const cached = cache && cache.get(key, accept);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+  if (beforeSend) await beforeSend();
+
+  let response;
+  try {
+    response = await withRetry(() => axios.post(request.url, request.body, {
+      headers: request.headers,
+      timeout: timeout || config.timeout
+    }), provider.retryPolicy, { label: `${definition.label} request` });
+  } catch (error) {
+    throw wrapProviderError(definition.label, error);
+  }
+
+  const result = definition.parseResponse(response.data);
+  // e.g. an answer withheld by a content filter comes back with null content
+  if (typeof result.content !== 'string') {
+    throw new Error(`${definition.label} API error: response has no text content (finish_reason: ${result.finishReason || 'none'})`);
+  }
+  if (cache && (!accept || accept(result))) {
+    cache.set(key, { provider: provider.name, model: provider.model }, result);
+  }
+  return result;
+}
+
+function wrapProviderError(label, error) {
+  let wrapped;
+  if (error.response) {
+    wrapped = new Error(`${label} API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+    wrapped.status = error.response.status;
+    wrapped.headers = error.response.headers;
+  } else {
+    wrapped = new Error(`${label} connection error: ${error.message}`);
+    wrapped.code = error.code;
+  }
+  wrapped.cause = error;
+  return wrapped;
+}
+
+function describeProvider(provider) {
+  return `${provider.label} (${provider.name}, model: ${provider.model})`;
+}
+
+module.exports = {
+  registerProvider,
+  resolveProviderName,
+  listProviders,
+  createProvider,
+  sendChat,
+  describeProvider
+};
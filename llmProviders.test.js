@@ -0,0 +1,159 @@
+const nock = require('nock');
+const { createProvider, sendChat, resolveProviderName, listProviders } = require('./llmProviders');
+const { createRetryPolicy } = require('./retry');
+
+const fastRetry = (maxAttempts) => createRetryPolicy({ maxAttempts, baseDelayMs: 1, maxDelayMs: 1 });
+
+const reply = (content, finishReason = 'stop') => ({
+  choices: [{ message: { content }, finish_reason: finishReason }],
+  usage: { prompt_tokens: 12, completion_tokens: 3 }
+});
+
+describe('LLM provider registry', () => {
+  beforeEach(() => {
+    delete process.env.LM_STUDIO_URL;
+    delete process.env.OPENAI_BASE_URL;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OLLAMA_URL;
+    delete process.env.ECHO_RESPONSE;
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('should list the built-in providers and resolve aliases', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['lmstudio', 'azure', 'openai', 'ollama', 'echo']));
+    expect(resolveProviderName('copilot')).toBe('azure');
+    expect(resolveProviderName('MOCK')).toBe('echo');
+    expect(resolveProviderName(undefined)).toBe('lmstudio');
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createProvider('nope')).toThrow(/Unknown provider "nope"/);
+  });
+
+  it('should send LM Studio requests with the configured model and options', async () => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions', (body) => {
+        expect(body.model).toBe('qwen');
+        expect(body.temperature).toBe(0.2);
+        expect(body.max_tokens).toBe(2000);
+        expect(body.messages).toEqual([
+          { role: 'system', content: 'system text' },
+          { role: 'user', content: 'user text' }
+        ]);
+        return true;
+      })
+      .reply(200, reply('ok', 'length'));
+
+    const provider = createProvider('lmstudio', { model: 'qwen', temperature: 0.2 });
+    const result = await sendChat(provider, { systemPrompt: 'system text', userPrompt: 'user text', maxTokens: 2000 });
+
+    expect(result).toEqual({ content: 'ok', finishReason: 'length', usage: { promptTokens: 12, completionTokens: 3 } });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should send a bearer token to OpenAI-compatible servers when a key is set', async () => {
+    process.env.OPENAI_BASE_URL = 'https://openai.test/v1/';
+    process.env.OPENAI_API_KEY = 'sk-test';
+
+    const scope = nock('https://openai.test', { reqheaders: { 'Authorization': 'Bearer sk-test' } })
+      .post('/v1/chat/completions')
+      .reply(200, reply('hello'));
+
+    const result = await sendChat(createProvider('openai'), { userPrompt: 'hi' });
+
+    expect(result.content).toBe('hello');
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should use the native Ollama chat API', async () => {
+    process.env.OLLAMA_URL = 'http://ollama.test';
+
+    const scope = nock('http://ollama.test')
+      .post('/api/chat', (body) => {
+        expect(body.stream).toBe(false);
+        expect(body.options.num_predict).toBe(500);
+        return true;
+      })
+      .reply(200, { message: { role: 'assistant', content: 'themes' }, done_reason: 'stop', prompt_eval_count: 5, eval_count: 2 });
+
+    const result = await sendChat(createProvider('ollama'), { userPrompt: 'hi' });
+
+    expect(result).toEqual({ content: 'themes', finishReason: 'stop', usage: { promptTokens: 5, completionTokens: 2 } });
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should wrap HTTP errors with the provider label and status', async () => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions')
+      .times(2)
+      .reply(503, { error: 'busy' });
+
+    const provider = createProvider('lmstudio', { retryPolicy: fastRetry(2) });
+    const error = await sendChat(provider, { userPrompt: 'hi' }).catch(err => err);
+
+    expect(error.message).toBe('LM Studio API error: 503 - {"error":"busy"}');
+    expect(error.status).toBe(503);
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should fail answers without text content, e.g. a content filter', async () => {
+    process.env.OPENAI_BASE_URL = 'http://openai.test/v1';
+
+    nock('http://openai.test')
+      .post('/v1/chat/completions')
+      .reply(200, reply(null, 'content_filter'));
+
+    const provider = createProvider('openai', { retryPolicy: fastRetry(1) });
+    await expect(sendChat(provider, { userPrompt: 'hi' }))
+      .rejects.toThrow('OpenAI-compatible API error: response has no text content (finish_reason: content_filter)');
+  });
+
+  it('should retry rate-limited requests and return the eventual answer', async () => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions')
+      .reply(429, { error: 'slow down' }, { 'Retry-After': '0' })
+      .post('/v1/chat/completions')
+      .reply(200, reply('second time lucky'));
+
+    const result = await sendChat(createProvider('lmstudio', { retryPolicy: fastRetry(3) }), { userPrompt: 'hi' });
+
+    expect(result.content).toBe('second time lucky');
+    expect(scope.isDone()).toBe(true);
+    console.warn.mockRestore();
+  });
+
+  it('should not retry bad requests', async () => {
+    process.env.LM_STUDIO_URL = 'http://lmstudio.test/v1/chat/completions';
+
+    const scope = nock('http://lmstudio.test')
+      .post('/v1/chat/completions')
+      .reply(400, { error: 'context length exceeded' });
+
+    await expect(sendChat(createProvider('lmstudio', { retryPolicy: fastRetry(3) }), { userPrompt: 'hi' }))
+      .rejects.toThrow('LM Studio API error: 400');
+    expect(scope.isDone()).toBe(true);
+  });
+
+  it('should answer deterministically from the echo provider', async () => {
+    const provider = createProvider('echo');
+    const first = await sendChat(provider, { userPrompt: 'same input' });
+    const second = await sendChat(provider, { userPrompt: 'same input' });
+
+    expect(first.content).toBe('Echo: same input');
+    expect(second).toEqual(first);
+
+    process.env.ECHO_RESPONSE = 'canned';
+    expect((await sendChat(createProvider('mock'), { userPrompt: 'x' })).content).toBe('canned');
+  });
+});
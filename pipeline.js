@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { hashFile, hashConfig } = require('./runManifest');
+const { parsePromptTemplate, loadPromptTemplate, loadSystemPrompt } = require('./promptTemplate');
+const { loadSchema, schemaColumns } = require('./structuredOutput');
+const { loadCodebook, codebookSchema, codebookColumns, codebookFields } = require('./codebook');
+
+/**
+ * Multi-step analysis pipelines (--pipeline).
+ *
+ * A pipeline file lists named steps that run in order for every record. Each
+ * step has its own prompt (inline or a template file), may use its own
+ * provider, model, temperature and output limit, and parses its answer as
+ * text, JSON matching a schema, or a codebook classification. Step prompts
+ * can include earlier steps' responses with {{step:Name}}.
+ *
+ * Every step writes its response to a column named after it (plus the
+ * schema or codebook columns, prefixed "<step>: "), and the Pipeline Steps
+ * column records a hash of the settings each answer was produced with and
+ * the run that produced it. A record is resumed at its first step without a
+ * current answer, so adding, changing or retrying a step doesn't repeat the
+ * steps before it.
+ */
+const PARSE_MODES = ['text', 'json', 'codebook'];
+const STEP_KEYS = ['name', 'prompt', 'promptFile', 'systemPromptFile', 'parse', 'schema', 'codebook', 'provider', 'model', 'temperature', 'maxTokens'];
+const LLM_KEYS = ['provider', 'model', 'temperature', 'maxTokens'];
+// Step columns sit next to these, so step names can't reuse them
+const RESERVED_NAMES = ['salesforce record id', 'original text', 'lm studio response', 'run id', 'flags', 'pipeline steps'];
+const VERSIONS_COLUMN = { id: 'pipeline.steps', title: 'Pipeline Steps' };
+
+async function loadStep(definition, index, { filename, earlierSteps }) {
+  const label = `${filename} step ${index + 1}`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const unknown = Object.keys(definition).filter(key => !STEP_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown setting${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (allowed: ${STEP_KEYS.join(', ')})`);
+  }
+
+  const { name } = definition;
+  if (typeof name !== 'string' || !/^[A-Za-z][\w-]*$/.test(name)) {
+    throw new Error(`${label} needs a "name" of letters, digits, _ or - (it names the step's column)`);
+  }
+  if (RESERVED_NAMES.includes(name.toLowerCase())) {
+    throw new Error(`${label}: "${name}" is already a results column; pick another step name`);
+  }
+  if (earlierSteps.some(step => step.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`${filename} has more than one step named "${name}"`);
+  }
+
+  const stepLabel = `${filename} step "${name}"`;
+  const resolve = (file) => path.resolve(path.dirname(filename), file);
+  if ((definition.prompt === undefined) === (definition.promptFile === undefined)) {
+    throw new Error(`${stepLabel} needs exactly one of "prompt" or "promptFile"`);
+  }
+  const templateOptions = { textRequired: false, stepNames: earlierSteps.map(step => step.name) };
+  const template = definition.promptFile !== undefined ?
+    loadPromptTemplate(resolve(definition.promptFile), templateOptions) :
+    parsePromptTemplate(String(definition.prompt), stepLabel, templateOptions);
+  const systemPrompt = definition.systemPromptFile !== undefined ? loadSystemPrompt(resolve(definition.systemPromptFile)) : undefined;
+
+  const parse = definition.parse || 'text';
+  if (!PARSE_MODES.includes(parse)) {
+    throw new Error(`${stepLabel}: unknown parse mode "${parse}" (use ${PARSE_MODES.join(', ')})`);
+  }
+  if ((parse === 'json') !== (definition.schema !== undefined) || (parse === 'codebook') !== (definition.codebook !== undefined)) {
+    throw new Error(`${stepLabel}: parse "json" needs "schema" and parse "codebook" needs "codebook", and neither file applies otherwise`);
+  }
+  const schema = parse === 'json' ? loadSchema(resolve(definition.schema)) : null;
+  const codebook = parse === 'codebook' ? await loadCodebook(resolve(definition.codebook)) : null;
+
+  const llm = {};
+  LLM_KEYS.filter(key => definition[key] !== undefined).forEach(key => {
+    llm[key] = definition[key];
+  });
+  if (llm.temperature !== undefined && typeof llm.temperature !== 'number') {
+    throw new Error(`${stepLabel}: "temperature" must be a number`);
+  }
+  if (llm.maxTokens !== undefined && (!Number.isInteger(llm.maxTokens) || llm.maxTokens < 1)) {
+    throw new Error(`${stepLabel}: "maxTokens" must be a positive integer`);
+  }
+
+  const columns = [
+    ...(schema ? schemaColumns(schema) : []),
+    ...(codebook ? codebookColumns(codebook) : [])
+  ].map(column => ({ id: `${name}.${column.id}`, title: `${name}: ${column.title}` }));
+
+  return {
+    name,
+    template,
+    systemPrompt,
+    parse,
+    schema,
+    codebook,
+    responseSchema: schema || (codebook && codebookSchema(codebook)),
+    llm,
+    column: { id: `step.${name}`, title: name },
+    columns,
+    // Everything that changes this step's answers; recorded per row so a
+    // changed step is rerun
+    hash: hashConfig({
+      prompt: template.source,
+      ...(systemPrompt && { systemPrompt }),
+      parse,
+      ...(schema && { schemaHash: hashFile(resolve(definition.schema)) }),
+      ...(codebook && { codebookHash: hashFile(resolve(definition.codebook)) }),
+      ...llm
+    })
+  };
+}
+
+/**
+ * Read a pipeline file:
+ * { "steps": [{ "name", "prompt" | "promptFile", ... }] }. File paths in
+ * steps are relative to the pipeline file.
+ */
+async function loadPipeline(filename) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read pipeline ${filename}: ${error.message}`);
+  }
+  if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error(`Pipeline ${filename} must have a non-empty "steps" list`);
+  }
+
+  const steps = [];
+  for (let i = 0; i < data.steps.length; i++) {
+    steps.push(await loadStep(data.steps[i], i, { filename, earlierSteps: steps }));
+  }
+  return { filename, steps };
+}
+
+// Results columns for all steps, in step order
+function pipelineColumns(pipeline) {
+  return [...pipeline.steps.flatMap(step => [step.column, ...step.columns]), VERSIONS_COLUMN];
+}
+
+// Context fields and label fields used by any step's prompt
+function pipelineFields(pipeline) {
+  const unique = (names) => [...new Set(names)];
+  return {
+    contextFields: unique(pipeline.steps.flatMap(step => step.template.contextFields)),
+    labelFields: unique(pipeline.steps.flatMap(step => step.template.labelFields))
+  };
+}
+
+// Column cells for a step's answer, keyed by the pipelineColumns ids
+function stepCells(step, analysis) {
+  const fields = step.codebook ? codebookFields(analysis.value, step.codebook) : analysis.fields;
+  const cells = { [step.column.id]: analysis.response };
+  Object.entries(fields).forEach(([id, value]) => {
+    cells[`${step.name}.${id}`] = value;
+  });
+  return cells;
+}
+
+const isErrorCell = (value) => String(value).startsWith('Error:');
+const stepVersion = (step) => `${step.name}:${step.hash.substring(0, 8)}`;
+
+/**
+ * Add the Pipeline Steps cell to a record's cells: the version of every step
+ * with a cell (answer or error) and, from runIds ({ [step name]: run ID }),
+ * the run that produced it - "themes:1a2b3c4d@run-...; sentiment:...".
+ * Resumed rows keep answers from earlier runs, so the row's Run ID alone
+ * doesn't say where each one came from.
+ */
+function withStepVersions(steps, cells, runIds = {}) {
+  const entry = (step) => (runIds[step.name] ? `${stepVersion(step)}@${runIds[step.name]}` : stepVersion(step));
+  return { ...cells, [VERSIONS_COLUMN.id]: steps.filter(step => cells[step.column.id]).map(entry).join('; ') };
+}
+
+/**
+ * How far an existing results row got with the current steps. completed
+ * holds the answers that can be reused - every step up to the first one that
+ * is empty, an error or was produced with different settings - as
+ * { [step name]: { response, cells, runId } } with cells keyed by column id.
+ * failed is set when that first step failed with its current settings.
+ */
+function rowProgress(row, pipeline) {
+  // Rows written before run IDs were recorded have versions only
+  const versions = new Map((row ? String(row[VERSIONS_COLUMN.title] || '').split(';') : [])
+    .map(entry => entry.trim().split('@'))
+    .map(([version, runId]) => [version, runId || '']));
+  const completed = {};
+  for (const step of pipeline.steps) {
+    const response = row ? row[step.column.title] : '';
+    const current = versions.has(stepVersion(step));
+    if (!response || !current || isErrorCell(response)) {
+      return { completed, failed: Boolean(response) && current && isErrorCell(response) };
+    }
+    const cells = { [step.column.id]: response };
+    step.columns.forEach(column => {
+      cells[column.id] = row[column.title] || '';
+    });
+    completed[step.name] = { response, cells, runId: versions.get(stepVersion(step)) };
+  }
+  return { completed, failed: false };
+}
+
+function completedSteps(row, pipeline) {
+  return rowProgress(row, pipeline).completed;
+}
+
+/**
+ * Whether a results row needs no more work on a normal run: every step has a
+ * current answer, or a step failed (left for --retry-errors).
+ */
+function isRowComplete(row, pipeline) {
+  const { completed, failed } = rowProgress(row, pipeline);
+  return failed || Object.keys(completed).length === pipeline.steps.length;
+}
+
+/**
+ * The columns of one codebook step, renamed back to the plain codebook
+ * titles so tallyCodebook can count them.
+ */
+function codebookStepRows(rows, step) {
+  const prefix = `${step.name}: `;
+  return rows.map(row => Object.fromEntries(Object.entries(row)
+    .filter(([title]) => title.startsWith(prefix))
+    .map(([title, value]) => [title.substring(prefix.length), value])));
+}
+
+module.exports = {
+  loadPipeline,
+  pipelineColumns,
+  pipelineFields,
+  stepCells,
+  withStepVersions,
+  completedSteps,
+  isRowComplete,
+  codebookStepRows
+};
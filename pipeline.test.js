@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPipeline, pipelineColumns, pipelineFields, stepCells, withStepVersions, completedSteps, isRowComplete, codebookStepRows } = require('./pipeline');
+const { tallyCodebook } = require('./codebook');
+
+describe('analysis pipelines', () => {
+  let tmpDir;
+  let pipelineFile;
+
+  const writePipeline = (steps) => fs.writeFileSync(pipelineFile, JSON.stringify({ steps }));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    pipelineFile = path.join(tmpDir, 'pipeline.json');
+    fs.writeFileSync(path.join(tmpDir, 'codebook.csv'), 'Code,Label\nREC,Recognition\nPAY,Pay\n');
+    fs.writeFileSync(path.join(tmpDir, 'paraphrase.md'), 'Paraphrase in one line for {{field:Department__c}}.\n\n{{text}}\n\nThemes: {{step:themes}}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should load steps with their prompts, parse modes, settings and columns', async () => {
+    writePipeline([
+      { name: 'themes', prompt: 'Extract themes' },
+      { name: 'codes', prompt: 'Code the response', parse: 'codebook', codebook: 'codebook.csv', model: 'gpt-4o-mini', temperature: 0 },
+      { name: 'paraphrase', promptFile: 'paraphrase.md', maxTokens: 100 }
+    ]);
+
+    const pipeline = await loadPipeline(pipelineFile);
+
+    expect(pipeline.steps.map(step => step.name)).toEqual(['themes', 'codes', 'paraphrase']);
+    expect(pipeline.steps[1].llm).toEqual({ model: 'gpt-4o-mini', temperature: 0 });
+    expect(pipeline.steps[2].template.stepRefs).toEqual(['themes']);
+    expect(pipelineFields(pipeline)).toEqual({ contextFields: ['Department__c'], labelFields: [] });
+    expect(pipelineColumns(pipeline).map(column => column.title)).toEqual([
+      'themes', 'codes', 'codes: REC', 'codes: PAY', 'codes: Other/Emergent', 'codes: Emergent Themes', 'paraphrase', 'Pipeline Steps'
+    ]);
+
+    const cells = stepCells(pipeline.steps[1], { response: '{"codes":["REC"],"emergent":[]}', value: { codes: ['REC'], emergent: [] }, fields: {} });
+    expect(cells).toEqual({
+      'step.codes': '{"codes":["REC"],"emergent":[]}',
+      'codes.codebook.REC': 'true',
+      'codes.codebook.PAY': 'false',
+      'codes.codebook.other': 'false',
+      'codes.codebook.emergent': ''
+    });
+  });
+
+  it('should reject invalid pipelines', async () => {
+    const rejects = async (steps, message) => {
+      writePipeline(steps);
+      await expect(loadPipeline(pipelineFile)).rejects.toThrow(message);
+    };
+
+    await rejects([], 'must have a non-empty "steps" list');
+    await rejects([{ name: 'themes' }], 'needs exactly one of "prompt" or "promptFile"');
+    await rejects([{ name: 'Flags', prompt: 'x' }], '"Flags" is already a results column');
+    await rejects([{ name: 'themes', prompt: 'x' }, { name: 'Themes', prompt: 'y' }], 'more than one step named "Themes"');
+    await rejects([{ name: 'themes', prompt: 'x', model: 'gpt-4o', tone: 'formal' }], 'unknown setting tone');
+    await rejects([{ name: 'codes', prompt: 'x', parse: 'codebook' }], 'parse "codebook" needs "codebook"');
+    await rejects([{ name: 'themes', prompt: 'x', parse: 'yaml' }], 'unknown parse mode "yaml"');
+    await rejects([{ name: 'themes', prompt: 'Use {{step:summary}}' }, { name: 'summary', prompt: 'y' }], '{{step:summary}} must name an earlier step');
+  });
+
+  it('should resume rows at the first step without a current answer', async () => {
+    writePipeline([
+      { name: 'themes', prompt: 'Extract themes' },
+      { name: 'sentiment', prompt: 'Rate the sentiment' }
+    ]);
+    const pipeline = await loadPipeline(pipelineFile);
+    const [themes, sentiment] = pipeline.steps;
+    const row = (cells, runIds) => {
+      const row = {};
+      const withVersions = withStepVersions(pipeline.steps, cells, runIds);
+      pipelineColumns(pipeline).forEach(column => {
+        row[column.title] = withVersions[column.id] || '';
+      });
+      return row;
+    };
+
+    const done = row({ [themes.column.id]: 'Recognition', [sentiment.column.id]: 'positive' }, { themes: 'run-1', sentiment: 'run-2' });
+    expect(done['Pipeline Steps']).toBe(`themes:${themes.hash.substring(0, 8)}@run-1; sentiment:${sentiment.hash.substring(0, 8)}@run-2`);
+    expect(isRowComplete(done, pipeline)).toBe(true);
+    expect(completedSteps(done, pipeline)).toEqual({
+      themes: { response: 'Recognition', cells: { 'step.themes': 'Recognition' }, runId: 'run-1' },
+      sentiment: { response: 'positive', cells: { 'step.sentiment': 'positive' }, runId: 'run-2' }
+    });
+
+    // Failed rows wait for --retry-errors, which reruns from the failed step
+    const failed = row({ [themes.column.id]: 'Recognition', [sentiment.column.id]: 'Error: timeout' });
+    expect(isRowComplete(failed, pipeline)).toBe(true);
+    expect(Object.keys(completedSteps(failed, pipeline))).toEqual(['themes']);
+
+    // A step added to the pipeline has no answer yet
+    const partial = row({ [themes.column.id]: 'Recognition' });
+    expect(isRowComplete(partial, pipeline)).toBe(false);
+    expect(Object.keys(completedSteps(partial, pipeline))).toEqual(['themes']);
+
+    // Changing a step's settings reruns it and everything after it
+    writePipeline([
+      { name: 'themes', prompt: 'Extract up to three themes' },
+      { name: 'sentiment', prompt: 'Rate the sentiment' }
+    ]);
+    const changed = await loadPipeline(pipelineFile);
+    expect(isRowComplete(done, changed)).toBe(false);
+    expect(completedSteps(done, changed)).toEqual({});
+    expect(completedSteps(undefined, changed)).toEqual({});
+  });
+
+  it('should tally each codebook step on its own columns', async () => {
+    writePipeline([{ name: 'codes', prompt: 'Code it', parse: 'codebook', codebook: 'codebook.csv' }]);
+    const pipeline = await loadPipeline(pipelineFile);
+    const rows = [
+      { codes: '{}', 'codes: REC': 'true', 'codes: PAY': 'false', 'codes: Other/Emergent': 'false' },
+      { codes: '{}', 'codes: REC': 'true', 'codes: PAY': 'true', 'codes: Other/Emergent': 'true' }
+    ];
+
+    const summary = tallyCodebook(codebookStepRows(rows, pipeline.steps[0]), pipeline.steps[0].codebook);
+
+    expect(summary.total).toBe(2);
+    expect(summary.tally.map(entry => [entry.code, entry.count])).toEqual([['REC', 2], ['PAY', 1], ['Other/Emergent', 1]]);
+  });
+});
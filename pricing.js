@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { formatTokenCount } = require('./tokens');
+
+/**
+ * Per-model prices used for dry-run cost estimates.
+ *
+ * Prices are USD per million tokens, matched by model (or Azure deployment)
+ * name prefix like the context windows in tokens.js, so list the more
+ * specific names first. Providers change prices; pass --price-table to
+ * override or extend this table.
+ */
+const MODEL_PRICES = [
+  ['gpt-5-nano', { input: 0.05, output: 0.40 }],
+  ['gpt-5-mini', { input: 0.25, output: 2.00 }],
+  ['gpt-5', { input: 1.25, output: 10.00 }],
+  ['gpt-4.1-nano', { input: 0.10, output: 0.40 }],
+  ['gpt-4.1-mini', { input: 0.40, output: 1.60 }],
+  ['gpt-4.1', { input: 2.00, output: 8.00 }],
+  ['gpt-4o-mini', { input: 0.15, output: 0.60 }],
+  ['gpt-4o', { input: 2.50, output: 10.00 }],
+  ['gpt-4-turbo', { input: 10.00, output: 30.00 }],
+  ['gpt-35-turbo', { input: 0.50, output: 1.50 }],
+  ['gpt-3.5-turbo', { input: 0.50, output: 1.50 }]
+];
+
+// Models served from the local machine cost nothing per token
+const LOCAL_PROVIDERS = ['lmstudio', 'ollama', 'echo'];
+
+/**
+ * Read a price table file: { "<model prefix>": { "input": n, "output": n } }
+ * in USD per million tokens, merged over the built-in table.
+ */
+function loadPriceTable(filename) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read price table ${filename}: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Price table ${filename} must be an object of model name to { input, output } prices`);
+  }
+  const entries = Object.entries(data).map(([model, price]) => {
+    if (!price || typeof price.input !== 'number' || typeof price.output !== 'number' || price.input < 0 || price.output < 0) {
+      throw new Error(`Price table ${filename}: ${model} needs numeric "input" and "output" prices per million tokens`);
+    }
+    return [model.toLowerCase(), { input: price.input, output: price.output }];
+  });
+  // File entries replace built-in ones with the same name; longest names
+  // first so "gpt-4o-mini" still wins over an overridden "gpt-4o"
+  const merged = new Map([...MODEL_PRICES, ...entries]);
+  return [...merged.entries()].sort((a, b) => b[0].length - a[0].length);
+}
+
+/**
+ * { input, output } USD per million tokens for a provider instance, or null
+ * when the model isn't in the table.
+ */
+function priceFor(provider, table = MODEL_PRICES) {
+  if (LOCAL_PROVIDERS.includes(provider.name)) return { input: 0, output: 0 };
+  const name = String(provider.model || '').toLowerCase();
+  const match = table.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+/**
+ * One line describing the estimated cost of inputTokens plus up to
+ * outputTokens for provider.
+ */
+function describeCost(provider, { inputTokens, outputTokens }, table = MODEL_PRICES) {
+  if (LOCAL_PROVIDERS.includes(provider.name)) {
+    return 'none (local model)';
+  }
+  const price = priceFor(provider, table);
+  if (!price) {
+    return `unknown - no price for model "${provider.model}"; add it with --price-table <file.json>`;
+  }
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  return `~$${cost.toFixed(2)} ` +
+    `(${formatTokenCount(inputTokens)} input tokens at $${price.input.toFixed(2)}/M, ` +
+    `up to ${formatTokenCount(outputTokens)} output tokens at $${price.output.toFixed(2)}/M)`;
+}
+
+module.exports = { MODEL_PRICES, loadPriceTable, priceFor, describeCost };
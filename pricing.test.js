@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPriceTable, priceFor, describeCost } = require('./pricing');
+const { describeTokenDistribution } = require('./tokens');
+
+describe('dry-run cost estimates', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should look up prices by model prefix, most specific first', () => {
+    expect(priceFor({ name: 'azure', model: 'gpt-4o-2024-08-06' })).toEqual({ input: 2.50, output: 10.00 });
+    expect(priceFor({ name: 'openai', model: 'gpt-4o-mini' })).toEqual({ input: 0.15, output: 0.60 });
+    expect(priceFor({ name: 'lmstudio', model: 'local-model' })).toEqual({ input: 0, output: 0 });
+    expect(priceFor({ name: 'azure', model: 'my-deployment' })).toBeNull();
+  });
+
+  it('should describe the estimated cost', () => {
+    const tokens = { inputTokens: 2000000, outputTokens: 500000 };
+
+    expect(describeCost({ name: 'azure', model: 'gpt-4o' }, tokens))
+      .toBe('~$10.00 (2.0M input tokens at $2.50/M, up to 500.0k output tokens at $10.00/M)');
+    expect(describeCost({ name: 'ollama', model: 'llama3' }, tokens)).toBe('none (local model)');
+    expect(describeCost({ name: 'azure', model: 'my-deployment' }, tokens)).toContain('no price for model "my-deployment"');
+  });
+
+  it('should let a price table file add and override models', () => {
+    const file = path.join(tmpDir, 'prices.json');
+    fs.writeFileSync(file, JSON.stringify({ 'My-Deployment': { input: 1, output: 2 }, 'gpt-4o': { input: 5, output: 15 } }));
+
+    const table = loadPriceTable(file);
+
+    expect(priceFor({ name: 'azure', model: 'my-deployment-eu' }, table)).toEqual({ input: 1, output: 2 });
+    expect(priceFor({ name: 'azure', model: 'gpt-4o' }, table)).toEqual({ input: 5, output: 15 });
+    expect(priceFor({ name: 'azure', model: 'gpt-4o-mini' }, table)).toEqual({ input: 0.15, output: 0.60 });
+
+    fs.writeFileSync(file, JSON.stringify({ 'gpt-4o': { input: '5' } }));
+    expect(() => loadPriceTable(file)).toThrow('gpt-4o needs numeric "input" and "output" prices');
+    fs.writeFileSync(file, '[]');
+    expect(() => loadPriceTable(file)).toThrow('must be an object');
+  });
+
+  it('should summarize token counts', () => {
+    expect(describeTokenDistribution([])).toBe('none');
+    expect(describeTokenDistribution([40, 10, 20, 30, 1500, 50, 60, 70, 80, 90]))
+      .toBe('min 10, median 50, p90 90, max 1.5k (total 1.9k)');
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const { fieldValue, formatFieldValue } = require('./fieldFormat');
+
+/**
+ * Prompt templates (--prompt-file) and system prompt files.
+ *
+ * A template is the whole user prompt with the record's text placed at
+ * {{text}}. {{field:Name}} and {{label:Name}} insert a field's value or
+ * label (relationship paths such as Owner.Department work too) and
+ * {{recordId}} the record's Id. Fields used with {{field:...}} are queried
+ * as context for the prompt but are not part of the analyzed text. Pipeline
+ * step prompts can also use {{step:Name}}, an earlier step's response.
+ */
+const TEXT_PLACEHOLDER = '{{text}}';
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+function parsePlaceholder(inner, source) {
+  if (inner === 'text' || inner === 'recordId') return { type: inner };
+  const match = inner.match(/^(field|label|step)\s*:\s*([A-Za-z][\w.-]*)$/);
+  if (match) return { type: match[1], name: match[2] };
+  throw new Error(`${source}: unknown placeholder {{${inner}}}; use {{text}}, {{recordId}}, {{field:Name}} or {{label:Name}}`);
+}
+
+/**
+ * Parse template text. Returns { source, contextFields, labelFields,
+ * stepRefs, render(record, fieldMetadata, stepOutputs) } where render fills
+ * in everything except {{text}}. Without textRequired the template may leave
+ * {{text}} out and the text is appended as for a plain prompt; stepNames
+ * lists the steps {{step:...}} may refer to (none outside a pipeline).
+ */
+function parsePromptTemplate(source, name = 'Prompt template', { textRequired = true, stepNames = null } = {}) {
+  const placeholders = [...source.matchAll(PLACEHOLDER_PATTERN)].map(match => parsePlaceholder(match[1], name));
+  const textCount = placeholders.filter(placeholder => placeholder.type === 'text').length;
+  if (textCount > 1 || (textRequired && textCount === 0)) {
+    throw new Error(`${name} must contain {{text}} ${textRequired ? 'exactly' : 'at most'} once (found ${textCount})`);
+  }
+  const namesOf = (type) => [...new Set(placeholders.filter(placeholder => placeholder.type === type).map(placeholder => placeholder.name))];
+  const stepRefs = namesOf('step');
+  if (stepRefs.length > 0 && !stepNames) {
+    throw new Error(`${name}: {{step:${stepRefs[0]}}} only works in --pipeline step prompts`);
+  }
+  const unknownStep = stepRefs.find(step => !stepNames.includes(step));
+  if (unknownStep) {
+    throw new Error(`${name}: {{step:${unknownStep}}} must name an earlier step${stepNames.length > 0 ? ` (${stepNames.join(', ')})` : ''}`);
+  }
+
+  return {
+    source,
+    contextFields: namesOf('field'),
+    labelFields: namesOf('label'),
+    stepRefs,
+    render(record, fieldMetadata = {}, stepOutputs = {}) {
+      return source.replace(PLACEHOLDER_PATTERN, (match, inner) => {
+        const placeholder = parsePlaceholder(inner, name);
+        if (placeholder.type === 'text') return TEXT_PLACEHOLDER;
+        if (placeholder.type === 'recordId') return record.Id || '';
+        if (placeholder.type === 'step') return stepOutputs[placeholder.name] || '';
+        const metadata = fieldMetadata[placeholder.name];
+        if (placeholder.type === 'label') return (metadata && metadata.label) || placeholder.name;
+        return formatFieldValue(fieldValue(record, placeholder.name), metadata) || '';
+      });
+    }
+  };
+}
+
+function readPromptFile(filename, kind) {
+  let text;
+  try {
+    text = fs.readFileSync(filename, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Could not read ${kind} ${filename}: ${error.message}`);
+  }
+  if (!text) {
+    throw new Error(`${kind[0].toUpperCase()}${kind.slice(1)} ${filename} is empty`);
+  }
+  return text;
+}
+
+function loadPromptTemplate(filename, options = {}) {
+  return parsePromptTemplate(readPromptFile(filename, 'prompt template'), filename, options);
+}
+
+function loadSystemPrompt(filename) {
+  return readPromptFile(filename, 'system prompt');
+}
+
+/**
+ * Put text into a prompt: at a rendered template's {{text}}, or after a
+ * plain prompt preceded by label. note (e.g. schema instructions) goes just
+ * before the text.
+ */
+function composePrompt(prompt, text, { note = '', label = 'Text to analyze: ' } = {}) {
+  const lead = note ? `${note}\n\n` : '';
+  if (prompt.includes(TEXT_PLACEHOLDER)) {
+    return prompt.replace(TEXT_PLACEHOLDER, () => `${lead}${text}`);
+  }
+  return `${prompt}\n\n${lead}${label}${text}`;
+}
+
+/**
+ * Add instructions to a prompt, before a template's {{text}} so they are
+ * read ahead of the text, otherwise at the end.
+ */
+function addInstructions(prompt, instructions, separator = '\n\n') {
+  if (prompt.includes(TEXT_PLACEHOLDER)) {
+    return prompt.replace(TEXT_PLACEHOLDER, () => `${instructions}\n\n${TEXT_PLACEHOLDER}`);
+  }
+  return `${prompt}${separator}${instructions}`;
+}
+
+module.exports = {
+  TEXT_PLACEHOLDER,
+  parsePromptTemplate,
+  loadPromptTemplate,
+  loadSystemPrompt,
+  composePrompt,
+  addInstructions
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parsePromptTemplate, loadPromptTemplate, loadSystemPrompt, composePrompt, addInstructions } = require('./promptTemplate');
+const { buildCodebookPrompt } = require('./codebook');
+
+describe('prompt templates', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should fill in record fields, labels and the Id but keep {{text}}', () => {
+    const template = parsePromptTemplate(
+      'Record {{recordId}} from {{ field:Department__c }} ({{field:Owner.Title}}).\n' +
+      'Answer about {{label:Q6__c}}:\n{{text}}\nAlso {{label:Q7__c}}; {{field:Missing__c}}.'
+    );
+
+    expect(template.contextFields).toEqual(['Department__c', 'Owner.Title', 'Missing__c']);
+    expect(template.labelFields).toEqual(['Q6__c', 'Q7__c']);
+
+    const rendered = template.render(
+      { Id: 'a01', Department__c: 'Nursing', Owner: { Title: 'Manager' } },
+      { Q6__c: { label: 'Recognition Thoughts' } }
+    );
+    expect(rendered).toBe('Record a01 from Nursing (Manager).\nAnswer about Recognition Thoughts:\n{{text}}\nAlso Q7__c; .');
+  });
+
+  it('should require exactly one {{text}} and known placeholders', () => {
+    expect(() => parsePromptTemplate('Summarize this')).toThrow('must contain {{text}} exactly once (found 0)');
+    expect(() => parsePromptTemplate('{{text}} and {{text}}', 'themes.md')).toThrow('themes.md must contain {{text}} exactly once (found 2)');
+    expect(() => parsePromptTemplate('{{text}} by {{owner}}', 'themes.md')).toThrow('themes.md: unknown placeholder {{owner}}');
+    expect(() => parsePromptTemplate('{{text}} {{step:themes}}', 'themes.md')).toThrow('{{step:themes}} only works in --pipeline step prompts');
+  });
+
+  it('should fill in earlier step answers in pipeline step prompts', () => {
+    const template = parsePromptTemplate('Paraphrase given {{step:themes}}', 'step', { textRequired: false, stepNames: ['themes'] });
+
+    expect(template.render({ Id: 'a01' }, {}, { themes: 'Recognition' })).toBe('Paraphrase given Recognition');
+    expect(() => parsePromptTemplate('{{text}}{{text}}', 'step', { textRequired: false, stepNames: [] })).toThrow('must contain {{text}} at most once (found 2)');
+  });
+
+  it('should compose prompts with or without {{text}}', () => {
+    expect(composePrompt('Extract themes', 'great team')).toBe('Extract themes\n\nText to analyze: great team');
+    expect(composePrompt('Extract themes', 'great team', { note: 'Answer in JSON.' }))
+      .toBe('Extract themes\n\nAnswer in JSON.\n\nText to analyze: great team');
+    expect(composePrompt('Read:\n{{text}}\nThen list themes.', 'cost is $& high', { note: 'Part 1 of 2.' }))
+      .toBe('Read:\nPart 1 of 2.\n\ncost is $& high\nThen list themes.');
+
+    expect(addInstructions('Extract themes', 'Be brief.')).toBe('Extract themes\n\nBe brief.');
+    expect(addInstructions('Read:\n{{text}}', 'Be brief.')).toBe('Read:\nBe brief.\n\n{{text}}');
+  });
+
+  it('should put the codebook ahead of a template\'s text', () => {
+    const codebook = [{ code: 'REC', label: 'Recognition', definition: '' }];
+
+    expect(buildCodebookPrompt('Extract themes', codebook)).toMatch(/^Extract themes\nClassify the text/);
+    expect(buildCodebookPrompt('Read:\n{{text}}\nThanks', codebook)).toMatch(/^Read:\nClassify[\s\S]*- REC: Recognition\n\n\{\{text\}\}\nThanks$/);
+  });
+
+  it('should load template and system prompt files', () => {
+    const templateFile = path.join(tmpDir, 'themes.md');
+    const systemFile = path.join(tmpDir, 'system.txt');
+    fs.writeFileSync(templateFile, 'Themes for {{field:Department__c}}:\n\n{{text}}\n');
+    fs.writeFileSync(systemFile, '\nYou are an HR analyst.\n');
+
+    expect(loadPromptTemplate(templateFile).contextFields).toEqual(['Department__c']);
+    expect(loadSystemPrompt(systemFile)).toBe('You are an HR analyst.');
+
+    fs.writeFileSync(systemFile, '  \n');
+    expect(() => loadSystemPrompt(systemFile)).toThrow(`System prompt ${systemFile} is empty`);
+    expect(() => loadPromptTemplate(path.join(tmpDir, 'missing.md'))).toThrow('Could not read prompt template');
+  });
+});
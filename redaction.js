@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { createObjectCsvWriter } = require('csv-writer');
+const { hashConfig } = require('./runManifest');
+
+/**
+ * PII redaction applied to text before it is sent to any provider.
+ *
+ * Matches of the redaction rules (regular expressions) and the custom name
+ * list are replaced with placeholders such as [PERSON_1] or [EMAIL_2]. A
+ * session numbers placeholders per label and gives the same value the same
+ * placeholder every time, so the model can still tell people apart and the
+ * placeholders in its answer can be mapped back to the original values.
+ */
+const DEFAULT_RULES = [
+  { label: 'EMAIL', pattern: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}', flags: 'i' },
+  { label: 'PHONE', pattern: '(?<![\\w+])(?:\\+?1[-. ]?)?(?:\\(\\d{3}\\)|\\d{3})[-. ]\\d{3}[-. ]\\d{4}(?!\\w)' },
+  { label: 'SSN', pattern: '\\b\\d{3}-\\d{2}-\\d{4}\\b' }
+];
+
+const LABEL_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(rule, source) {
+  if (!rule || !LABEL_PATTERN.test(rule.label || '')) {
+    throw new Error(`${source}: every rule needs an upper-case label such as EMPLOYEE_ID (got ${JSON.stringify(rule && rule.label)})`);
+  }
+  const flags = [...new Set(`${rule.flags || ''}gu`)].join('');
+  try {
+    return { label: rule.label, regex: new RegExp(rule.pattern, flags) };
+  } catch (error) {
+    throw new Error(`${source}: rule ${rule.label} has an invalid pattern: ${error.message}`);
+  }
+}
+
+// One case-insensitive alternation, longest names first so "Jane Doe" wins
+// over "Jane"
+function compileNames(names) {
+  const unique = [...new Set(names.map(name => name.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return null;
+  const alternation = unique.map(name => escapeRegExp(name).replace(/\s+/g, '\\s+')).join('|');
+  return { label: 'PERSON', regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})(?![\\p{L}\\p{N}])`, 'giu') };
+}
+
+/**
+ * rules: [{ label, pattern, flags }]; names: people to mask as PERSON.
+ */
+function createRedactor({ rules = DEFAULT_RULES, names = [] } = {}) {
+  const compiled = [
+    compileNames(names),
+    ...rules.map(rule => compileRule(rule, 'Redaction rules'))
+  ].filter(Boolean);
+
+  function findMatches(text) {
+    const matches = [];
+    compiled.forEach((rule, priority) => {
+      for (const match of text.matchAll(rule.regex)) {
+        if (!match[0]) continue;
+        matches.push({ start: match.index, end: match.index + match[0].length, label: rule.label, value: match[0], priority });
+      }
+    });
+    // Earliest first, then longest, then the name list before the rules;
+    // anything overlapping a kept match is dropped
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.priority - b.priority);
+    const kept = [];
+    let end = -1;
+    matches.forEach(match => {
+      if (match.start >= end) {
+        kept.push(match);
+        end = match.end;
+      }
+    });
+    return kept;
+  }
+
+  function session() {
+    const placeholders = new Map();
+    const originals = new Map();
+    const counters = {};
+
+    const placeholderFor = (label, value) => {
+      const key = `${label}\u0000${value.toLowerCase().replace(/\s+/g, ' ')}`;
+      if (!placeholders.has(key)) {
+        counters[label] = (counters[label] || 0) + 1;
+        const placeholder = `${label}_${counters[label]}`;
+        placeholders.set(key, placeholder);
+        originals.set(placeholder, value);
+      }
+      return placeholders.get(key);
+    };
+
+    return {
+      /**
+       * Returns { text, counts } where counts maps each label to the number
+       * of matches masked in this text.
+       */
+      redact(text) {
+        const source = String(text);
+        const counts = {};
+        let result = '';
+        let position = 0;
+        findMatches(source).forEach(match => {
+          result += source.substring(position, match.start) + `[${placeholderFor(match.label, match.value)}]`;
+          position = match.end;
+          counts[match.label] = (counts[match.label] || 0) + 1;
+        });
+        return { text: result + source.substring(position), counts };
+      },
+      // Put the original values back; placeholders this session didn't
+      // create are left alone
+      restore(text) {
+        return String(text).replace(PLACEHOLDER_PATTERN, (placeholder, name) => (originals.has(name) ? originals.get(name) : placeholder));
+      },
+      restoreValue(value) {
+        if (typeof value === 'string') return this.restore(value);
+        if (Array.isArray(value)) return value.map(item => this.restoreValue(item));
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreValue(item)]));
+        }
+        return value;
+      }
+    };
+  }
+
+  return { session };
+}
+
+function readNamesFile(filename) {
+  return fs.readFileSync(filename, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Load redaction settings: an optional JSON rules file
+ * ({ "defaults": true, "rules": [...], "names": [...] }) and an optional
+ * names file with one name per line. fingerprint identifies the settings
+ * for run manifests.
+ */
+function loadRedactionConfig({ rulesFile, namesFile } = {}) {
+  let fileConfig = {};
+  if (rulesFile) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read redaction rules ${rulesFile}: ${error.message}`);
+    }
+  }
+  const rules = [
+    ...(fileConfig.defaults === false ? [] : DEFAULT_RULES),
+    ...(fileConfig.rules || [])
+  ];
+  rules.forEach(rule => compileRule(rule, rulesFile || 'Redaction rules'));
+  const names = [
+    ...(fileConfig.names || []),
+    ...(namesFile ? readNamesFile(namesFile) : [])
+  ];
+  return { rules, names, fingerprint: hashConfig({ rules, names }) };
+}
+
+/**
+ * Redaction settings from CLI options (--redact, --redact-rules,
+ * --redact-names, --restore-pii), or null when redaction is off.
+ */
+function redactionFromOptions(options) {
+  const enabled = Boolean(options.redact || options.redactRules || options.redactNames);
+  if (!enabled) {
+    if (options.restorePii) {
+      throw new Error('--restore-pii needs --redact, --redact-rules or --redact-names');
+    }
+    return null;
+  }
+  const config = loadRedactionConfig({ rulesFile: options.redactRules, namesFile: options.redactNames });
+  return {
+    redactor: createRedactor(config),
+    restore: Boolean(options.restorePii),
+    fingerprint: config.fingerprint,
+    description: `${config.rules.map(rule => rule.label).join(', ')}${config.names.length > 0 ? `, PERSON (${config.names.length} names)` : ''}`
+  };
+}
+
+/**
+ * Running totals for the redaction report: per label, the number of matches
+ * masked and of records (or batches) they were found in.
+ */
+function createRedactionTally() {
+  const totals = new Map();
+  return {
+    add(counts) {
+      Object.entries(counts).forEach(([label, count]) => {
+        const entry = totals.get(label) || { label, masked: 0, records: 0 };
+        entry.masked += count;
+        entry.records += 1;
+        totals.set(label, entry);
+      });
+    },
+    entries() {
+      return [...totals.values()].sort((a, b) => b.masked - a.masked || a.label.localeCompare(b.label));
+    }
+  };
+}
+
+async function writeRedactionReport(filename, tally, { runId, unit = 'Records' } = {}) {
+  const csvWriter = createObjectCsvWriter({
+    path: filename,
+    header: [
+      { id: 'runId', title: 'Run ID' },
+      { id: 'label', title: 'Label' },
+      { id: 'masked', title: 'Masked' },
+      { id: 'records', title: unit }
+    ]
+  });
+  await csvWriter.writeRecords(tally.entries().map(entry => ({ runId: runId || '', ...entry })));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  createRedactor,
+  loadRedactionConfig,
+  redactionFromOptions,
+  createRedactionTally,
+  writeRedactionReport
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createRedactor,
+  loadRedactionConfig,
+  redactionFromOptions,
+  createRedactionTally,
+  writeRedactionReport
+} = require('./redaction');
+
+describe('redaction', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should mask emails, phone numbers and SSNs with numbered placeholders', () => {
+    const session = createRedactor().session();
+
+    const { text, counts } = session.redact('Mail jane.doe@example.com or bob@example.org, call (555) 123-4567. SSN 123-45-6789.');
+
+    expect(text).toBe('Mail [EMAIL_1] or [EMAIL_2], call [PHONE_1]. SSN [SSN_1].');
+    expect(counts).toEqual({ EMAIL: 2, PHONE: 1, SSN: 1 });
+  });
+
+  it('should leave plain numbers alone', () => {
+    const session = createRedactor().session();
+
+    expect(session.redact('Rated 5551234567 on a scale of 10 in 2024').text).toBe('Rated 5551234567 on a scale of 10 in 2024');
+  });
+
+  it('should give the same value the same placeholder across texts in a session', () => {
+    const session = createRedactor({ names: ['Jane Doe', 'Bob'] }).session();
+
+    expect(session.redact('Jane Doe thanked Bob.').text).toBe('[PERSON_1] thanked [PERSON_2].');
+    expect(session.redact('bob said JANE  DOE helped him').text).toBe('[PERSON_2] said [PERSON_1] helped him');
+    expect(createRedactor({ names: ['Bob'] }).session().redact('Bob').text).toBe('[PERSON_1]');
+  });
+
+  it('should prefer the longest name and only match whole words', () => {
+    const session = createRedactor({ names: ['Jane', 'Jane Doe', 'Ann'] }).session();
+
+    expect(session.redact('Jane Doe met Jane and Annie.').text).toBe('[PERSON_1] met [PERSON_2] and Annie.');
+  });
+
+  it('should resolve overlapping matches to the earliest, longest one', () => {
+    const session = createRedactor({
+      rules: [
+        { label: 'EMAIL', pattern: '[a-z.]+@example\\.com' },
+        { label: 'DOMAIN', pattern: 'example\\.com' }
+      ],
+      names: ['jane.doe']
+    }).session();
+
+    expect(session.redact('jane.doe@example.com and example.com').text).toBe('[EMAIL_1] and [DOMAIN_1]');
+  });
+
+  it('should restore placeholders in text and nested values', () => {
+    const session = createRedactor({ names: ['Jane Doe'] }).session();
+    session.redact('Jane Doe wrote from jane@example.com');
+
+    expect(session.restore('[PERSON_1] ([EMAIL_1]) and [PERSON_9]')).toBe('Jane Doe (jane@example.com) and [PERSON_9]');
+    expect(session.restoreValue({ themes: ['[PERSON_1]'], score: 3, note: null }))
+      .toEqual({ themes: ['Jane Doe'], score: 3, note: null });
+  });
+
+  it('should load custom rules and names and fingerprint them', () => {
+    const rulesFile = path.join(tmpDir, 'rules.json');
+    const namesFile = path.join(tmpDir, 'names.txt');
+    fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ label: 'EMPLOYEE_ID', pattern: 'E\\d{6}' }], names: ['Pat Lee'] }));
+    fs.writeFileSync(namesFile, '# managers\nJane Doe\n\nBob\n');
+
+    const config = loadRedactionConfig({ rulesFile, namesFile });
+
+    expect(config.rules.map(rule => rule.label)).toEqual(['EMAIL', 'PHONE', 'SSN', 'EMPLOYEE_ID']);
+    expect(config.names).toEqual(['Pat Lee', 'Jane Doe', 'Bob']);
+    expect(config.fingerprint).toMatch(/^[0-9a-f]+$/);
+    expect(loadRedactionConfig({ rulesFile }).fingerprint).not.toBe(config.fingerprint);
+    expect(createRedactor(config).session().redact('Pat Lee (E123456)').text).toBe('[PERSON_1] ([EMPLOYEE_ID_1])');
+  });
+
+  it('should drop the default rules when asked and reject bad rules', () => {
+    const rulesFile = path.join(tmpDir, 'rules.json');
+    fs.writeFileSync(rulesFile, JSON.stringify({ defaults: false, rules: [{ label: 'BADGE', pattern: 'B-\\d+' }] }));
+    expect(loadRedactionConfig({ rulesFile }).rules.map(rule => rule.label)).toEqual(['BADGE']);
+
+    fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ label: 'badge', pattern: 'B-\\d+' }] }));
+    expect(() => loadRedactionConfig({ rulesFile })).toThrow('every rule needs an upper-case label');
+
+    fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ label: 'BADGE', pattern: '(' }] }));
+    expect(() => loadRedactionConfig({ rulesFile })).toThrow('rule BADGE has an invalid pattern');
+
+    fs.writeFileSync(rulesFile, '{ not json');
+    expect(() => loadRedactionConfig({ rulesFile })).toThrow(`Could not read redaction rules ${rulesFile}`);
+  });
+
+  it('should build settings from CLI options', () => {
+    expect(redactionFromOptions({})).toBeNull();
+    expect(() => redactionFromOptions({ restorePii: true })).toThrow('--restore-pii needs --redact');
+
+    const redaction = redactionFromOptions({ redact: true, restorePii: true });
+    expect(redaction.restore).toBe(true);
+    expect(redaction.description).toBe('EMAIL, PHONE, SSN');
+  });
+
+  it('should tally masked values and write the report', async () => {
+    const tally = createRedactionTally();
+    tally.add({ PERSON: 2, EMAIL: 1 });
+    tally.add({ PERSON: 1 });
+    tally.add({});
+
+    expect(tally.entries()).toEqual([
+      { label: 'PERSON', masked: 3, records: 2 },
+      { label: 'EMAIL', masked: 1, records: 1 }
+    ]);
+
+    const reportFile = path.join(tmpDir, 'report.csv');
+    await writeRedactionReport(reportFile, tally, { runId: 'run-1' });
+    expect(fs.readFileSync(reportFile, 'utf8')).toBe('Run ID,Label,Masked,Records\nrun-1,PERSON,3,2\nrun-1,EMAIL,1,1\n');
+  });
+});
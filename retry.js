@@ -0,0 +1,131 @@
+/**
+ * Shared retry policy for outbound HTTP calls (LLM providers, Salesforce REST
+ * and token endpoints).
+ *
+ * Transient failures (429, 5xx, timeouts, dropped connections) are retried
+ * with jittered exponential backoff, honouring Retry-After when the server
+ * sends one. Statuses in neverRetryStatuses (bad requests, auth failures) fail
+ * immediately because repeating them can't succeed.
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000,
+  retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+  neverRetryStatuses: [400, 401, 403, 404, 405, 413, 422],
+  retryCodes: ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function intFromEnv(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Build a policy from the defaults, RETRY_* environment variables and any
+ * explicit overrides (e.g. from --max-attempts).
+ */
+function createRetryPolicy(overrides = {}) {
+  const fromEnv = {
+    maxAttempts: intFromEnv('RETRY_MAX_ATTEMPTS'),
+    baseDelayMs: intFromEnv('RETRY_BASE_DELAY_MS'),
+    maxDelayMs: intFromEnv('RETRY_MAX_DELAY_MS')
+  };
+
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  for (const source of [fromEnv, overrides]) {
+    for (const [key, value] of Object.entries(source)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error('Retry max attempts must be a positive integer');
+  }
+  return policy;
+}
+
+// Works for raw axios errors and for errors already wrapped by llmProviders
+function errorStatus(error) {
+  if (error.status) return error.status;
+  return error.response ? error.response.status : undefined;
+}
+
+function errorHeaders(error) {
+  if (error.headers) return error.headers;
+  return error.response ? error.response.headers : undefined;
+}
+
+function isRetryable(error, policy) {
+  const status = errorStatus(error);
+  if (status !== undefined) {
+    if (policy.neverRetryStatuses.includes(status)) return false;
+    return policy.retryStatuses.includes(status);
+  }
+  return policy.retryCodes.includes(error.code);
+}
+
+/**
+ * Delay requested by the server via retry-after-ms (Azure) or Retry-After
+ * (seconds or an HTTP date), or null when there is none.
+ */
+function getRetryAfterMs(error, now = Date.now()) {
+  const headers = errorHeaders(error);
+  if (!headers) return null;
+
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(get('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return Math.max(0, retryAfterMs);
+
+  const retryAfter = get('retry-after');
+  if (retryAfter === undefined || retryAfter === null) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) return Math.max(0, date - now);
+
+  return null;
+}
+
+function backoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  // "Full jitter": spreads concurrent workers out instead of retrying in lockstep
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Call fn(attempt) until it succeeds, a non-retryable error is thrown or the
+ * policy's attempts run out. The last error is rethrown unchanged.
+ */
+async function withRetry(fn, policy = createRetryPolicy(), { label = 'Request', onRetry, wait = sleep, random = Math.random } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryable(error, policy)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delay = retryAfterMs !== null ?
+        Math.min(retryAfterMs, policy.maxRetryAfterMs) :
+        backoffDelay(attempt, policy, random);
+
+      const reason = errorStatus(error) || error.code || error.message;
+      if (onRetry) {
+        onRetry({ attempt, delay, error });
+      } else {
+        console.warn(`  ↻ ${label} failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${policy.maxAttempts})`);
+      }
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = { DEFAULT_RETRY_POLICY, createRetryPolicy, isRetryable, getRetryAfterMs, backoffDelay, withRetry };
@@ -0,0 +1,76 @@
+const { createRetryPolicy, isRetryable, getRetryAfterMs, backoffDelay, withRetry } = require('./retry');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+describe('retry policy', () => {
+  const policy = createRetryPolicy({ maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000 });
+
+  afterEach(() => {
+    delete process.env.RETRY_MAX_ATTEMPTS;
+  });
+
+  it('should read overrides from the environment and explicit options', () => {
+    process.env.RETRY_MAX_ATTEMPTS = '7';
+    expect(createRetryPolicy().maxAttempts).toBe(7);
+    expect(createRetryPolicy({ maxAttempts: 2 }).maxAttempts).toBe(2);
+    expect(() => createRetryPolicy({ maxAttempts: 0 })).toThrow(/positive integer/);
+  });
+
+  it('should classify transient and permanent failures', () => {
+    expect(isRetryable(httpError(429), policy)).toBe(true);
+    expect(isRetryable(httpError(503), policy)).toBe(true);
+    expect(isRetryable(httpError(400), policy)).toBe(false);
+    expect(isRetryable(httpError(401), policy)).toBe(false);
+    expect(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), policy)).toBe(true);
+    expect(isRetryable(new Error('bug'), policy)).toBe(false);
+    // Errors wrapped by llmProviders carry the status directly
+    expect(isRetryable(Object.assign(new Error('wrapped'), { status: 502 }), policy)).toBe(true);
+  });
+
+  it('should parse Retry-After in seconds, HTTP dates and retry-after-ms', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': '3' }), now)).toBe(3000);
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' }), now)).toBe(5000);
+    expect(getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' }), now)).toBe(250);
+    expect(getRetryAfterMs(httpError(429), now)).toBeNull();
+  });
+
+  it('should cap exponential backoff at maxDelayMs', () => {
+    expect(backoffDelay(1, policy, () => 1)).toBe(100);
+    expect(backoffDelay(3, policy, () => 1)).toBe(400);
+    expect(backoffDelay(10, policy, () => 1)).toBe(1000);
+    expect(backoffDelay(3, policy, () => 0.5)).toBe(200);
+  });
+
+  it('should retry until success, honouring Retry-After', async () => {
+    const waits = [];
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce('ok');
+
+    const result = await withRetry(fn, policy, {
+      onRetry: () => {},
+      wait: async (ms) => waits.push(ms),
+      random: () => 1
+    });
+
+    expect(result).toBe('ok');
+    expect(waits).toEqual([2000, 200]);
+  });
+
+  it('should give up after maxAttempts and never retry auth failures', async () => {
+    const wait = async () => {};
+    const failing = jest.fn().mockRejectedValue(httpError(500));
+    await expect(withRetry(failing, policy, { onRetry: () => {}, wait })).rejects.toThrow('HTTP 500');
+    expect(failing).toHaveBeenCalledTimes(3);
+
+    const unauthorized = jest.fn().mockRejectedValue(httpError(401));
+    await expect(withRetry(unauthorized, policy, { onRetry: () => {}, wait })).rejects.toThrow('HTTP 401');
+    expect(unauthorized).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Sidecar run manifests for results files.
+ *
+ * Every results CSV gets a <name>.manifest.json next to it recording the
+ * settings that produced its rows (prompt, provider, model, temperature,
+ * fields and a hash of the input). Resuming is only allowed when the current
+ * settings match a run already recorded in the manifest, so answers from
+ * different prompts or models never get mixed silently.
+ */
+const MANIFEST_VERSION = 1;
+
+function manifestPathFor(outputFile) {
+  const parsed = path.parse(outputFile);
+  return path.join(parsed.dir, `${parsed.name}.manifest.json`);
+}
+
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Stable hash of the settings that affect answers; key order doesn't matter
+function hashConfig(config) {
+  const canonical = JSON.stringify(Object.keys(config).sort().map(key => [key, config[key]]));
+  return crypto.createHash('sha256').update(canonical).digest('hex').substring(0, 16);
+}
+
+function loadManifest(outputFile) {
+  const manifestPath = manifestPathFor(outputFile);
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read run manifest ${manifestPath}: ${error.message}`);
+  }
+}
+
+function saveManifest(outputFile, manifest) {
+  const manifestPath = manifestPathFor(outputFile);
+  const tempPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  fs.renameSync(tempPath, manifestPath);
+}
+
+function versionedOutputFile(outputFile, version) {
+  if (version <= 1) return outputFile;
+  const parsed = path.parse(outputFile);
+  return path.join(parsed.dir, `${parsed.name}_v${version}${parsed.ext}`);
+}
+
+function hasRows(outputFile) {
+  return fs.existsSync(outputFile) && fs.statSync(outputFile).size > 0;
+}
+
+function manifestMatches(manifest, configHash) {
+  return manifest.runs.some(run => run.configHash === configHash);
+}
+
+/**
+ * List the settings that differ between config and the most recent run in
+ * manifest, for the refusal message.
+ */
+function describeMismatch(manifest, config) {
+  const latest = manifest.runs[manifest.runs.length - 1].config;
+  return Object.keys({ ...latest, ...config })
+    .filter(key => JSON.stringify(latest[key]) !== JSON.stringify(config[key]))
+    .map(key => `  ${key}: ${JSON.stringify(latest[key])} -> ${JSON.stringify(config[key])}`);
+}
+
+/**
+ * Decide which results file this run writes to.
+ *
+ * - No file (or an empty one): start fresh.
+ * - File whose manifest records the same settings: resume.
+ * - Otherwise refuse, unless newVersion (use the first _vN file that is
+ *   empty or matches these settings) or forceAppend (append to it anyway).
+ *
+ * Returns { outputFile, manifest, mode } where mode is 'new', 'resume' or
+ * 'force-append'.
+ */
+function resolveOutputFile(baseOutputFile, config, { newVersion = false, forceAppend = false } = {}) {
+  const configHash = hashConfig(config);
+
+  for (let version = 1; ; version++) {
+    const outputFile = versionedOutputFile(baseOutputFile, version);
+    const manifest = loadManifest(outputFile);
+
+    if (!hasRows(outputFile)) {
+      return { outputFile, manifest: null, mode: 'new' };
+    }
+
+    if (manifest && manifestMatches(manifest, configHash)) {
+      return { outputFile, manifest, mode: 'resume' };
+    }
+
+    if (forceAppend) {
+      return { outputFile, manifest, mode: 'force-append' };
+    }
+
+    if (!newVersion) {
+      const details = manifest ?
+        ['Run settings differ from the ones that produced it:', ...describeMismatch(manifest, config)] :
+        ['It has no run manifest, so its settings cannot be verified.'];
+      throw new Error([
+        `Refusing to resume ${outputFile}.`,
+        ...details,
+        'Use --new-version to write to a new versioned results file, or --force-append to add to this one anyway.'
+      ].join('\n'));
+    }
+  }
+}
+
+function createRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `run-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Record a new run in the output file's manifest and return its id. Rows
+ * written during this invocation carry the id in their "Run ID" column.
+ */
+function startRun(outputFile, manifest, config, { mode, ...details }) {
+  const runId = createRunId();
+  const updated = manifest || {
+    version: MANIFEST_VERSION,
+    outputFile: path.basename(outputFile),
+    createdAt: new Date().toISOString(),
+    runs: []
+  };
+
+  updated.runs.push({
+    runId,
+    startedAt: new Date().toISOString(),
+    mode,
+    ...details,
+    configHash: hashConfig(config),
+    config
+  });
+
+  saveManifest(outputFile, updated);
+  return runId;
+}
+
+module.exports = {
+  manifestPathFor,
+  hashFile,
+  hashConfig,
+  loadManifest,
+  saveManifest,
+  versionedOutputFile,
+  resolveOutputFile,
+  startRun
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveOutputFile, startRun, loadManifest, manifestPathFor, hashConfig } = require('./runManifest');
+
+describe('run manifests', () => {
+  let tmpDir;
+  let baseFile;
+
+  const config = {
+    objectName: 'Employee_Survey_Response__c',
+    fields: ['Q6_Recognition_Thoughts__c'],
+    prompt: 'Extract meta-themes',
+    provider: 'azure',
+    model: 'gpt-5-chat',
+    temperature: 0.7,
+    inputHash: 'abc'
+  };
+
+  const writeRows = (file) => fs.writeFileSync(file, 'Salesforce Record ID\na1\n');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    baseFile = path.join(tmpDir, 'Survey_results.csv');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should hash configs independently of key order', () => {
+    const reordered = Object.fromEntries(Object.entries(config).reverse());
+    expect(hashConfig(reordered)).toBe(hashConfig(config));
+    expect(hashConfig({ ...config, prompt: 'Other' })).not.toBe(hashConfig(config));
+  });
+
+  it('should start a new file and resume it with the same settings', () => {
+    const first = resolveOutputFile(baseFile, config);
+    expect(first).toEqual({ outputFile: baseFile, manifest: null, mode: 'new' });
+
+    const runId = startRun(first.outputFile, first.manifest, config, { mode: first.mode });
+    writeRows(baseFile);
+
+    expect(runId).toMatch(/^run-\d{8}T\d{6}Z-[0-9a-f]{6}$/);
+    expect(path.basename(manifestPathFor(baseFile))).toBe('Survey_results.manifest.json');
+
+    const second = resolveOutputFile(baseFile, { ...config });
+    expect(second.mode).toBe('resume');
+    expect(second.manifest.runs[0].runId).toBe(runId);
+  });
+
+  it('should refuse to resume with a different prompt and explain why', () => {
+    startRun(baseFile, null, config, { mode: 'new' });
+    writeRows(baseFile);
+
+    expect(() => resolveOutputFile(baseFile, { ...config, prompt: 'Classify sentiment' }))
+      .toThrow(/Refusing to resume[\s\S]*prompt: "Extract meta-themes" -> "Classify sentiment"[\s\S]*--new-version/);
+  });
+
+  it('should refuse results files without a manifest', () => {
+    writeRows(baseFile);
+    expect(() => resolveOutputFile(baseFile, config)).toThrow(/no run manifest/);
+  });
+
+  it('should pick the next matching or unused version with newVersion', () => {
+    startRun(baseFile, null, config, { mode: 'new' });
+    writeRows(baseFile);
+
+    const changed = { ...config, model: 'gpt-4o' };
+    const v2 = resolveOutputFile(baseFile, changed, { newVersion: true });
+    expect(v2).toEqual({ outputFile: path.join(tmpDir, 'Survey_results_v2.csv'), manifest: null, mode: 'new' });
+
+    startRun(v2.outputFile, null, changed, { mode: 'new' });
+    writeRows(v2.outputFile);
+
+    // Rerunning the same command resumes v2 instead of creating v3
+    expect(resolveOutputFile(baseFile, changed, { newVersion: true }).outputFile).toBe(v2.outputFile);
+    expect(resolveOutputFile(baseFile, config, { newVersion: true }).outputFile).toBe(baseFile);
+  });
+
+  it('should record force-appended runs alongside the original settings', () => {
+    startRun(baseFile, null, config, { mode: 'new' });
+    writeRows(baseFile);
+
+    const changed = { ...config, temperature: 0 };
+    const resolved = resolveOutputFile(baseFile, changed, { forceAppend: true });
+    expect(resolved.mode).toBe('force-append');
+
+    startRun(resolved.outputFile, resolved.manifest, changed, { mode: resolved.mode });
+    const manifest = loadManifest(baseFile);
+    expect(manifest.runs.map(run => run.config.temperature)).toEqual([0.7, 0]);
+    expect(resolveOutputFile(baseFile, changed).mode).toBe('resume');
+  });
+});
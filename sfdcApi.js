@@ -0,0 +1,23 @@
+/**
+ * Salesforce REST API version shared by every data API URL.
+ *
+ * SFDC_API_VERSION accepts "60.0" or "v60.0"; without it the version the
+ * tool was built against is used.
+ */
+const DEFAULT_API_VERSION = '58.0';
+
+function apiVersion(version = process.env.SFDC_API_VERSION) {
+  if (!version) return `v${DEFAULT_API_VERSION}`;
+  const match = /^v?(\d+\.\d)$/i.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid Salesforce API version "${version}" (expected a version such as 60.0)`);
+  }
+  return `v${match[1]}`;
+}
+
+// resource starts with a slash: dataUrl(url, '/query')
+function dataUrl(instanceUrl, resource = '') {
+  return `${instanceUrl}/services/data/${apiVersion()}${resource}`;
+}
+
+module.exports = { apiVersion, dataUrl, DEFAULT_API_VERSION };
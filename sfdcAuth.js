@@ -2,109 +2,107 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const axios = require('axios');
 const { create } = require('xmlbuilder2');
 const { SignedXml } = require('xml-crypto');
+const { loginUrlFromEnv, tokenEndpoint, defaultAudience, requestToken } = require('./sfdcOAuth');
 
 /**
- * Authenticate to Okta using the SAML bearer assertion flow.
+ * OAuth 2.0 SAML bearer assertion flow: a signed SAML assertion issued by
+ * your identity provider's entity is exchanged for a Salesforce session.
+ * Configuration comes from the environment:
+ *
+ *   SFDC_USERNAME        user to log in as, the assertion subject (required)
+ *   SFDC_SAML_ISSUER     issuer entity ID configured in Salesforce (required)
+ *   KEY_PASS             passphrase of the encrypted signing key (required)
+ *   SFDC_PRIVATE_KEY     encrypted signing key, default ../jwt.key.enc
+ *   KEY_PBKDF2           '1' when the key was encrypted with -pbkdf2
+ *   SFDC_LOGIN_URL       login or My Domain URL, default https://login.salesforce.com
+ *   SFDC_TOKEN_URL       token endpoint, default <login URL>/services/oauth2/token
+ *   SFDC_SAML_RECIPIENT  SubjectConfirmationData Recipient, default the token endpoint
+ *   SFDC_SAML_AUDIENCE   assertion audience, default from the login URL
  */
-async function authenticate() {
-  const debug = process.env.SFDC_AUTH_DEBUG === '1';
-  const clientId = process.env.SFDC_CLIENT_ID;
-  const username = process.env.SFDC_USERNAME || 'andbeder@salesforce.com';
-  const keyPath = process.env.SFDC_PRIVATE_KEY || '../jwt.key.enc';
-  const keyPass = process.env.KEY_PASS;
-  const tokenUrl = process.env.SFDC_TOKEN_URL ||
-    'https://login.salesforce.com/services/oauth2/token';
+const DEFAULT_KEY_PATH = '../jwt.key.enc';
+const SAML_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:saml2-bearer';
+
+function samlConfig(overrides = {}) {
+  const loginUrl = overrides.loginUrl || loginUrlFromEnv();
+  const config = {
+    username: process.env.SFDC_USERNAME,
+    issuer: process.env.SFDC_SAML_ISSUER,
+    keyPass: process.env.KEY_PASS,
+    keyPath: process.env.SFDC_PRIVATE_KEY || DEFAULT_KEY_PATH,
+    usePbkdf2: process.env.KEY_PBKDF2 === '1',
+    tokenUrl: process.env.SFDC_TOKEN_URL || tokenEndpoint(loginUrl),
+    recipient: process.env.SFDC_SAML_RECIPIENT,
+    audience: process.env.SFDC_SAML_AUDIENCE || defaultAudience(loginUrl),
+    ...overrides
+  };
+  config.recipient = config.recipient || config.tokenUrl;
+  return config;
+}
 
-  const issuer = 'http://www.okta.com/exk15s2iykjsdT23u2p8';
-  const recipient = 'https://mcic.okta.com/app/mcic_asdf_2/exk15s2iykjsdT23u2p8/sso/saml';
-  const audience = recipient;
+/**
+ * Log in with a SAML bearer assertion and return { accessToken, instanceUrl }.
+ * overrides replace the environment settings.
+ */
+async function authenticate(overrides = {}) {
+  const debug = process.env.SFDC_AUTH_DEBUG === '1';
+  const config = samlConfig(overrides);
+
+  const missing = [
+    !config.username && 'SFDC_USERNAME',
+    !config.issuer && 'SFDC_SAML_ISSUER',
+    !config.keyPass && 'KEY_PASS'
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} must be set for SAML bearer login`);
+  }
 
   if (debug) {
     console.log('SFDC auth debug info:');
-    console.log('  tokenUrl:', tokenUrl);
-    console.log('  username:', username);
-    console.log('  clientId:', clientId);
-    console.log('  using PBKDF2:', process.env.KEY_PBKDF2 === '1');
+    console.log('  tokenUrl:', config.tokenUrl);
+    console.log('  username:', config.username);
+    console.log('  issuer:', config.issuer);
+    console.log('  recipient:', config.recipient);
+    console.log('  audience:', config.audience);
+    console.log('  using PBKDF2:', config.usePbkdf2);
   }
 
-  if (!clientId || !keyPath) {
-    throw new Error('SFDC_CLIENT_ID and SFDC_PRIVATE_KEY must be set');
-  }
-
-  if (!keyPass) {
-    throw new Error('KEY_PASS must be set');
+  let privateKey;
+  try {
+    privateKey = decryptKey(fs.readFileSync(path.resolve(config.keyPath)), config.keyPass, config.usePbkdf2).toString('utf8');
+  } catch (err) {
+    throw new Error(`Failed to decrypt SAML signing key: ${err.message}`);
   }
 
-  const usePbkdf2 = process.env.KEY_PBKDF2 === '1';
-  const privateKey = decryptKey(
-    fs.readFileSync(path.resolve(keyPath)),
-    keyPass,
-    usePbkdf2
-  ).toString('utf8');
-
   const assertion = buildSamlAssertion({
-    issuer,
-    subject: username,
-    recipient,
-    audience,
-    privateKey,
+    issuer: config.issuer,
+    subject: config.username,
+    recipient: config.recipient,
+    audience: config.audience,
+    privateKey
   });
 
-  if (debug) {
-    console.log('  saml assertion:', assertion);
-  }
-
-  const params = new URLSearchParams();
-  params.append('grant_type', 'urn:ietf:params:oauth:grant-type:saml2-bearer');
-  params.append('assertion', Buffer.from(assertion).toString('base64'));
-
-  if (debug) {
-    console.log('  request body:', params.toString());
-  }
-
-  let data;
-  try {
-    const resp = await axios.post(tokenUrl, params.toString(), {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    });
-    data = resp.data;
-  } catch (err) {
-    if (debug && err.response) {
-      console.error('  status:', err.response.status);
-      console.error('  response:', err.response.data);
-    }
-    throw err;
-  }
+  const session = await requestToken(config.tokenUrl, {
+    grant_type: SAML_GRANT_TYPE,
+    assertion: Buffer.from(assertion).toString('base64')
+  }, { retryPolicy: overrides.retryPolicy, flow: 'SAML' });
 
   if (debug) {
-    console.log('  accessToken:', data.access_token);
-    console.log('  instanceUrl:', data.instance_url);
+    console.log('  instanceUrl:', session.instanceUrl);
   }
-
-  return {
-    accessToken: data.access_token,
-    instanceUrl: data.instance_url,
-  };
+  return session;
 }
 
 if (require.main === module) {
   authenticate()
-    .then(res => console.log(res))
+    .then(res => console.log(`✔ Logged in to ${res.instanceUrl}`))
     .catch(err => {
-      if (err.response && err.response.data) {
-        console.error(err.response.data);
-      } else {
-        console.error(err.message);
-      }
+      console.error(err.message);
       process.exit(1);
     });
 }
 
-module.exports = authenticate;
-
 function buildSamlAssertion({ issuer, subject, recipient, audience, privateKey }) {
   const id = '_' + crypto.randomBytes(20).toString('hex');
   const issueInstant = new Date().toISOString();
@@ -189,3 +187,5 @@ function evpKdf(password, salt, keyLen, ivLen) {
     iv: data.slice(keyLen, keyLen + ivLen),
   };
 }
+
+module.exports = { authenticate, buildSamlAssertion, decryptKey };
@@ -0,0 +1,87 @@
+const { authorize: jwtLogin } = require('./sfdcJwtAuth');
+const { authenticate: samlLogin } = require('./sfdcAuth');
+const { loginUrlFromEnv, tokenEndpoint, requestToken } = require('./sfdcOAuth');
+
+/**
+ * Registry of Salesforce login strategies, picked with --auth or SFDC_AUTH.
+ *
+ * Every strategy resolves to { accessToken, instanceUrl } and reads its
+ * settings from the environment, so the Salesforce client can run any of
+ * them again when a session expires.
+ */
+const DEFAULT_STRATEGY = 'jwt';
+const strategies = {};
+
+function registerAuthStrategy(name, definition) {
+  strategies[name] = { name, ...definition };
+}
+
+function listAuthStrategies() {
+  return Object.keys(strategies);
+}
+
+function resolveAuthStrategy(name = process.env.SFDC_AUTH) {
+  const key = (name || DEFAULT_STRATEGY).toLowerCase();
+  if (!strategies[key]) {
+    throw new Error(`Unknown auth strategy "${name}". Available strategies: ${listAuthStrategies().join(', ')}`);
+  }
+  return strategies[key];
+}
+
+registerAuthStrategy('jwt', {
+  label: 'OAuth JWT bearer',
+  authenticate: ({ retryPolicy }) => jwtLogin({ retryPolicy })
+});
+
+registerAuthStrategy('saml', {
+  label: 'OAuth SAML bearer',
+  authenticate: ({ retryPolicy }) => samlLogin({ retryPolicy })
+});
+
+registerAuthStrategy('access-token', {
+  label: 'existing access token',
+  // A session from elsewhere (sf org display, a browser session): nothing to
+  // log in with, so an expired token can't be renewed
+  authenticate: async () => {
+    const accessToken = process.env.SF_ACCESS_TOKEN;
+    const instanceUrl = process.env.SF_INSTANCE_URL;
+    if (!accessToken || !instanceUrl) {
+      throw new Error('SF_ACCESS_TOKEN and SF_INSTANCE_URL must be set for --auth access-token');
+    }
+    return { accessToken, instanceUrl: instanceUrl.replace(/\/+$/, '') };
+  }
+});
+
+registerAuthStrategy('client-credentials', {
+  label: 'OAuth client credentials',
+  // Runs as the connected app's configured execution user; the token
+  // endpoint must be the org's My Domain URL
+  authenticate: async ({ retryPolicy }) => {
+    const clientId = process.env.SFDC_CLIENT_ID;
+    const clientSecret = process.env.SFDC_CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+      throw new Error('SFDC_CLIENT_ID and SFDC_CLIENT_SECRET must be set for --auth client-credentials');
+    }
+    const tokenUrl = process.env.SFDC_TOKEN_URL || tokenEndpoint(loginUrlFromEnv());
+    return requestToken(tokenUrl, {
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret
+    }, { retryPolicy, flow: 'client credentials' });
+  }
+});
+
+/**
+ * Return { name, label, authenticate } for the named strategy (default
+ * SFDC_AUTH, then jwt), where authenticate() performs a fresh login.
+ */
+function createAuthenticator(name, { retryPolicy } = {}) {
+  const strategy = resolveAuthStrategy(name);
+  return {
+    name: strategy.name,
+    label: strategy.label,
+    authenticate: () => strategy.authenticate({ retryPolicy })
+  };
+}
+
+module.exports = { createAuthenticator, listAuthStrategies, resolveAuthStrategy };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nock = require('nock');
+const { createAuthenticator, listAuthStrategies } = require('./sfdcAuthStrategies');
+const { clearTokenCache } = require('./sfdcJwtAuth');
+
+const ENV = [
+  'SFDC_AUTH', 'SFDC_CLIENT_ID', 'SFDC_CLIENT_SECRET', 'SFDC_USERNAME', 'KEY_PASS', 'KEY_PBKDF2',
+  'SFDC_PRIVATE_KEY', 'SFDC_LOGIN_URL', 'SFDC_TOKEN_URL', 'SFDC_SAML_ISSUER', 'SFDC_SAML_RECIPIENT',
+  'SFDC_SAML_AUDIENCE', 'SF_ACCESS_TOKEN', 'SF_INSTANCE_URL', 'RETRY_MAX_ATTEMPTS'
+];
+
+// Encrypt like `openssl enc -aes-256-cbc -pbkdf2 -salt`
+function encryptKey(pem, pass) {
+  const salt = crypto.randomBytes(8);
+  const keyAndIv = crypto.pbkdf2Sync(pass, salt, 10000, 48, 'sha256');
+  const cipher = crypto.createCipheriv('aes-256-cbc', keyAndIv.slice(0, 32), keyAndIv.slice(32, 48));
+  return Buffer.concat([Buffer.from('Salted__'), salt, cipher.update(pem), cipher.final()]);
+}
+
+describe('Salesforce auth strategies', () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  let tmpDir;
+
+  beforeEach(() => {
+    ENV.forEach(name => delete process.env[name]);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfdc-auth-'));
+    const keyFile = path.join(tmpDir, 'key.enc');
+    fs.writeFileSync(keyFile, encryptKey(privateKey, 'secret'));
+    process.env.SFDC_PRIVATE_KEY = keyFile;
+    process.env.KEY_PASS = 'secret';
+    process.env.RETRY_MAX_ATTEMPTS = '1';
+    clearTokenCache();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV.forEach(name => delete process.env[name]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should list the strategies and reject unknown names', () => {
+    expect(listAuthStrategies()).toEqual(['jwt', 'saml', 'access-token', 'client-credentials']);
+    expect(() => createAuthenticator('oauth')).toThrow('Unknown auth strategy "oauth". Available strategies: jwt, saml, access-token, client-credentials');
+  });
+
+  it('should default to jwt and honour SFDC_AUTH', () => {
+    expect(createAuthenticator().name).toBe('jwt');
+    process.env.SFDC_AUTH = 'SAML';
+    expect(createAuthenticator().name).toBe('saml');
+    expect(createAuthenticator('access-token').name).toBe('access-token');
+  });
+
+  it('should log in with a JWT bearer assertion', async () => {
+    process.env.SFDC_CLIENT_ID = 'client-id';
+    process.env.SFDC_USERNAME = 'analyst@example.com';
+    process.env.KEY_PBKDF2 = '1';
+    nock('https://login.salesforce.com')
+      .post('/services/oauth2/token', body => body.grant_type === 'urn:ietf:params:oauth:grant-type:jwt-bearer')
+      .reply(200, { access_token: 'jwt-token', instance_url: 'https://acme.my.salesforce.com' });
+
+    expect(await createAuthenticator('jwt').authenticate())
+      .toEqual({ accessToken: 'jwt-token', instanceUrl: 'https://acme.my.salesforce.com' });
+  });
+
+  it('should log in with a SAML assertion built from the configured issuer, recipient and audience', async () => {
+    process.env.SFDC_USERNAME = 'analyst@example.com';
+    process.env.KEY_PBKDF2 = '1';
+    process.env.SFDC_LOGIN_URL = 'https://acme.my.salesforce.com';
+    process.env.SFDC_SAML_ISSUER = 'http://idp.example.com/entity';
+    process.env.SFDC_SAML_RECIPIENT = 'https://idp.example.com/sso/saml';
+    let assertion;
+    const scope = nock('https://acme.my.salesforce.com')
+      .post('/services/oauth2/token', body => {
+        assertion = Buffer.from(body.assertion, 'base64').toString('utf8');
+        return body.grant_type === 'urn:ietf:params:oauth:grant-type:saml2-bearer';
+      })
+      .reply(200, { access_token: 'saml-token', instance_url: 'https://acme.my.salesforce.com' });
+
+    const session = await createAuthenticator('saml').authenticate();
+
+    expect(session).toEqual({ accessToken: 'saml-token', instanceUrl: 'https://acme.my.salesforce.com' });
+    expect(scope.isDone()).toBe(true);
+    expect(assertion).toContain('<saml:Issuer>http://idp.example.com/entity</saml:Issuer>');
+    expect(assertion).toContain('<saml:NameID>analyst@example.com</saml:NameID>');
+    expect(assertion).toContain('Recipient="https://idp.example.com/sso/saml"');
+    expect(assertion).toContain('<saml:Audience>https://login.salesforce.com</saml:Audience>');
+    expect(assertion).toContain('<SignatureValue>');
+  });
+
+  it('should require the SAML issuer and username instead of assuming them', async () => {
+    await expect(createAuthenticator('saml').authenticate())
+      .rejects.toThrow('SFDC_USERNAME, SFDC_SAML_ISSUER must be set for SAML bearer login');
+  });
+
+  it('should use an existing access token as given', async () => {
+    process.env.SF_ACCESS_TOKEN = 'existing';
+    process.env.SF_INSTANCE_URL = 'https://acme.my.salesforce.com/';
+
+    expect(await createAuthenticator('access-token').authenticate())
+      .toEqual({ accessToken: 'existing', instanceUrl: 'https://acme.my.salesforce.com' });
+
+    delete process.env.SF_INSTANCE_URL;
+    await expect(createAuthenticator('access-token').authenticate())
+      .rejects.toThrow('SF_ACCESS_TOKEN and SF_INSTANCE_URL must be set');
+  });
+
+  it('should log in with the client credentials flow', async () => {
+    process.env.SFDC_CLIENT_ID = 'client-id';
+    process.env.SFDC_CLIENT_SECRET = 'client-secret';
+    process.env.SFDC_LOGIN_URL = 'https://acme.my.salesforce.com';
+    nock('https://acme.my.salesforce.com')
+      .post('/services/oauth2/token', {
+        grant_type: 'client_credentials',
+        client_id: 'client-id',
+        client_secret: 'client-secret'
+      })
+      .reply(200, { access_token: 'cc-token', instance_url: 'https://acme.my.salesforce.com' });
+
+    expect(await createAuthenticator('client-credentials').authenticate())
+      .toEqual({ accessToken: 'cc-token', instanceUrl: 'https://acme.my.salesforce.com' });
+  });
+
+  it('should report token endpoint errors with the flow name', async () => {
+    process.env.SFDC_CLIENT_ID = 'client-id';
+    process.env.SFDC_CLIENT_SECRET = 'wrong';
+    nock('https://login.salesforce.com')
+      .post('/services/oauth2/token')
+      .reply(400, { error: 'invalid_client', error_description: 'invalid client credentials' });
+
+    await expect(createAuthenticator('client-credentials').authenticate())
+      .rejects.toThrow('Salesforce client credentials login failed: 400 invalid_client - invalid client credentials');
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Bulk API 2.0 query jobs for selections too large for REST paging.
+ *
+ * The job runs asynchronously in Salesforce; once it completes, its CSV
+ * result pages are streamed straight to files on disk and read back one
+ * record at a time, so memory use doesn't grow with the number of records.
+ */
+const RESULT_PAGE_SIZE = 50000;
+const JOBS_PATH = '/jobs/query';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function bulkError(error, action) {
+  if (error.response) {
+    // Result downloads are streamed, so their error bodies aren't readable here
+    const body = error.response.data && typeof error.response.data.pipe !== 'function' ?
+      ` - ${JSON.stringify(error.response.data)}` :
+      '';
+    return new Error(`Salesforce Bulk API error (${action}): ${error.response.status}${body}`);
+  }
+  return new Error(`Network error (${action}): ${error.message}`);
+}
+
+async function createQueryJob(client, query) {
+  try {
+    const response = await client.post(JOBS_PATH, {
+      operation: 'query',
+      query
+    }, {}, { label: 'Salesforce Bulk query job' });
+    return response.data;
+  } catch (error) {
+    throw bulkError(error, 'create job');
+  }
+}
+
+/**
+ * Poll a query job until it completes, backing off from pollIntervalMs to
+ * maxPollIntervalMs. Throws if the job fails, is aborted or is still running
+ * after timeoutMs.
+ */
+async function waitForQueryJob(client, jobId, {
+  pollIntervalMs = 2000,
+  maxPollIntervalMs = 30000,
+  timeoutMs = 2 * 60 * 60 * 1000,
+  wait = sleep
+} = {}) {
+  let interval = pollIntervalMs;
+  let waited = 0;
+
+  for (;;) {
+    let job;
+    try {
+      const response = await client.get(`${JOBS_PATH}/${jobId}`, {}, { label: `Salesforce Bulk job ${jobId} status` });
+      job = response.data;
+    } catch (error) {
+      throw bulkError(error, `job ${jobId} status`);
+    }
+
+    if (job.state === 'JobComplete') {
+      return job;
+    }
+    if (job.state === 'Failed' || job.state === 'Aborted') {
+      throw new Error(`Salesforce Bulk query job ${jobId} ${job.state.toLowerCase()}${job.errorMessage ? `: ${job.errorMessage}` : ''}`);
+    }
+    if (waited >= timeoutMs) {
+      throw new Error(`Salesforce Bulk query job ${jobId} still ${job.state} after ${Math.round(waited / 1000)}s; check it in Setup > Bulk Data Load Jobs`);
+    }
+
+    console.log(`  Bulk job ${jobId}: ${job.state} (${job.numberRecordsProcessed || 0} records so far)`);
+    await wait(interval);
+    waited += interval;
+    interval = Math.min(Math.round(interval * 1.5), maxPollIntervalMs);
+  }
+}
+
+/**
+ * Download every result page of a completed job into directory, one CSV file
+ * per page, and return the file paths in order.
+ */
+async function downloadQueryResults(client, jobId, directory, { pageSize = RESULT_PAGE_SIZE } = {}) {
+  fs.mkdirSync(directory, { recursive: true });
+  const files = [];
+  let locator = null;
+
+  do {
+    const file = path.join(directory, `${jobId}_${files.length + 1}.csv`);
+    const params = { maxRecords: pageSize, ...(locator && { locator }) };
+
+    let headers;
+    try {
+      // The whole page is retried, including the write, so a dropped
+      // connection never leaves a truncated file behind
+      headers = await client.get(`${JOBS_PATH}/${jobId}/results`, {
+        headers: { 'Accept': 'text/csv' },
+        params,
+        responseType: 'stream'
+      }, {
+        label: `Salesforce Bulk results page ${files.length + 1}`,
+        onResponse: async (response) => {
+          await pipeline(response.data, fs.createWriteStream(file));
+          return response.headers;
+        }
+      });
+    } catch (error) {
+      throw bulkError(error, `job ${jobId} results page ${files.length + 1}`);
+    }
+
+    files.push(file);
+    console.log(`  Bulk job ${jobId}: downloaded page ${files.length} (${headers['sforce-numberofrecords'] || '?'} records)`);
+    locator = headers['sforce-locator'];
+  } while (locator && locator !== 'null');
+
+  return files;
+}
+
+/**
+ * Yield the records from downloaded result pages one at a time.
+ */
+async function* readQueryResults(files) {
+  for (const file of files) {
+    const stream = fs.createReadStream(file).pipe(csv());
+    for await (const record of stream) {
+      yield record;
+    }
+  }
+}
+
+/**
+ * Run query as a Bulk API 2.0 job and download its results into directory.
+ * Returns { jobId, numberOfRecords, files }; read them with readQueryResults.
+ */
+async function runBulkQuery(client, query, { directory, ...pollOptions }) {
+  const job = await createQueryJob(client, query);
+  console.log(`  Bulk query job ${job.id} created`);
+
+  const completed = await waitForQueryJob(client, job.id, pollOptions);
+  const numberOfRecords = completed.numberRecordsProcessed || 0;
+  console.log(`  Bulk job ${job.id} complete: ${numberOfRecords} records`);
+
+  const files = numberOfRecords > 0 ?
+    await downloadQueryResults(client, job.id, directory) :
+    [];
+  return { jobId: job.id, numberOfRecords, files };
+}
+
+module.exports = {
+  createQueryJob,
+  waitForQueryJob,
+  downloadQueryResults,
+  readQueryResults,
+  runBulkQuery
+};
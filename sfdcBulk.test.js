@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const { runBulkQuery, readQueryResults, waitForQueryJob } = require('./sfdcBulk');
+const { createSalesforceClient } = require('./sfdcClient');
+
+const INSTANCE = 'https://example.my.salesforce.com';
+const JOBS = '/services/data/v58.0/jobs/query';
+const client = createSalesforceClient({ session: { accessToken: 'token', instanceUrl: INSTANCE } });
+
+describe('Bulk API 2.0 queries', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should poll the job, download every result page and stream the records', async () => {
+    const waits = [];
+    const scope = nock(INSTANCE)
+      .post(JOBS, { operation: 'query', query: 'SELECT Id, Comment__c FROM Survey__c' })
+      .reply(200, { id: '750A', state: 'UploadComplete' })
+      .get(`${JOBS}/750A`)
+      .reply(200, { id: '750A', state: 'InProgress', numberRecordsProcessed: 1 })
+      .get(`${JOBS}/750A`)
+      .reply(200, { id: '750A', state: 'JobComplete', numberRecordsProcessed: 3 })
+      .get(`${JOBS}/750A/results`)
+      .query({ maxRecords: 50000 })
+      .reply(200, 'Id,Comment__c\na1,"Great, thanks"\na2,\n', { 'Sforce-Locator': 'MjAwMA', 'Sforce-NumberOfRecords': '2' })
+      .get(`${JOBS}/750A/results`)
+      .query({ maxRecords: 50000, locator: 'MjAwMA' })
+      .reply(200, 'Id,Comment__c\na3,"Line one\nline two"\n', { 'Sforce-Locator': 'null', 'Sforce-NumberOfRecords': '1' });
+
+    const result = await runBulkQuery(client, 'SELECT Id, Comment__c FROM Survey__c', {
+      directory: path.join(tmpDir, 'bulk'),
+      wait: async (ms) => waits.push(ms)
+    });
+
+    expect(result.jobId).toBe('750A');
+    expect(result.numberOfRecords).toBe(3);
+    expect(result.files.map(file => path.basename(file))).toEqual(['750A_1.csv', '750A_2.csv']);
+    expect(waits).toEqual([2000]);
+    expect(scope.isDone()).toBe(true);
+
+    const records = [];
+    for await (const record of readQueryResults(result.files)) {
+      records.push(record);
+    }
+    expect(records).toEqual([
+      { Id: 'a1', Comment__c: 'Great, thanks' },
+      { Id: 'a2', Comment__c: '' },
+      { Id: 'a3', Comment__c: 'Line one\nline two' }
+    ]);
+  });
+
+  it('should report a failed job with its error message', async () => {
+    nock(INSTANCE)
+      .get(`${JOBS}/750B`)
+      .reply(200, { id: '750B', state: 'Failed', errorMessage: 'INVALID_FIELD: No such column Foo__c' });
+
+    await expect(waitForQueryJob(client, '750B', { wait: async () => {} }))
+      .rejects.toThrow('Salesforce Bulk query job 750B failed: INVALID_FIELD: No such column Foo__c');
+  });
+
+  it('should give up on a job that runs past the timeout', async () => {
+    nock(INSTANCE)
+      .get(`${JOBS}/750C`)
+      .times(3)
+      .reply(200, { id: '750C', state: 'InProgress' });
+
+    await expect(waitForQueryJob(client, '750C', { timeoutMs: 3000, wait: async () => {} }))
+      .rejects.toThrow('Salesforce Bulk query job 750C still InProgress after 5s');
+  });
+});
@@ -0,0 +1,101 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { dataUrl } = require('./sfdcApi');
+
+/**
+ * Salesforce REST client that owns the session.
+ *
+ * Every request carries the current access token. When Salesforce answers
+ * 401 / INVALID_SESSION_ID (a run that outlived its session), the configured
+ * auth flow is run again once and the request is resent; concurrent requests
+ * that fail together share that single re-authentication.
+ */
+function isSessionError(error) {
+  if (!error.response) return false;
+  if (error.response.status === 401) return true;
+  const data = error.response.data;
+  return Array.isArray(data) && data.some(entry => entry && entry.errorCode === 'INVALID_SESSION_ID');
+}
+
+/**
+ * authenticate() resolves to { accessToken, instanceUrl }; without it the
+ * client can only use the given session and session errors are rethrown.
+ */
+function createSalesforceClient({ authenticate, session: initialSession = null, retryPolicy } = {}) {
+  let session = initialSession;
+  let refreshing = null;
+
+  async function connect() {
+    if (!authenticate) {
+      throw new Error('Salesforce client has no session and no way to authenticate');
+    }
+    session = await authenticate();
+    return session;
+  }
+
+  // Re-authenticate unless another request already replaced staleToken
+  async function refresh(staleToken) {
+    if (session.accessToken !== staleToken) return;
+    if (!refreshing) {
+      console.log('↻ Salesforce session expired; re-authenticating...');
+      refreshing = connect().finally(() => {
+        refreshing = null;
+      });
+    }
+    await refreshing;
+  }
+
+  // Absolute URLs are used as given, /services/... paths (nextRecordsUrl)
+  // are on the instance and anything else is a data API resource
+  function resolveUrl(url) {
+    if (/^https?:\/\//i.test(url)) return url;
+    if (url.startsWith('/services/')) return `${session.instanceUrl}${url}`;
+    return dataUrl(session.instanceUrl, url);
+  }
+
+  /**
+   * Send an axios request config through the retry policy. onResponse runs
+   * inside each attempt (e.g. to consume a stream), and its result is
+   * returned instead of the response.
+   */
+  async function request(config, { label = 'Salesforce request', onResponse } = {}) {
+    if (!session) await connect();
+
+    const send = () => withRetry(async () => {
+      const response = await axios({
+        ...config,
+        url: resolveUrl(config.url),
+        headers: {
+          'Authorization': `Bearer ${session.accessToken}`,
+          'Content-Type': 'application/json',
+          ...config.headers
+        }
+      });
+      return onResponse ? onResponse(response) : response;
+    }, retryPolicy, { label });
+
+    const token = session.accessToken;
+    try {
+      return await send();
+    } catch (error) {
+      if (!authenticate || !isSessionError(error)) throw error;
+      await refresh(token);
+      // A strategy that can only hand back the same token can't recover
+      if (session.accessToken === token) throw error;
+      return send();
+    }
+  }
+
+  return {
+    connect,
+    request,
+    get: (url, config = {}, options) => request({ ...config, method: 'get', url }, options),
+    post: (url, data, config = {}, options) => request({ ...config, method: 'post', url, data }, options),
+    patch: (url, data, config = {}, options) => request({ ...config, method: 'patch', url, data }, options),
+    get instanceUrl() {
+      return session && session.instanceUrl;
+    }
+  };
+}
+
+module.exports = { createSalesforceClient, isSessionError };
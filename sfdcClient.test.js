@@ -0,0 +1,114 @@
+const nock = require('nock');
+const { createSalesforceClient, isSessionError } = require('./sfdcClient');
+const { createRetryPolicy } = require('./retry');
+
+const INSTANCE = 'https://example.my.salesforce.com';
+const EXPIRED = [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }];
+
+describe('Salesforce client', () => {
+  let logins;
+
+  const authenticate = async () => {
+    logins++;
+    return { accessToken: `token-${logins}`, instanceUrl: INSTANCE };
+  };
+
+  beforeEach(() => {
+    logins = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should resolve data API resources, instance paths and absolute URLs', async () => {
+    const scope = nock(INSTANCE)
+      .matchHeader('authorization', 'Bearer token-1')
+      .get('/services/data/v58.0/query').query({ q: 'SELECT Id FROM Account' }).reply(200, { records: [] })
+      .get('/services/data/v58.0/query/01g-2000').reply(200, { records: [] })
+      .get('/other').reply(200, {});
+
+    const client = createSalesforceClient({ authenticate });
+    await client.get('/query', { params: { q: 'SELECT Id FROM Account' } });
+    await client.get('/services/data/v58.0/query/01g-2000');
+    await client.get(`${INSTANCE}/other`);
+
+    expect(scope.isDone()).toBe(true);
+    expect(client.instanceUrl).toBe(INSTANCE);
+    expect(logins).toBe(1);
+  });
+
+  it('should log in again once and resend a request rejected with INVALID_SESSION_ID', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/sobjects/Account/describe')
+      .matchHeader('authorization', 'Bearer token-1')
+      .reply(401, EXPIRED)
+      .get('/services/data/v58.0/sobjects/Account/describe')
+      .matchHeader('authorization', 'Bearer token-2')
+      .reply(200, { name: 'Account' });
+
+    const client = createSalesforceClient({ authenticate });
+    await client.connect();
+    const response = await client.get('/sobjects/Account/describe');
+
+    expect(response.data).toEqual({ name: 'Account' });
+    expect(logins).toBe(2);
+  });
+
+  it('should share one re-authentication between concurrent requests', async () => {
+    nock(INSTANCE)
+      .get(/\/services\/data\/v58.0\/sobjects\/.*/)
+      .matchHeader('authorization', 'Bearer token-1')
+      .times(3)
+      .reply(401, EXPIRED)
+      .get(/\/services\/data\/v58.0\/sobjects\/.*/)
+      .matchHeader('authorization', 'Bearer token-2')
+      .times(3)
+      .reply(200, {});
+
+    const client = createSalesforceClient({ authenticate });
+    await client.connect();
+    await Promise.all(['A', 'B', 'C'].map(name => client.get(`/sobjects/${name}`)));
+
+    expect(logins).toBe(2);
+  });
+
+  it('should give up when the new session is rejected too', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/limits')
+      .times(2)
+      .reply(401, EXPIRED);
+
+    const client = createSalesforceClient({ authenticate, retryPolicy: createRetryPolicy({ maxAttempts: 1 }) });
+    await expect(client.get('/limits')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(logins).toBe(2);
+  });
+
+  it('should not resend when logging in again returns the same token', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/limits')
+      .once()
+      .reply(401, EXPIRED);
+
+    const client = createSalesforceClient({ authenticate: async () => ({ accessToken: 'fixed', instanceUrl: INSTANCE }) });
+    await expect(client.get('/limits')).rejects.toMatchObject({ response: { status: 401 } });
+  });
+
+  it('should rethrow session errors when it has no way to log in', async () => {
+    nock(INSTANCE)
+      .get('/services/data/v58.0/limits')
+      .reply(401, EXPIRED);
+
+    const client = createSalesforceClient({ session: { accessToken: 'static', instanceUrl: INSTANCE } });
+    await expect(client.get('/limits')).rejects.toMatchObject({ response: { status: 401 } });
+  });
+
+  it('should recognise session errors', () => {
+    expect(isSessionError({ response: { status: 401, data: EXPIRED } })).toBe(true);
+    expect(isSessionError({ response: { status: 403, data: EXPIRED } })).toBe(true);
+    expect(isSessionError({ response: { status: 400, data: [{ errorCode: 'MALFORMED_QUERY' }] } })).toBe(false);
+    expect(isSessionError({ message: 'socket hang up' })).toBe(false);
+  });
+});
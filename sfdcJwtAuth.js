@@ -1,9 +1,33 @@
 #!/usr/bin/env node
 
-const { execSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const axios = require("axios");
+const { dataUrl } = require("./sfdcApi");
+const { loginUrlFromEnv, tokenEndpoint, defaultAudience, requestToken } = require("./sfdcOAuth");
+
+/**
+ * OAuth 2.0 JWT bearer flow for a connected app, done in-process.
+ *
+ * The private key is decrypted into memory and only ever used there to sign
+ * the assertion; nothing but the access token is kept, and that only in
+ * memory. Configuration comes from the environment:
+ *
+ *   SFDC_CLIENT_ID     connected app consumer key (required)
+ *   SFDC_USERNAME      user to log in as (required)
+ *   KEY_PASS           passphrase of the encrypted key (required)
+ *   SFDC_PRIVATE_KEY   encrypted key file, default ../jwt.key.enc
+ *   SFDC_LOGIN_URL     login or My Domain URL, default https://login.salesforce.com
+ *   SFDC_JWT_AUDIENCE  assertion audience, default from the login URL
+ *   SFDC_API_VERSION   REST API version, default 58.0 (see sfdcApi.js)
+ */
+const DEFAULT_KEY_PATH = "../jwt.key.enc";
+const JWT_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:jwt-bearer";
+// Salesforce rejects assertions that expire more than 3 minutes out
+const ASSERTION_LIFETIME_SECONDS = 3 * 60;
+// JWT bearer responses carry no expiry; sessions last at least this long
+const TOKEN_CACHE_MS = 2 * 60 * 60 * 1000;
 
 // In-memory token cache to avoid file system dependency
 let tokenCache = {
@@ -14,181 +38,174 @@ let tokenCache = {
 
 /**
  * Decrypts the encrypted JWT key file using AES-256-CBC with PBKDF2
+ * (openssl enc -aes-256-cbc -pbkdf2). The key is returned as a string and
+ * never written anywhere.
  */
 function decryptJwtKey(encryptedKeyPath, keyPass) {
   try {
     const encryptedData = fs.readFileSync(encryptedKeyPath);
-    
+
     // OpenSSL format: "Salted__" + 8-byte salt + encrypted data
     if (encryptedData.slice(0, 8).toString('ascii') !== 'Salted__') {
       throw new Error('Invalid OpenSSL encrypted file format');
     }
-    
+
     const salt = encryptedData.slice(8, 16);
     const encrypted = encryptedData.slice(16);
-    
-    // Derive key and IV using OpenSSL's EVP_BytesToKey with PBKDF2
+
     // OpenSSL uses 10000 iterations by default for PBKDF2
     const keyAndIv = crypto.pbkdf2Sync(keyPass, salt, 10000, 48, 'sha256');
     const key = keyAndIv.slice(0, 32);
     const iv = keyAndIv.slice(32, 48);
-    
-    // Decrypt
+
     const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
     let decrypted = decipher.update(encrypted, null, 'utf8');
     decrypted += decipher.final('utf8');
-    
+
     return decrypted;
   } catch (err) {
     throw new Error(`Failed to decrypt JWT key: ${err.message}`);
   }
 }
 
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
 /**
- * Performs a JWT-based SFDX login and writes the access token to tmp/access_token.txt
+ * Build and sign (RS256) the JWT bearer assertion.
  */
-function isTokenAccepted(token, instanceUrl) {
+function buildJwtAssertion({ clientId, username, audience, privateKey, now = Date.now() }) {
+  const header = { alg: "RS256", typ: "JWT" };
+  const claims = {
+    iss: clientId,
+    sub: username,
+    aud: audience,
+    exp: Math.floor(now / 1000) + ASSERTION_LIFETIME_SECONDS
+  };
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(unsigned), privateKey);
+  return `${unsigned}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Exchange a signed assertion for an access token at loginUrl.
+ */
+function requestAccessToken(loginUrl, assertion, { retryPolicy } = {}) {
+  return requestToken(tokenEndpoint(loginUrl), {
+    grant_type: JWT_GRANT_TYPE,
+    assertion
+  }, { retryPolicy, flow: "JWT" });
+}
+
+/**
+ * Check a token with a cheap call to the versions resource.
+ */
+async function isTokenAccepted(token, instanceUrl) {
+  if (!instanceUrl) return false;
   try {
-    const status = execSync(
-      `curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer ${token}" "${instanceUrl}/services/data/v60.0"`,
-      { encoding: "utf8" }
-    ).trim();
-    return status === "200";
+    await axios.get(dataUrl(instanceUrl), {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return true;
   } catch (err) {
     return false;
   }
 }
 
-function authorize() {
-  const alias = "myJwtOrg";
-  const clientId = process.env.SFDC_CLIENT_ID;
-  const encryptedKeyFile = "../jwt.key.enc";
-  const keyPass = process.env.KEY_PASS;
-  const username = process.env.SFDC_USERNAME;
-  const loginUrl = process.env.SFDC_LOGIN_URL;
-  const instanceUrl = process.env.SF_INSTANCE_URL || loginUrl;
-
-  // Validate required environment variables
-  if (!keyPass) {
+function jwtConfig(overrides = {}) {
+  const config = {
+    clientId: process.env.SFDC_CLIENT_ID,
+    username: process.env.SFDC_USERNAME,
+    keyPass: process.env.KEY_PASS,
+    keyPath: process.env.SFDC_PRIVATE_KEY || DEFAULT_KEY_PATH,
+    loginUrl: loginUrlFromEnv(),
+    audience: process.env.SFDC_JWT_AUDIENCE,
+    ...overrides
+  };
+  config.audience = config.audience || defaultAudience(config.loginUrl);
+  return config;
+}
+
+function cacheToken(accessToken, instanceUrl) {
+  tokenCache = { accessToken, instanceUrl, expiry: Date.now() + TOKEN_CACHE_MS };
+  process.env.SF_ACCESS_TOKEN = accessToken;
+  process.env.SF_INSTANCE_URL = instanceUrl;
+  return { accessToken, instanceUrl };
+}
+
+function clearTokenCache() {
+  tokenCache = { accessToken: null, instanceUrl: null, expiry: null };
+}
+
+/**
+ * Return { accessToken, instanceUrl }, reusing SF_ACCESS_TOKEN or the cached
+ * token while Salesforce still accepts it and logging in with a new JWT
+ * assertion otherwise. overrides replace the environment settings.
+ */
+async function authorize(overrides = {}) {
+  const config = jwtConfig(overrides);
+  const { retryPolicy } = overrides;
+
+  // Allow a token to be provided via environment
+  if (process.env.SF_ACCESS_TOKEN && process.env.SF_ACCESS_TOKEN !== tokenCache.accessToken) {
+    const envToken = process.env.SF_ACCESS_TOKEN;
+    const envInstanceUrl = process.env.SF_INSTANCE_URL || config.loginUrl;
+    if (await isTokenAccepted(envToken, envInstanceUrl)) {
+      console.log("✔ Using SF_ACCESS_TOKEN from environment");
+      return cacheToken(envToken, envInstanceUrl);
+    }
+    console.log("ℹ Provided SF_ACCESS_TOKEN was rejected; obtaining new token...");
+  }
+
+  // Reuse cached token when possible and not expired
+  if (tokenCache.accessToken && tokenCache.expiry > Date.now()) {
+    if (await isTokenAccepted(tokenCache.accessToken, tokenCache.instanceUrl)) {
+      console.log("✔ Reusing cached access token");
+      return cacheToken(tokenCache.accessToken, tokenCache.instanceUrl);
+    }
+    console.log("ℹ Cached access token rejected; obtaining new token...");
+  } else if (tokenCache.accessToken) {
+    console.log("ℹ Cached token expired; obtaining new token...");
+  }
+  clearTokenCache();
+
+  if (!config.keyPass) {
     throw new Error("KEY_PASS environment variable is required to decrypt JWT key");
   }
-  if (!clientId) {
+  if (!config.clientId) {
     throw new Error("SFDC_CLIENT_ID environment variable is required");
   }
-  if (!username) {
+  if (!config.username) {
     throw new Error("SFDC_USERNAME environment variable is required");
   }
 
-  try {
-    // -1) Allow token to be provided via environment to support offline usage
-    if (process.env.SF_ACCESS_TOKEN) {
-      const envToken = process.env.SF_ACCESS_TOKEN;
-      if (isTokenAccepted(envToken, instanceUrl)) {
-        console.log("✔ Using SF_ACCESS_TOKEN from environment");
-        if (!process.env.SF_INSTANCE_URL && loginUrl) {
-          process.env.SF_INSTANCE_URL = loginUrl;
-        }
-        // Cache in memory
-        tokenCache = {
-          accessToken: envToken,
-          instanceUrl: process.env.SF_INSTANCE_URL || loginUrl,
-          expiry: Date.now() + (2 * 60 * 60 * 1000) // 2 hours from now
-        };
-        return {
-          accessToken: envToken,
-          instanceUrl: process.env.SF_INSTANCE_URL || loginUrl,
-        };
-      }
-      console.log("ℹ Provided SF_ACCESS_TOKEN was rejected; obtaining new token...");
-    }
-
-    // 0) Reuse cached token when possible and not expired
-    if (tokenCache.accessToken && tokenCache.expiry > Date.now()) {
-      if (isTokenAccepted(tokenCache.accessToken, instanceUrl)) {
-        console.log("✔ Reusing cached access token");
-        process.env.SF_ACCESS_TOKEN = tokenCache.accessToken;
-        process.env.SF_INSTANCE_URL = tokenCache.instanceUrl;
-        return {
-          accessToken: tokenCache.accessToken,
-          instanceUrl: tokenCache.instanceUrl,
-        };
-      }
-      console.log("ℹ Cached access token rejected; obtaining new token...");
-      // Clear invalid cache
-      tokenCache = { accessToken: null, instanceUrl: null, expiry: null };
-    } else if (tokenCache.accessToken) {
-      console.log("ℹ Cached token expired; obtaining new token...");
-      tokenCache = { accessToken: null, instanceUrl: null, expiry: null };
-    }
-
-    // 1) Decrypt the JWT key and keep in memory
-    const decryptedKey = decryptJwtKey(encryptedKeyFile, keyPass);
-
-    // 2) Create a temporary file with restricted permissions for minimal exposure
-    const tempKeyFile = path.resolve(process.cwd(), "tmp", `jwt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.key`);
-    const tmpDir = path.dirname(tempKeyFile);
-    fs.mkdirSync(tmpDir, { recursive: true });
-    
-    try {
-      // Write with restricted permissions (owner read-only)
-      fs.writeFileSync(tempKeyFile, decryptedKey, { mode: 0o600 });
-      
-      // 3) Log in via JWT using temporary key file
-      execSync(
-        `sf org login jwt \
-            -i "${clientId}" \
-            --jwt-key-file "${tempKeyFile}" \
-            --username "${username}" \
-            --alias "${alias}" \
-            --instance-url "${loginUrl}" \
-            --set-default`,
-        { stdio: "inherit" }
-      );
-    } finally {
-      // Immediately clean up temporary key file
-      if (fs.existsSync(tempKeyFile)) {
-        // Overwrite with random data before deletion for security
-        const randomData = crypto.randomBytes(decryptedKey.length);
-        fs.writeFileSync(tempKeyFile, randomData);
-        fs.unlinkSync(tempKeyFile);
-      }
-    }
+  const privateKey = decryptJwtKey(path.resolve(config.keyPath), config.keyPass);
+  const assertion = buildJwtAssertion({
+    clientId: config.clientId,
+    username: config.username,
+    audience: config.audience,
+    privateKey
+  });
 
-    // 3) Retrieve the org info as JSON
-    const displayJson = execSync(
-      `sf org display --target-org "${alias}" --json`,
-      { encoding: "utf8" }
-    );
-    const info = JSON.parse(displayJson).result || {};
-    const token = info.accessToken;
-    if (!token)
-      throw new Error("No accessToken found in sf org display output.");
-    if (info.instanceUrl) {
-      process.env.SF_INSTANCE_URL = info.instanceUrl;
-    }
-    process.env.SF_ACCESS_TOKEN = token;
-
-    // 4) Cache token in memory instead of writing to disk
-    tokenCache = {
-      accessToken: token,
-      instanceUrl: process.env.SF_INSTANCE_URL || instanceUrl,
-      expiry: Date.now() + (2 * 60 * 60 * 1000) // 2 hours from now
-    };
-    console.log(`✔ Access token cached in memory`);
-    return {
-      accessToken: token,
-      instanceUrl: process.env.SF_INSTANCE_URL || instanceUrl,
-    };
-  } catch (err) {
-    console.error("❌ Error during JWT login or token write:", err.message);
-    process.exit(1);
-  }
+  const { accessToken, instanceUrl } = await requestAccessToken(config.loginUrl, assertion, { retryPolicy });
+  console.log(`✔ Logged in to ${instanceUrl} as ${config.username}; access token cached in memory`);
+  return cacheToken(accessToken, instanceUrl);
 }
 
 // If this script is run directly, perform the authorization immediately
 if (require.main === module) {
-  authorize();
+  authorize().catch(err => {
+    console.error("❌ Error during JWT login:", err.message);
+    process.exit(1);
+  });
 }
 
-// Export the authorize function for programmatic use
-module.exports = authorize;
+module.exports = {
+  authorize,
+  decryptJwtKey,
+  buildJwtAssertion,
+  requestAccessToken,
+  isTokenAccepted,
+  clearTokenCache
+};
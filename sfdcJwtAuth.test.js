@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nock = require('nock');
+const { authorize, decryptJwtKey, buildJwtAssertion, clearTokenCache } = require('./sfdcJwtAuth');
+
+// Encrypt like `openssl enc -aes-256-cbc -pbkdf2 -salt`
+function encryptKey(pem, pass) {
+  const salt = crypto.randomBytes(8);
+  const keyAndIv = crypto.pbkdf2Sync(pass, salt, 10000, 48, 'sha256');
+  const cipher = crypto.createCipheriv('aes-256-cbc', keyAndIv.slice(0, 32), keyAndIv.slice(32, 48));
+  return Buffer.concat([Buffer.from('Salted__'), salt, cipher.update(pem), cipher.final()]);
+}
+
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+describe('JWT bearer authentication', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  let tmpDir;
+  let keyFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-auth-'));
+    keyFile = path.join(tmpDir, 'jwt.key.enc');
+    fs.writeFileSync(keyFile, encryptKey(privateKey, 'secret'));
+    process.env.SFDC_CLIENT_ID = 'client-id';
+    process.env.SFDC_USERNAME = 'analyst@example.com';
+    process.env.KEY_PASS = 'secret';
+    process.env.SFDC_PRIVATE_KEY = keyFile;
+    process.env.RETRY_MAX_ATTEMPTS = '1';
+    delete process.env.SFDC_LOGIN_URL;
+    delete process.env.SF_ACCESS_TOKEN;
+    delete process.env.SF_INSTANCE_URL;
+    clearTokenCache();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    for (const name of ['SFDC_CLIENT_ID', 'SFDC_USERNAME', 'KEY_PASS', 'SFDC_PRIVATE_KEY', 'SFDC_LOGIN_URL', 'SF_ACCESS_TOKEN', 'SF_INSTANCE_URL', 'RETRY_MAX_ATTEMPTS']) {
+      delete process.env[name];
+    }
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should decrypt an OpenSSL PBKDF2 key file', () => {
+    expect(decryptJwtKey(keyFile, 'secret')).toBe(privateKey);
+    expect(() => decryptJwtKey(keyFile, 'wrong')).toThrow('Failed to decrypt JWT key');
+  });
+
+  it('should build an RS256 assertion with the bearer flow claims', () => {
+    const now = Date.UTC(2025, 0, 1);
+    const assertion = buildJwtAssertion({
+      clientId: 'client-id',
+      username: 'analyst@example.com',
+      audience: 'https://test.salesforce.com',
+      privateKey,
+      now
+    });
+
+    const [header, claims, signature] = assertion.split('.');
+    expect(decodePart(header)).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(decodePart(claims)).toEqual({
+      iss: 'client-id',
+      sub: 'analyst@example.com',
+      aud: 'https://test.salesforce.com',
+      exp: now / 1000 + 180
+    });
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  it('should log in at the configured login URL without writing the key to disk', async () => {
+    process.env.SFDC_LOGIN_URL = 'https://test.salesforce.com';
+    const writeSpy = jest.spyOn(fs, 'writeFileSync');
+    let assertion;
+    const scope = nock('https://test.salesforce.com')
+      .post('/services/oauth2/token', (body) => {
+        assertion = body.assertion;
+        return body.grant_type === 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+      })
+      .reply(200, { access_token: 'token-1', instance_url: 'https://acme--uat.sandbox.my.salesforce.com' });
+
+    const result = await authorize();
+
+    expect(result).toEqual({ accessToken: 'token-1', instanceUrl: 'https://acme--uat.sandbox.my.salesforce.com' });
+    expect(decodePart(assertion.split('.')[1]).aud).toBe('https://test.salesforce.com');
+    expect(scope.isDone()).toBe(true);
+    expect(writeSpy).not.toHaveBeenCalled();
+    writeSpy.mockRestore();
+  });
+
+  it('should reuse the cached token while Salesforce accepts it', async () => {
+    nock('https://login.salesforce.com')
+      .post('/services/oauth2/token')
+      .once()
+      .reply(200, { access_token: 'token-1', instance_url: 'https://acme.my.salesforce.com' });
+    const check = nock('https://acme.my.salesforce.com')
+      .get('/services/data/v58.0')
+      .matchHeader('authorization', 'Bearer token-1')
+      .reply(200, []);
+
+    await authorize();
+    const second = await authorize();
+
+    expect(second.accessToken).toBe('token-1');
+    expect(check.isDone()).toBe(true);
+  });
+
+  it('should check tokens against the configured API version', async () => {
+    process.env.SF_ACCESS_TOKEN = 'env-token';
+    process.env.SF_INSTANCE_URL = 'https://acme.my.salesforce.com';
+    process.env.SFDC_API_VERSION = '61.0';
+    const scope = nock('https://acme.my.salesforce.com')
+      .get('/services/data/v61.0')
+      .reply(200, []);
+
+    try {
+      expect(await authorize()).toEqual({ accessToken: 'env-token', instanceUrl: 'https://acme.my.salesforce.com' });
+      expect(scope.isDone()).toBe(true);
+    } finally {
+      delete process.env.SFDC_API_VERSION;
+    }
+  });
+
+  it('should report the token endpoint error', async () => {
+    nock('https://login.salesforce.com')
+      .post('/services/oauth2/token')
+      .reply(400, { error: 'invalid_grant', error_description: 'user hasn\'t approved this consumer' });
+
+    await expect(authorize()).rejects.toThrow('Salesforce JWT login failed: 400 invalid_grant - user hasn\'t approved this consumer');
+  });
+
+  it('should require the client id, username and key passphrase', async () => {
+    delete process.env.SFDC_CLIENT_ID;
+    await expect(authorize()).rejects.toThrow('SFDC_CLIENT_ID environment variable is required');
+  });
+});
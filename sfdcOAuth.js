@@ -0,0 +1,57 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+
+/**
+ * OAuth helpers shared by the Salesforce auth strategies: where to log in
+ * and how to exchange a grant at the token endpoint.
+ */
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+
+function loginUrlFromEnv() {
+  return (process.env.SFDC_LOGIN_URL || DEFAULT_LOGIN_URL).replace(/\/+$/, '');
+}
+
+function tokenEndpoint(loginUrl) {
+  return `${loginUrl.replace(/\/+$/, '')}/services/oauth2/token`;
+}
+
+/**
+ * Sandboxes sign in against test.salesforce.com; production and My Domain
+ * logins use login.salesforce.com as the assertion audience.
+ */
+function defaultAudience(loginUrl) {
+  const host = new URL(loginUrl).hostname.toLowerCase();
+  return host === 'test.salesforce.com' || host.endsWith('.sandbox.my.salesforce.com') ?
+    'https://test.salesforce.com' :
+    'https://login.salesforce.com';
+}
+
+/**
+ * POST params (an object of form fields) to tokenUrl and return
+ * { accessToken, instanceUrl }. flow names the grant in error messages.
+ */
+async function requestToken(tokenUrl, params, { retryPolicy, flow }) {
+  let data;
+  try {
+    const response = await withRetry(() => axios.post(tokenUrl, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    }), retryPolicy, { label: 'Salesforce token request' });
+    data = response.data;
+  } catch (err) {
+    if (err.response) {
+      const body = err.response.data || {};
+      const detail = body.error ?
+        `${body.error}${body.error_description ? ` - ${body.error_description}` : ''}` :
+        JSON.stringify(body);
+      throw new Error(`Salesforce ${flow} login failed: ${err.response.status} ${detail}`);
+    }
+    throw new Error(`Network error (Salesforce ${flow} login): ${err.message}`);
+  }
+
+  if (!data || !data.access_token) {
+    throw new Error(`Salesforce ${flow} login returned no access token`);
+  }
+  return { accessToken: data.access_token, instanceUrl: data.instance_url };
+}
+
+module.exports = { DEFAULT_LOGIN_URL, loginUrlFromEnv, tokenEndpoint, defaultAudience, requestToken };
@@ -0,0 +1,123 @@
+const { createObjectCsvWriter } = require('csv-writer');
+
+/**
+ * Write analysis results back to a field on the analyzed records.
+ *
+ * Changes are planned against the field's current values, so rerunning only
+ * touches records whose stored value differs, and are sent through the
+ * sObject Collections API 200 records per request with allOrNone: false so
+ * one bad record doesn't fail its whole batch.
+ */
+const COLLECTION_BATCH_SIZE = 200;
+const WRITABLE_TYPES = ['string', 'textarea'];
+
+/**
+ * Check the describe metadata of the target field. Returns its maximum
+ * length.
+ */
+function checkWritebackField(objectName, targetField, fieldMetadata) {
+  const field = fieldMetadata[targetField];
+  if (!field) {
+    throw new Error(`Writeback field ${targetField} does not exist on ${objectName}`);
+  }
+  if (field.updateable === false) {
+    throw new Error(`Writeback field ${field.name} is not updateable`);
+  }
+  if (!WRITABLE_TYPES.includes(field.type)) {
+    throw new Error(`Writeback field ${field.name} is a ${field.type} field; use a text or text area field`);
+  }
+  return field.length;
+}
+
+function truncateForField(value, length) {
+  const text = String(value);
+  if (!length || text.length <= length) {
+    return { value: text, truncated: false };
+  }
+  return { value: text.substring(0, length), truncated: true };
+}
+
+/**
+ * Work out which records need updating. results is a list of
+ * { id, response }; currentValues maps record Id to the field's value in
+ * Salesforce. Records whose value wouldn't change are left out.
+ */
+function planWriteback(results, currentValues, length) {
+  const changes = [];
+  results.forEach(({ id, response }) => {
+    if (!currentValues.has(id)) return;
+    const current = currentValues.get(id) || '';
+    const { value, truncated } = truncateForField(response, length);
+    if (value !== current) {
+      changes.push({ id, current, value, truncated });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Update targetField on every planned change. Returns { updated, failures }
+ * where failures lists { id, message } for records Salesforce rejected.
+ */
+async function updateRecords(client, objectName, targetField, changes, { batchSize = COLLECTION_BATCH_SIZE } = {}) {
+  let updated = 0;
+  const failures = [];
+
+  for (let start = 0; start < changes.length; start += batchSize) {
+    const batch = changes.slice(start, start + batchSize);
+    const batchNumber = Math.floor(start / batchSize) + 1;
+    const records = batch.map(change => ({
+      attributes: { type: objectName },
+      id: change.id,
+      [targetField]: change.value
+    }));
+
+    let response;
+    try {
+      // Updates set absolute values, so resending a batch is safe
+      response = await client.patch('/composite/sobjects', { allOrNone: false, records }, {}, { label: `Salesforce writeback batch ${batchNumber}` });
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`Salesforce Composite API error (writeback batch ${batchNumber}): ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      }
+      throw new Error(`Network error (writeback batch ${batchNumber}): ${error.message}`);
+    }
+
+    // Results come back in request order
+    response.data.forEach((result, index) => {
+      if (result.success) {
+        updated++;
+        return;
+      }
+      const message = (result.errors || [])
+        .map(error => `${error.statusCode}: ${error.message}`)
+        .join('; ') || 'Unknown error';
+      failures.push({ id: batch[index].id, message });
+    });
+
+    console.log(`  Writeback batch ${batchNumber}/${Math.ceil(changes.length / batchSize)}: ${batch.length} records sent`);
+  }
+
+  return { updated, failures };
+}
+
+async function writeWritebackPreview(filename, targetField, changes) {
+  const csvWriter = createObjectCsvWriter({
+    path: filename,
+    header: [
+      { id: 'id', title: 'Salesforce Record ID' },
+      { id: 'current', title: `Current ${targetField}` },
+      { id: 'value', title: `New ${targetField}` },
+      { id: 'truncated', title: 'Truncated' }
+    ]
+  });
+  await csvWriter.writeRecords(changes.map(change => ({ ...change, truncated: change.truncated ? 'true' : 'false' })));
+}
+
+module.exports = {
+  checkWritebackField,
+  truncateForField,
+  planWriteback,
+  updateRecords,
+  writeWritebackPreview
+};
@@ -0,0 +1,68 @@
+const nock = require('nock');
+const { checkWritebackField, truncateForField, planWriteback, updateRecords } = require('./sfdcWriteback');
+const { createSalesforceClient } = require('./sfdcClient');
+
+const INSTANCE = 'https://example.my.salesforce.com';
+
+describe('writeback', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should only accept existing, updateable text fields', () => {
+    const metadata = {
+      Themes__c: { name: 'Themes__c', type: 'textarea', updateable: true, length: 255 },
+      Locked__c: { name: 'Locked__c', type: 'string', updateable: false, length: 80 },
+      Score__c: { name: 'Score__c', type: 'double', updateable: true }
+    };
+    expect(checkWritebackField('Survey__c', 'Themes__c', metadata)).toBe(255);
+    expect(() => checkWritebackField('Survey__c', 'Missing__c', metadata)).toThrow('Writeback field Missing__c does not exist on Survey__c');
+    expect(() => checkWritebackField('Survey__c', 'Locked__c', metadata)).toThrow('is not updateable');
+    expect(() => checkWritebackField('Survey__c', 'Score__c', metadata)).toThrow('is a double field');
+  });
+
+  it('should truncate to the field length and skip unchanged records', () => {
+    expect(truncateForField('abcdef', 4)).toEqual({ value: 'abcd', truncated: true });
+    expect(truncateForField('abc', 4)).toEqual({ value: 'abc', truncated: false });
+
+    const current = new Map([['a1', 'Burnout'], ['a2', null], ['a3', 'old']]);
+    const changes = planWriteback([
+      { id: 'a1', response: 'Burnout' },
+      { id: 'a2', response: 'Workload' },
+      { id: 'a3', response: 'Growth and development' },
+      { id: 'gone', response: 'x' }
+    ], current, 10);
+
+    expect(changes).toEqual([
+      { id: 'a2', current: '', value: 'Workload', truncated: false },
+      { id: 'a3', current: 'old', value: 'Growth and', truncated: true }
+    ]);
+  });
+
+  it('should send batches of 200 and report per-record failures', async () => {
+    const changes = Array.from({ length: 201 }, (_, i) => ({ id: `a${i}`, value: `themes ${i}` }));
+    const batches = [];
+    nock(INSTANCE)
+      .patch('/services/data/v58.0/composite/sobjects')
+      .times(2)
+      .reply((uri, body) => {
+        batches.push(body);
+        return [200, body.records.map(record => (record.id === 'a5' ?
+          { success: false, errors: [{ statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message: 'Locked' }] } :
+          { id: record.id, success: true, errors: [] }))];
+      });
+
+    const { updated, failures } = await updateRecords(createSalesforceClient({ session: { accessToken: 'token', instanceUrl: INSTANCE } }), 'Survey__c', 'Themes__c', changes);
+
+    expect(batches.map(body => body.records.length)).toEqual([200, 1]);
+    expect(batches[0].allOrNone).toBe(false);
+    expect(batches[0].records[0]).toEqual({ attributes: { type: 'Survey__c' }, id: 'a0', Themes__c: 'themes 0' });
+    expect(updated).toBe(200);
+    expect(failures).toEqual([{ id: 'a5', message: 'FIELD_CUSTOM_VALIDATION_EXCEPTION: Locked' }]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * SOQL helpers: literal formatting for WHERE clauses built from user-supplied
+ * values, and light parsing of queries supplied by the user or a list view.
+ *
+ * The filter CSV only gives us strings, so the describe metadata for the
+ * filter field decides how each value is written: quoted and escaped for
+ * text, bare for numbers, booleans and dates, and validated first so a bad
+ * value fails before any query is sent.
+ */
+const QUOTED_TYPES = ['string', 'textarea', 'picklist', 'multipicklist', 'combobox', 'email', 'phone', 'url', 'encryptedstring'];
+const ID_TYPES = ['id', 'reference'];
+const INTEGER_TYPES = ['int', 'long'];
+const DECIMAL_TYPES = ['double', 'currency', 'percent'];
+
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const DECIMAL_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?(?:Z|[+-]\d{2}:?\d{2})$/;
+
+const ESCAPES = {
+  '\\': '\\\\',
+  '\'': '\\\'',
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f'
+};
+
+function escapeSoqlString(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, char => ESCAPES[char]);
+}
+
+function quote(value) {
+  return `'${escapeSoqlString(value)}'`;
+}
+
+/**
+ * Format one value as a SOQL literal for a field of the given describe type.
+ * Throws when the value can't be a valid literal for that type.
+ */
+function formatSoqlLiteral(value, fieldType = 'string') {
+  const type = String(fieldType).toLowerCase();
+  const text = String(value);
+  const trimmed = text.trim();
+
+  const check = (pattern, expected) => {
+    if (!pattern.test(trimmed)) {
+      throw new Error(`"${text}" is not a valid ${expected}`);
+    }
+    return trimmed;
+  };
+
+  if (QUOTED_TYPES.includes(type)) return quote(text);
+  if (ID_TYPES.includes(type)) return quote(check(ID_PATTERN, 'Salesforce ID'));
+  if (INTEGER_TYPES.includes(type)) return check(INTEGER_PATTERN, 'integer');
+  if (DECIMAL_TYPES.includes(type)) return check(DECIMAL_PATTERN, 'number');
+  if (type === 'date') return check(DATE_PATTERN, 'date (YYYY-MM-DD)');
+  if (type === 'datetime') return check(DATETIME_PATTERN, 'datetime (YYYY-MM-DDThh:mm:ssZ)');
+  if (type === 'boolean') {
+    const lower = trimmed.toLowerCase();
+    if (lower !== 'true' && lower !== 'false') {
+      throw new Error(`"${text}" is not a valid boolean (true or false)`);
+    }
+    return lower;
+  }
+
+  throw new Error(`fields of type ${fieldType} can't be filtered with a value list`);
+}
+
+/**
+ * Build "<field> IN (...)" for filterValues using the field's describe
+ * metadata ({ name, type, filterable }). Every value is checked up front and
+ * all problems are reported together.
+ */
+function buildInClause(fieldMetadata, filterValues) {
+  if (fieldMetadata.filterable === false) {
+    throw new Error(`Field ${fieldMetadata.name} can't be used to filter records (it is not filterable)`);
+  }
+
+  const literals = [];
+  const problems = [];
+  filterValues.forEach((value, index) => {
+    try {
+      literals.push(formatSoqlLiteral(value, fieldMetadata.type));
+    } catch (error) {
+      problems.push(`  value ${index + 1}: ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10);
+    if (problems.length > shown.length) shown.push(`  ...and ${problems.length - shown.length} more`);
+    throw new Error([`Invalid filter values for ${fieldMetadata.name} (${fieldMetadata.type}):`, ...shown].join('\n'));
+  }
+
+  return `${fieldMetadata.name} IN (${literals.join(',')})`;
+}
+
+/**
+ * Split a query into { selectList, objectName, rest } at its top-level FROM
+ * (so subqueries in the SELECT list are skipped). rest is everything after
+ * the object name: WHERE, ORDER BY, LIMIT and so on.
+ */
+function parseSoqlQuery(query) {
+  const text = String(query).trim().replace(/;\s*$/, '');
+  const select = /^SELECT\s+/i.exec(text);
+  if (!select) {
+    throw new Error('SOQL query must start with SELECT');
+  }
+
+  let depth = 0;
+  const tokens = /\(|\)|\bFROM\s+(\w+)/gi;
+  let match;
+  while ((match = tokens.exec(text)) !== null) {
+    if (match[0] === '(') depth++;
+    else if (match[0] === ')') depth--;
+    else if (depth === 0) {
+      return {
+        selectList: text.substring(select[0].length, match.index).trim(),
+        objectName: match[1],
+        rest: text.substring(match.index + match[0].length).trim()
+      };
+    }
+  }
+  throw new Error('SOQL query has no FROM clause');
+}
+
+// Top-level entries of a SELECT list, lower-cased for comparison
+function selectedFields(selectList) {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectList) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      entries.push(current.trim().toLowerCase());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current.trim().toLowerCase());
+  return entries.filter(Boolean);
+}
+
+module.exports = { escapeSoqlString, formatSoqlLiteral, buildInClause, parseSoqlQuery, selectedFields };
@@ -0,0 +1,60 @@
+const { escapeSoqlString, formatSoqlLiteral, buildInClause, parseSoqlQuery, selectedFields } = require('./soql');
+
+describe('SOQL literals', () => {
+  it('should escape quotes, backslashes and control characters in strings', () => {
+    expect(escapeSoqlString("O'Brien \\ \"x\"\nnext")).toBe("O\\'Brien \\\\ \\\"x\\\"\\nnext");
+    expect(formatSoqlLiteral("it's", 'string')).toBe("'it\\'s'");
+    expect(formatSoqlLiteral("x' OR Name != '", 'picklist')).toBe("'x\\' OR Name != \\''");
+  });
+
+  it('should write numbers, booleans and dates without quotes', () => {
+    expect(formatSoqlLiteral('42', 'int')).toBe('42');
+    expect(formatSoqlLiteral(' -3.5 ', 'currency')).toBe('-3.5');
+    expect(formatSoqlLiteral('TRUE', 'boolean')).toBe('true');
+    expect(formatSoqlLiteral('2024-03-01', 'date')).toBe('2024-03-01');
+    expect(formatSoqlLiteral('2024-03-01T08:00:00Z', 'datetime')).toBe('2024-03-01T08:00:00Z');
+    expect(formatSoqlLiteral('2024-03-01T08:00:00.000+01:00', 'datetime')).toBe('2024-03-01T08:00:00.000+01:00');
+  });
+
+  it('should quote valid IDs and reject anything else', () => {
+    expect(formatSoqlLiteral('001000000000001AAA', 'reference')).toBe("'001000000000001AAA'");
+    expect(formatSoqlLiteral('001000000000001', 'id')).toBe("'001000000000001'");
+    expect(() => formatSoqlLiteral("001' OR Id != '", 'id')).toThrow('is not a valid Salesforce ID');
+  });
+
+  it('should reject values that do not match the field type', () => {
+    expect(() => formatSoqlLiteral('1.5', 'int')).toThrow('"1.5" is not a valid integer');
+    expect(() => formatSoqlLiteral('12 OR 1=1', 'double')).toThrow('is not a valid number');
+    expect(() => formatSoqlLiteral('yes', 'boolean')).toThrow('is not a valid boolean');
+    expect(() => formatSoqlLiteral('03/01/2024', 'date')).toThrow('is not a valid date');
+    expect(() => formatSoqlLiteral('x', 'address')).toThrow("fields of type address can't be filtered");
+  });
+
+  it('should build an IN clause and report every bad value together', () => {
+    const field = { name: 'Score__c', type: 'double', filterable: true };
+    expect(buildInClause(field, ['1', '2.5'])).toBe('Score__c IN (1,2.5)');
+    expect(() => buildInClause(field, ['1', 'abc', 'x'])).toThrow(
+      'Invalid filter values for Score__c (double):\n  value 2: "abc" is not a valid number\n  value 3: "x" is not a valid number'
+    );
+    expect(() => buildInClause({ name: 'Notes__c', type: 'textarea', filterable: false }, ['a']))
+      .toThrow("Field Notes__c can't be used to filter records");
+  });
+});
+
+describe('SOQL query parsing', () => {
+  it('should split a query at its top-level FROM', () => {
+    expect(parseSoqlQuery('SELECT Id, (SELECT Id FROM Notes) FROM Survey__c WHERE Wave__c = \'Q3\' ORDER BY Name;')).toEqual({
+      selectList: 'Id, (SELECT Id FROM Notes)',
+      objectName: 'Survey__c',
+      rest: "WHERE Wave__c = 'Q3' ORDER BY Name"
+    });
+    expect(parseSoqlQuery('select Id from Account').rest).toBe('');
+    expect(() => parseSoqlQuery('Id FROM Account')).toThrow('must start with SELECT');
+  });
+
+  it('should list top-level selected fields in lower case', () => {
+    expect(selectedFields('Id, Comment__c,(SELECT Id, Body FROM Notes), Owner.Name')).toEqual([
+      'id', 'comment__c', '(select id, body from notes)', 'owner.name'
+    ]);
+  });
+});
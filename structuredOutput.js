@@ -0,0 +1,188 @@
+const fs = require('fs');
+
+/**
+ * Structured (JSON) responses validated against a JSON Schema.
+ *
+ * Only the subset of JSON Schema that makes sense for LLM answers is
+ * supported: type (incl. arrays of types), properties, required,
+ * additionalProperties: false, items, enum, minimum/maximum,
+ * minItems/maxItems and minLength/maxLength. That keeps the schema files
+ * readable and avoids another dependency.
+ */
+function loadSchema(schemaPath) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read schema ${schemaPath}: ${error.message}`);
+  }
+
+  if (schema.type !== 'object' || !schema.properties) {
+    throw new Error(`Schema ${schemaPath} must describe an object with "properties"`);
+  }
+  return schema;
+}
+
+function buildSchemaInstructions(schema) {
+  return [
+    'Respond with only a JSON object (no prose, no code fences) that matches this JSON Schema:',
+    JSON.stringify(schema, null, 2)
+  ].join('\n');
+}
+
+/**
+ * Pull a JSON object out of a model response, tolerating code fences and
+ * chatter before or after the object.
+ */
+function extractJson(text) {
+  const unfenced = String(text).replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(unfenced.substring(start, end + 1));
+      } catch (innerError) {
+        throw new Error(`Response is not valid JSON: ${innerError.message}`);
+      }
+    }
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate value against schema and return a list of "path: problem"
+ * messages; an empty list means the value is valid.
+ */
+function validateAgainstSchema(value, schema, pointer = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${pointer}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${pointer}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer}: must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${pointer}: must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${pointer}: must have at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${pointer}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${pointer}: must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pointer}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${pointer}.${key}: is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], properties[key], `${pointer}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}.${key}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a response. Returns { value } or { errors }.
+ */
+function parseStructuredResponse(text, schema) {
+  let value;
+  try {
+    value = extractJson(text);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+  const errors = validateAgainstSchema(value, schema);
+  return errors.length > 0 ? { errors } : { value };
+}
+
+// Nested objects with declared properties become dotted columns; everything
+// else (strings, numbers, arrays) is a single column
+function leafPaths(schema, prefix = '') {
+  return Object.entries(schema.properties).flatMap(([key, property]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (property.type === 'object' && property.properties) {
+      return leafPaths(property, name);
+    }
+    return [name];
+  });
+}
+
+/**
+ * CSV columns for a schema, in schema property order. Ids are prefixed so
+ * they can't collide with the standard result fields.
+ */
+function schemaColumns(schema) {
+  return leafPaths(schema).map(name => ({ id: `structured.${name}`, title: name }));
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) {
+    return value.every(item => typeOf(item) !== 'object' && typeOf(item) !== 'array') ?
+      value.join('; ') :
+      JSON.stringify(value);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Flatten a validated value into { [column id]: cell } for schemaColumns.
+ */
+function flattenStructured(value, schema) {
+  const cells = {};
+  leafPaths(schema).forEach(name => {
+    const cell = name.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+    cells[`structured.${name}`] = formatCell(cell);
+  });
+  return cells;
+}
+
+module.exports = {
+  loadSchema,
+  buildSchemaInstructions,
+  extractJson,
+  validateAgainstSchema,
+  parseStructuredResponse,
+  schemaColumns,
+  flattenStructured
+};
@@ -0,0 +1,64 @@
+const { extractJson, validateAgainstSchema, parseStructuredResponse, schemaColumns, flattenStructured } = require('./structuredOutput');
+
+const schema = {
+  type: 'object',
+  required: ['themes', 'sentiment', 'confidence'],
+  additionalProperties: false,
+  properties: {
+    themes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    details: {
+      type: 'object',
+      properties: {
+        mentionsManager: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+describe('structured output', () => {
+  it('should extract JSON from fenced or chatty responses', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Sure! Here it is: {"a": [1, 2]} Hope that helps.')).toEqual({ a: [1, 2] });
+    expect(() => extractJson('no json here')).toThrow(/not valid JSON/);
+  });
+
+  it('should accept values that match the schema', () => {
+    const value = { themes: ['Recognition'], sentiment: 'positive', confidence: 0.9, details: { mentionsManager: true } };
+    expect(validateAgainstSchema(value, schema)).toEqual([]);
+  });
+
+  it('should report every schema violation with its path', () => {
+    const errors = validateAgainstSchema({ themes: [], sentiment: 'happy', confidence: 2, extra: 1 }, schema);
+    expect(errors).toEqual([
+      '$.themes: must have at least 1 items',
+      '$.sentiment: must be one of "positive", "neutral", "negative"',
+      '$.confidence: must be <= 1',
+      '$.extra: is not allowed'
+    ]);
+    expect(validateAgainstSchema({ themes: 'Recognition', sentiment: 'neutral' }, schema)).toEqual([
+      '$.confidence: is required',
+      '$.themes: expected array, got string'
+    ]);
+  });
+
+  it('should return parse errors instead of throwing', () => {
+    expect(parseStructuredResponse('not json', schema).errors[0]).toMatch(/not valid JSON/);
+  });
+
+  it('should flatten values into one column per schema field', () => {
+    expect(schemaColumns(schema)).toEqual([
+      { id: 'structured.themes', title: 'themes' },
+      { id: 'structured.sentiment', title: 'sentiment' },
+      { id: 'structured.confidence', title: 'confidence' },
+      { id: 'structured.details.mentionsManager', title: 'details.mentionsManager' }
+    ]);
+    expect(flattenStructured({ themes: ['Recognition', 'Workload'], sentiment: 'negative', confidence: 0.4 }, schema)).toEqual({
+      'structured.themes': 'Recognition; Workload',
+      'structured.sentiment': 'negative',
+      'structured.confidence': 0.4,
+      'structured.details.mentionsManager': ''
+    });
+  });
+});
@@ -2,105 +2,245 @@
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const csv = require('csv-parser');
+const { parseArgs } = require('./cliArgs');
+const { createProvider, sendChat, describeProvider, listProviders } = require('./llmProviders');
+const { createRetryPolicy } = require('./retry');
+const { hashFile, hashConfig } = require('./runManifest');
+const { estimateTokens, contextWindowFor, splitTextByTokens, formatTokenCount, describeTokenDistribution } = require('./tokens');
+const { redactionFromOptions, createRedactionTally } = require('./redaction');
+const { cacheFromOptions, describeCacheUse } = require('./llmCache');
+const { MODEL_PRICES, loadPriceTable, describeCost } = require('./pricing');
+const { loadSystemPrompt } = require('./promptTemplate');
+
+const CLI_FLAGS = {
+  '-c': 'boolean',
+  '--provider': 'string',
+  '--model': 'string',
+  '--temperature': 'number',
+  '--max-attempts': 'number',
+  '--reduce': 'boolean',
+  '--reduce-size': 'number',
+  '--max-tokens-per-batch': 'number',
+  '--context-window': 'number',
+  '--redact': 'boolean',
+  '--redact-rules': 'string',
+  '--redact-names': 'string',
+  '--restore-pii': 'boolean',
+  '--no-cache': 'boolean',
+  '--refresh-cache': 'boolean',
+  '--cache-dir': 'string',
+  '--dry-run': 'boolean',
+  '--price-table': 'string',
+  '--system-prompt-file': 'string'
+};
+
+// Added to the prompt for reduce levels, whose inputs are earlier summaries
+const REDUCE_INSTRUCTIONS = 'The text below contains summaries of earlier batches of responses, not individual responses. ' +
+  'Merge them into one consolidated set of meta-themes, combining overlapping themes and keeping distinct ones.';
 
 async function main() {
-  const args = process.argv.slice(2);
-
-  // Check for -c flag
-  const useCopilot = args.includes('-c');
-  const filteredArgs = args.filter(arg => arg !== '-c');
+  let options, filteredArgs;
+  try {
+    ({ options, positional: filteredArgs } = parseArgs(process.argv.slice(2), CLI_FLAGS));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 
   // Parse arguments
   const batchIndex = filteredArgs.indexOf('-b');
   const promptIndex = filteredArgs.indexOf('-p');
 
-  if (batchIndex === -1 || promptIndex === -1 || filteredArgs.length < 5) {
-    console.error('Usage: node summarize.js <filename> -b <batch-size> -p <prompt> [-c]');
+  const useTokenBudget = options.maxTokensPerBatch !== undefined;
+  if ((batchIndex === -1 && !useTokenBudget) || promptIndex === -1 || filteredArgs.length < 3) {
+    console.error('Usage: node summarize.js <filename> (-b <batch-size> | --max-tokens-per-batch <n>) -p <prompt> [--context-window <n>] [--provider <name>] [--model <name>] [--temperature <n>] [--max-attempts <n>] [--reduce [--reduce-size <n>]] [--redact [--redact-rules <file.json>] [--redact-names <file.txt>] [--restore-pii]] [--no-cache | --refresh-cache] [--cache-dir <dir>] [--dry-run [--price-table <file.json>]] [--system-prompt-file <file>] [-c]');
     console.error('Example: node summarize.js results.csv -b 5 -p "Summarize the key themes across these responses"');
-    console.error('Example with Copilot: node summarize.js results.csv -b 5 -p "Summarize themes" -c');
-    console.error('Use -c flag to use Copilot instead of LM Studio');
+    console.error('Example with Copilot: node summarize.js results.csv -b 5 -p "Summarize themes" --provider azure');
+    console.error('Reduce to one report: node summarize.js results.csv -b 10 -p "Summarize themes" --reduce');
+    console.error('Token-based batches: node summarize.js results.csv --max-tokens-per-batch 6000 -p "Summarize themes"');
+    console.error(`Providers: ${listProviders().join(', ')} (-c is shorthand for --provider azure)`);
     process.exit(1);
   }
 
   const filename = filteredArgs[0];
-  const batchSize = parseInt(filteredArgs[batchIndex + 1]);
+  const batchSize = batchIndex === -1 ? null : parseInt(filteredArgs[batchIndex + 1]);
 
   // Collect all arguments after -p as the prompt (to handle multi-word prompts)
   const prompt = filteredArgs.slice(promptIndex + 1).join(' ');
 
-  if (isNaN(batchSize) || batchSize < 1) {
+  if (batchSize !== null && (isNaN(batchSize) || batchSize < 1)) {
     console.error('Error: Batch size must be a positive integer');
     process.exit(1);
   }
 
+  if (useTokenBudget && (!Number.isInteger(options.maxTokensPerBatch) || options.maxTokensPerBatch < 1)) {
+    console.error('Error: --max-tokens-per-batch must be a positive integer');
+    process.exit(1);
+  }
+  if (useTokenBudget && options.maxTokensPerBatch < MIN_BATCH_TOKENS) {
+    console.error(`Error: --max-tokens-per-batch must be at least ${MIN_BATCH_TOKENS} so each batch holds some responses`);
+    process.exit(1);
+  }
+
   if (!fs.existsSync(filename)) {
     console.error(`Error: File '${filename}' not found`);
     process.exit(1);
   }
 
+  if (options.priceTable && !options.dryRun) {
+    console.error('Error: --price-table only applies to --dry-run');
+    process.exit(1);
+  }
+
+  const reduceSize = options.reduceSize !== undefined ? options.reduceSize : Math.max(batchSize || 10, 2);
+  if (options.reduce && (!Number.isInteger(reduceSize) || reduceSize < 2)) {
+    console.error('Error: --reduce-size must be an integer of at least 2');
+    process.exit(1);
+  }
+
+  // Used in output and state file names, e.g. batch5, tokens6000 or batch5_tokens6000
+  const batchLabel = [
+    batchSize !== null ? `batch${batchSize}` : null,
+    useTokenBudget ? `tokens${options.maxTokensPerBatch}` : null
+  ].filter(Boolean).join('_');
+
   console.log(`Reading file: ${filename}`);
-  console.log(`Batch size: ${batchSize}`);
+  if (batchSize !== null) {
+    console.log(`Batch size: ${batchSize}`);
+  }
   console.log(`Prompt: "${prompt}"`);
-  console.log(`AI Service: ${useCopilot ? 'Microsoft Copilot' : 'LM Studio'}`);
-  console.log('');
 
   try {
+    const provider = createProvider(options.provider || (options.c ? 'azure' : 'lmstudio'), {
+      model: options.model,
+      temperature: options.temperature,
+      retryPolicy: createRetryPolicy({ maxAttempts: options.maxAttempts }),
+      cache: cacheFromOptions(options)
+    });
+    console.log(`AI Service: ${describeProvider(provider)}`);
+    const systemPrompt = options.systemPromptFile ? loadSystemPrompt(options.systemPromptFile) : SUMMARY_SYSTEM_PROMPT;
+    if (options.systemPromptFile) {
+      console.log(`System prompt: ${options.systemPromptFile}`);
+    }
+
+    // One session for the whole run, so a placeholder means the same person
+    // in every batch and level. Checkpoints keep restored text; summaries are
+    // masked again on output unless --restore-pii is given
+    const redaction = redactionFromOptions(options);
+    const pii = redaction && { session: redaction.redactor.session(), tally: createRedactionTally() };
+    const forOutput = (text) => (pii && !redaction.restore ? pii.session.redact(text).text : text);
+    if (redaction) {
+      console.log(`Redaction: ${redaction.description}${redaction.restore ? ' (placeholders restored in the report)' : ''}`);
+    }
+    console.log('');
+
     // Read CSV file and extract LM Studio Response column
-    const responses = await readResponsesFromCSV(filename);
-    console.log(`Found ${responses.length} responses in file`);
+    const responseRows = await readResponseRowsFromCSV(filename);
+    console.log(`Found ${responseRows.length} responses in file`);
 
-    if (responses.length === 0) {
+    if (responseRows.length === 0) {
       console.log('No responses to process');
       process.exit(0);
     }
 
     // Split into batches
-    const batches = chunkArray(responses, batchSize);
-    console.log(`Split into ${batches.length} batches of up to ${batchSize} responses each`);
+    let batches;
+    let tokenBudget = null;
+    if (useTokenBudget) {
+      // Leave room in the model's context for the prompt and the summary itself
+      const contextWindow = options.contextWindow || contextWindowFor(provider.model);
+      const reserved = estimateTokens(`${systemPrompt}\n${prompt}\n\n${options.reduce ? REDUCE_INSTRUCTIONS : ''}`) + SUMMARY_MAX_TOKENS;
+      const available = contextWindow - reserved;
+      if (available < MIN_BATCH_TOKENS) {
+        throw new Error(`Context window of ${contextWindow} tokens leaves only ${available} tokens per batch after the prompt and ${SUMMARY_MAX_TOKENS} output tokens; use a larger --context-window or a model with more context`);
+      }
+      tokenBudget = Math.min(options.maxTokensPerBatch, available);
+      batches = packBatches(responseRows, { maxTokens: tokenBudget, maxItems: batchSize });
+      console.log(`Packed into ${batches.length} batches of up to ~${tokenBudget} tokens each (context window ${contextWindow}${batchSize !== null ? `, max ${batchSize} responses` : ''})`);
+    } else {
+      batches = chunkArray(responseRows.map(row => row.text), batchSize);
+      console.log(`Split into ${batches.length} batches of up to ${batchSize} responses each`);
+    }
     console.log('');
 
-    // Process each batch
-    const summaries = [];
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      console.log(`Processing batch ${i + 1}/${batches.length} (${batch.length} responses)...`);
-
-      // Combine batch responses into a single text
-      const combinedText = batch.map((resp, idx) => {
-        return `Response ${idx + 1}:\n${resp}`;
-      }).join('\n\n---\n\n');
-
-      try {
-        const summary = useCopilot ?
-          await sendToCopilot(prompt, combinedText) :
-          await sendToLMStudio(prompt, combinedText);
-
-        summaries.push({
-          batchNumber: i + 1,
-          batchSize: batch.length,
-          summary: summary
-        });
-
-        console.log(`  ✓ Batch ${i + 1} processed successfully`);
-        console.log('');
-      } catch (error) {
-        console.error(`  ✗ Error processing batch ${i + 1}:`, error.message);
-        summaries.push({
-          batchNumber: i + 1,
-          batchSize: batch.length,
-          summary: `Error: ${error.message}`
-        });
+    // Summaries are checkpointed to a state file keyed by everything that
+    // affects the answers, so a rerun of the same command resumes and a
+    // changed one starts over
+    const runSettings = {
+      inputHash: hashFile(filename),
+      prompt,
+      batchSize,
+      provider: provider.name,
+      model: provider.model,
+      temperature: provider.temperature,
+      ...(tokenBudget && { tokenBudget }),
+      ...(options.systemPromptFile && { systemPromptHash: hashFile(options.systemPromptFile) }),
+      ...(redaction && { redaction: redaction.fingerprint })
+    };
+
+    // Plan only: report the batches and what summarizing them would cost,
+    // counting batches already in the checkpoint as done
+    if (options.dryRun) {
+      const statePath = summaryStatePath(filename, batchLabel, options.reduce ? 'reduce' : 'checkpoint');
+      const state = loadSummaryState(statePath, hashConfig(options.reduce ? { ...runSettings, reduceSize } : runSettings));
+      const plan = planSummaries(batches, { prompt, reduceSize: options.reduce ? reduceSize : null, state, systemPrompt });
+      printSummaryPlan(plan, {
+        provider,
+        priceTable: options.priceTable ? loadPriceTable(options.priceTable) : MODEL_PRICES,
+        responses: responseRows.length,
+        statePath
+      });
+      return;
+    }
+
+    if (options.reduce) {
+      const statePath = summaryStatePath(filename, batchLabel, 'reduce');
+      const configHash = hashConfig({ ...runSettings, reduceSize });
+      console.log(`Reduce mode: summarizing in groups of ${reduceSize} until one report remains (state: ${statePath})`);
+      console.log('');
+
+      const { complete, levels } = await runReduction(provider, prompt, batches, { reduceSize, statePath, configHash, tokenBudget, pii, systemPrompt });
+      logRedactions(pii);
+      logCacheUse(provider);
+      if (!complete) {
+        console.error(`\n✗ Reduction stopped at level ${levels.length} because some batches failed.`);
+        console.error(`Completed summaries are saved in ${statePath}; rerun the same command to resume.`);
+        process.exit(1);
       }
+
+      const outputFile = generateOutputFilename(filename, batchLabel, '_reduce');
+      await saveReductionToFile(levels.map(level => ({
+        ...level,
+        items: Object.fromEntries(Object.entries(level.items).map(([i, item]) => [i, { ...item, summary: forOutput(item.summary) }]))
+      })), outputFile, prompt);
+      console.log(`\n✓ Final report and ${levels.length} levels saved to: ${outputFile}`);
+      return;
     }
 
+    const statePath = summaryStatePath(filename, batchLabel, 'checkpoint');
+    console.log(`Checkpoint: ${statePath}`);
+    console.log('');
+
+    const { summaries, failed } = await summarizeBatches(provider, prompt, batches, {
+      statePath,
+      configHash: hashConfig(runSettings),
+      pii,
+      systemPrompt
+    });
+    logRedactions(pii);
+    logCacheUse(provider);
+
     // Save summaries to output file
-    const outputFile = generateOutputFilename(filename, batchSize);
-    await saveSummariesToFile(summaries, outputFile, prompt);
+    const outputFile = generateOutputFilename(filename, batchLabel);
+    await saveSummariesToFile(summaries.map(summary => ({ ...summary, summary: forOutput(summary.summary) })), outputFile, prompt);
 
     console.log(`\n✓ Summaries saved to: ${outputFile}`);
-    console.log(`Processed ${batches.length} batches successfully`);
+    if (failed > 0) {
+      console.error(`✗ ${failed} of ${batches.length} batches failed; rerun the same command to retry only those (completed batches are in ${statePath})`);
+    } else {
+      console.log(`Processed ${batches.length} batches successfully`);
+    }
 
   } catch (error) {
     console.error('Error:', error.message);
@@ -109,8 +249,18 @@ async function main() {
 }
 
 async function readResponsesFromCSV(filename) {
+  const rows = await readResponseRowsFromCSV(filename);
+  return rows.map(row => row.text);
+}
+
+/**
+ * Like readResponsesFromCSV, but keeps the data row number and record ID of
+ * each response so warnings can point at the offending row.
+ */
+async function readResponseRowsFromCSV(filename) {
   return new Promise((resolve, reject) => {
     const responses = [];
+    let rowNumber = 0;
 
     fs.createReadStream(filename)
       .pipe(csv({
@@ -118,6 +268,7 @@ async function readResponsesFromCSV(filename) {
         stripBOM: true
       }))
       .on('data', (data) => {
+        rowNumber++;
         // Try different possible column names for the response field
         const response = data['LM Studio Response'] ||
                         data['response'] ||
@@ -125,7 +276,11 @@ async function readResponsesFromCSV(filename) {
                         data[Object.keys(data)[Object.keys(data).length - 1]]; // Last column as fallback
 
         if (response && response.trim() && !response.startsWith('Error:')) {
-          responses.push(response.trim());
+          responses.push({
+            row: rowNumber,
+            recordId: data['Salesforce Record ID'] || null,
+            text: response.trim()
+          });
         }
       })
       .on('end', () => {
@@ -137,106 +292,298 @@ async function readResponsesFromCSV(filename) {
   });
 }
 
-function chunkArray(array, chunkSize) {
-  const chunks = [];
-  for (let i = 0; i < array.length; i += chunkSize) {
-    chunks.push(array.slice(i, i + chunkSize));
-  }
-  return chunks;
+// "Response 12:\n" plus the separator between items
+const ITEM_OVERHEAD_TOKENS = 8;
+// Smallest batch budget worth a request
+const MIN_BATCH_TOKENS = 100;
+
+/**
+ * Greedily pack responses into batches of at most maxTokens (estimated) and,
+ * when given, maxItems responses. A response too large for a batch on its
+ * own is split on paragraph/sentence boundaries into parts that each fit,
+ * with a warning naming the row.
+ */
+function packBatches(rows, { maxTokens, maxItems = null }) {
+  const items = [];
+  rows.forEach(row => {
+    const tokens = estimateTokens(row.text) + ITEM_OVERHEAD_TOKENS;
+    if (tokens <= maxTokens) {
+      items.push({ text: row.text, tokens });
+      return;
+    }
+
+    const parts = splitTextByTokens(row.text, maxTokens - ITEM_OVERHEAD_TOKENS - 4);
+    const where = `Row ${row.row}${row.recordId ? ` (${row.recordId})` : ''}`;
+    console.warn(`⚠ ${where} is ~${tokens} tokens, over the ${maxTokens}-token batch budget; splitting it into ${parts.length} parts`);
+    parts.forEach((part, index) => {
+      const text = `(part ${index + 1}/${parts.length}) ${part}`;
+      items.push({ text, tokens: estimateTokens(text) + ITEM_OVERHEAD_TOKENS });
+    });
+  });
+
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+  items.forEach(item => {
+    const full = current.length > 0 && (
+      currentTokens + item.tokens > maxTokens ||
+      (maxItems && current.length >= maxItems)
+    );
+    if (full) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(item.text);
+    currentTokens += item.tokens;
+  });
+  if (current.length > 0) batches.push(current);
+
+  return batches;
 }
 
-async function sendToLMStudio(prompt, text) {
-  const lmStudioUrl = process.env.LM_STUDIO_URL || 'http://127.0.0.1:1234/v1/chat/completions';
-
-  const requestBody = {
-    model: "local-model",
-    messages: [
-      {
-        role: "user",
-        content: `${prompt}\n\n${text}`
-      }
-    ],
-    temperature: 0.7,
-    max_tokens: 2000 // Increased for summaries
-  };
+function formatBatchText(items, itemLabel) {
+  return items.map((item, idx) => `${itemLabel} ${idx + 1}:\n${item}`).join('\n\n---\n\n');
+}
 
-  try {
-    const response = await axios.post(lmStudioUrl, requestBody, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000 // 60 second timeout for larger batches
-    });
+function summaryStatePath(inputFilename, batchLabel, kind) {
+  const parsed = path.parse(inputFilename);
+  return path.join(parsed.dir || '.', `${parsed.name}_summary_${batchLabel}_${kind}.json`);
+}
 
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`LM Studio API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+function loadSummaryState(statePath, configHash) {
+  if (fs.existsSync(statePath)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (state.configHash === configHash) {
+        return state;
+      }
+      console.log(`Ignoring ${statePath}: it was written with different input, prompt or settings`);
+    } catch (error) {
+      console.warn(`Warning: Could not read summary state ${statePath}: ${error.message}`);
     }
-    throw new Error(`LM Studio connection error: ${error.message}`);
   }
+  return { configHash, levels: [] };
 }
 
-async function sendToCopilot(prompt, text) {
-  const copilotApiKey = process.env.COPILOT_API_KEY;
-  const copilotUrl = process.env.COPILOT_API_URL;
-  const deployment = process.env.COPILOT_DEPLOYMENT || 'gpt-5-chat';
-  const apiVersion = process.env.AZURE_API_VERSION || '2024-02-15-preview';
+function saveSummaryState(statePath, state) {
+  const tempPath = `${statePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tempPath, statePath);
+}
 
-  if (!copilotApiKey) {
-    throw new Error('COPILOT_API_KEY environment variable is required for Copilot integration');
+/**
+ * Summarize one level of groups, skipping any already saved in levelState.
+ * Each summary is written to the state file as soon as it finishes; failures
+ * are returned as { [index]: message } and not saved, so a rerun retries them.
+ */
+async function runLevel(provider, prompt, groups, { level, state, statePath, pii = null, systemPrompt }) {
+  let levelState = state.levels[level - 1];
+  if (!levelState || levelState.total !== groups.length) {
+    // Inputs for this level changed, so it and everything above it is stale
+    levelState = { level, total: groups.length, items: {} };
+    state.levels = [...state.levels.slice(0, level - 1), levelState];
   }
 
-  if (!copilotUrl) {
-    throw new Error('COPILOT_API_URL environment variable is required. Set it to your Azure OpenAI base URL (e.g., https://xxx.openai.azure.com)');
+  const itemLabel = level === 1 ? 'Response' : 'Summary';
+  const itemNoun = level === 1 ? ['response', 'responses'] : ['summary', 'summaries'];
+  const done = Object.keys(levelState.items).length;
+  console.log(`Level ${level}: ${groups.length} ${level === 1 ? 'batches' : 'groups'}${done > 0 ? ` (${done} already done)` : ''}`);
+
+  const errors = {};
+  for (let i = 0; i < groups.length; i++) {
+    if (levelState.items[i]) continue;
+
+    const group = groups[i];
+    console.log(`  Level ${level}, batch ${i + 1}/${groups.length} (${group.length} ${itemNoun[group.length === 1 ? 0 : 1]})...`);
+    try {
+      const text = formatBatchText(group, itemLabel);
+      let summary;
+      if (pii) {
+        const masked = pii.session.redact(text);
+        pii.tally.add(masked.counts);
+        summary = pii.session.restore(await summarizeText(provider, prompt, masked.text, { systemPrompt }));
+      } else {
+        summary = await summarizeText(provider, prompt, text, { systemPrompt });
+      }
+      levelState.items[i] = { size: group.length, summary };
+      saveSummaryState(statePath, state);
+      console.log(`  ✓ Level ${level}, batch ${i + 1} processed successfully`);
+    } catch (error) {
+      errors[i] = error.message;
+      console.error(`  ✗ Error processing level ${level}, batch ${i + 1}:`, error.message);
+    }
   }
+  console.log('');
 
-  // Build Azure OpenAI endpoint URL
-  const fullUrl = `${copilotUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
-
-  const requestBody = {
-    messages: [
-      {
-        role: "system",
-        content: "You are a helpful AI assistant that analyzes and summarizes multiple text responses to identify patterns, themes, and insights."
-      },
-      {
-        role: "user",
-        content: `${prompt}\n\n${text}`
-      }
-    ],
-    temperature: 0.7,
-    max_tokens: 2000 // Increased for summaries
-  };
+  saveSummaryState(statePath, state);
+  return { levelState, errors };
+}
 
-  try {
-    const response = await axios.post(fullUrl, requestBody, {
-      headers: {
-        'api-key': copilotApiKey,
-        'Content-Type': 'application/json'
-      },
-      timeout: 120000 // 2 minute timeout for larger batches
-    });
+/**
+ * Summarize each batch once, checkpointing to statePath. Returns the
+ * summaries in batch order for saveSummariesToFile (failed batches carry
+ * their error message) and the number of failures.
+ */
+async function summarizeBatches(provider, prompt, batches, { statePath, configHash, pii = null, systemPrompt }) {
+  const state = loadSummaryState(statePath, configHash);
+  const { levelState, errors } = await runLevel(provider, prompt, batches, { level: 1, state, statePath, pii, systemPrompt });
+
+  const summaries = batches.map((batch, i) => ({
+    batchNumber: i + 1,
+    batchSize: batch.length,
+    summary: levelState.items[i] ? levelState.items[i].summary : `Error: ${errors[i]}`
+  }));
+  return { summaries, failed: Object.keys(errors).length };
+}
 
-    if (response.data.choices && response.data.choices[0]) {
-      return response.data.choices[0].message.content;
-    } else {
-      throw new Error(`Unexpected API response format: ${JSON.stringify(response.data)}`);
+/**
+ * Map-reduce summarization. Level 1 summarizes the response batches; each
+ * further level summarizes groups of reduceSize summaries from the level
+ * below until a single report remains. With a tokenBudget, reduce groups are
+ * also kept within it.
+ *
+ * Every finished summary is saved to the state file straight away. If any
+ * batch in a level fails, the next level isn't started and
+ * { complete: false } is returned; rerunning picks up the saved summaries
+ * and only redoes the missing ones.
+ */
+async function runReduction(provider, prompt, batches, { reduceSize, statePath, configHash, tokenBudget = null, pii = null, systemPrompt }) {
+  const state = loadSummaryState(statePath, configHash);
+  let groups = batches;
+
+  for (let level = 1; ; level++) {
+    const levelPrompt = level === 1 ? prompt : `${prompt}\n\n${REDUCE_INSTRUCTIONS}`;
+    const { levelState, errors } = await runLevel(provider, levelPrompt, groups, { level, state, statePath, pii, systemPrompt });
+    if (Object.keys(errors).length > 0) {
+      return { complete: false, levels: state.levels };
     }
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Copilot API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+
+    const summaries = groups.map((group, i) => levelState.items[i].summary);
+    if (summaries.length === 1) {
+      return { complete: true, levels: state.levels };
     }
-    throw new Error(`Copilot connection error: ${error.message}`);
+    groups = groupSummaries(summaries, reduceSize, tokenBudget);
   }
 }
 
-function generateOutputFilename(inputFilename, batchSize) {
+/**
+ * Estimate the requests and tokens for summarizing batches (and, with
+ * reduceSize, reducing the summaries to one report) without calling the
+ * provider. Reduce levels assume full groups of full-length summaries, so
+ * their input is an upper bound.
+ */
+function planSummaries(batches, { prompt, reduceSize = null, state = { levels: [] }, systemPrompt = SUMMARY_SYSTEM_PROMPT }) {
+  // Summaries saved for a level with the same number of groups are reused
+  const doneItems = (level, total) => {
+    const levelState = state.levels[level - 1];
+    return levelState && levelState.total === total ? levelState.items : {};
+  };
+
+  const overhead = estimateTokens(`${systemPrompt}${prompt}\n\n`);
+  const batchTokens = batches.map(batch => estimateTokens(formatBatchText(batch, 'Response')));
+  const done = doneItems(1, batches.length);
+  const plan = {
+    batches: batches.length,
+    done: Object.keys(done).length,
+    batchTokens,
+    levels: [batches.length],
+    requests: batches.length - Object.keys(done).length,
+    inputTokens: batchTokens.reduce((sum, tokens, i) => sum + (done[i] ? 0 : overhead + tokens), 0),
+    outputTokens: 0
+  };
+
+  if (reduceSize) {
+    const reduceOverhead = estimateTokens(`${systemPrompt}${prompt}\n\n${REDUCE_INSTRUCTIONS}\n\n`);
+    for (let count = batches.length, level = 2; count > 1; level++) {
+      const groups = Math.ceil(count / reduceSize);
+      const pending = groups - Object.keys(doneItems(level, groups)).length;
+      plan.levels.push(groups);
+      plan.requests += pending;
+      plan.inputTokens += pending * (reduceOverhead + Math.min(reduceSize, count) * SUMMARY_MAX_TOKENS);
+      count = groups;
+    }
+  }
+
+  plan.outputTokens = plan.requests * SUMMARY_MAX_TOKENS;
+  return plan;
+}
+
+function printSummaryPlan(plan, { provider, priceTable, responses, statePath }) {
+  console.log('');
+  console.log('Dry run: no LLM calls made and no summaries written');
+  console.log(`  Responses: ${responses} in ${plan.batches} batches`);
+  console.log(`  Already summarized: ${plan.done}${plan.done > 0 ? ` (in ${statePath})` : ''}`);
+  console.log(`  Tokens per batch: ${describeTokenDistribution(plan.batchTokens)}`);
+  if (plan.levels.length > 1) {
+    console.log(`  Reduce levels: ${plan.levels.join(' → ')}`);
+  }
+  console.log(`  Requests: ~${plan.requests} (~${formatTokenCount(plan.inputTokens)} input tokens, up to ${formatTokenCount(plan.outputTokens)} output tokens)`);
+  console.log(`  Estimated cost: ${describeCost(provider, plan, priceTable)}`);
+}
+
+function logRedactions(pii) {
+  if (!pii) return;
+  const entries = pii.tally.entries();
+  console.log(`Redaction: ${entries.length === 0 ? 'nothing masked' : entries.map(entry => `${entry.label} ${entry.masked} in ${entry.records} batches`).join(', ')}`);
+}
+
+function logCacheUse(provider) {
+  if (provider.cache) console.log(describeCacheUse(provider.cache));
+}
+
+function groupSummaries(summaries, reduceSize, tokenBudget) {
+  if (!tokenBudget) {
+    return chunkArray(summaries, reduceSize);
+  }
+
+  const rows = summaries.map((text, index) => ({ row: index + 1, text }));
+  const groups = packBatches(rows, { maxTokens: tokenBudget, maxItems: reduceSize });
+  if (groups.length >= summaries.length) {
+    // Summaries too long to pair up within the budget; pair them anyway so
+    // the reduction still converges
+    console.warn(`⚠ Summaries exceed the ${tokenBudget}-token budget when combined; reducing them in pairs`);
+    return chunkArray(summaries, 2);
+  }
+  return groups;
+}
+
+function chunkArray(array, chunkSize) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += chunkSize) {
+    chunks.push(array.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+const SUMMARY_SYSTEM_PROMPT = 'You are a helpful AI assistant that analyzes and summarizes multiple text responses to identify patterns, themes, and insights.';
+const SUMMARY_MAX_TOKENS = 2000; // Increased for summaries
+
+async function summarizeText(provider, prompt, text, { systemPrompt = SUMMARY_SYSTEM_PROMPT } = {}) {
+  const result = await sendChat(provider, {
+    systemPrompt,
+    userPrompt: `${prompt}\n\n${text}`,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    timeout: provider.timeout * 2 // Larger batches take longer than single records
+  });
+  return result.content;
+}
+
+// Kept for callers that still pick a backend by function name
+async function sendToLMStudio(prompt, text) {
+  return summarizeText(createProvider('lmstudio'), prompt, text);
+}
+
+async function sendToCopilot(prompt, text) {
+  return summarizeText(createProvider('azure'), prompt, text);
+}
+
+function generateOutputFilename(inputFilename, batchLabel, suffix = '') {
   const parsed = path.parse(inputFilename);
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
   return path.join(
     parsed.dir || '.',
-    `${parsed.name}_summary_batch${batchSize}_${timestamp}.txt`
+    `${parsed.name}_summary_${batchLabel}${suffix}_${timestamp}.txt`
   );
 }
 
@@ -257,8 +604,37 @@ async function saveSummariesToFile(summaries, filename, prompt) {
   await fs.promises.writeFile(filename, content, 'utf8');
 }
 
+async function saveReductionToFile(levels, filename, prompt) {
+  const finalLevel = levels[levels.length - 1];
+
+  let content = `Summary Report (hierarchical)\n`;
+  content += `Generated: ${new Date().toISOString()}\n`;
+  content += `Prompt: ${prompt}\n`;
+  content += `Levels: ${levels.length}\n`;
+  content += `\n${'='.repeat(80)}\n\n`;
+
+  content += `FINAL META-THEME REPORT\n`;
+  content += `${'-'.repeat(80)}\n`;
+  content += `${finalLevel.items[0].summary}\n`;
+  content += `\n${'='.repeat(80)}\n\n`;
+
+  // Intermediate levels, bottom up, for tracing themes back to their batches
+  for (const level of levels.slice(0, -1)) {
+    const unit = level.level === 1 ? 'responses' : 'summaries';
+    for (let i = 0; i < level.total; i++) {
+      const item = level.items[i];
+      content += `LEVEL ${level.level} - BATCH ${i + 1} (${item.size} ${unit})\n`;
+      content += `${'-'.repeat(80)}\n`;
+      content += `${item.summary}\n`;
+      content += `\n${'='.repeat(80)}\n\n`;
+    }
+  }
+
+  await fs.promises.writeFile(filename, content, 'utf8');
+}
+
 if (require.main === module) {
   main();
 }
 
-module.exports = { main, readResponsesFromCSV, chunkArray, sendToLMStudio, sendToCopilot, saveSummariesToFile };
+module.exports = { main, readResponsesFromCSV, readResponseRowsFromCSV, packBatches, chunkArray, planSummaries, summarizeText, sendToLMStudio, sendToCopilot, saveSummariesToFile, summarizeBatches, runReduction, saveReductionToFile };
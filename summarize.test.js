@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const { summarizeBatches, saveSummariesToFile, runReduction, planSummaries, saveReductionToFile, packBatches, readResponseRowsFromCSV } = require('./summarize');
+const { estimateTokens, contextWindowFor, splitTextByTokens } = require('./tokens');
+const { createProvider } = require('./llmProviders');
+const { createRetryPolicy } = require('./retry');
+const { createRedactor, createRedactionTally } = require('./redaction');
+
+const LM_STUDIO = 'http://lmstudio.test';
+
+describe('summarize --reduce', () => {
+  let tmpDir;
+  let statePath;
+  let provider;
+  let prompts;
+
+  const batches = [['r1', 'r2'], ['r3', 'r4'], ['r5', 'r6'], ['r7', 'r8'], ['r9']];
+
+  // Replies "S<n>" for the nth call and records each user prompt
+  const mockLmStudio = ({ failOn = [] } = {}) => nock(LM_STUDIO)
+    .post('/v1/chat/completions')
+    .times(50)
+    .reply((uri, body) => {
+      prompts.push(body.messages[1].content);
+      if (failOn.includes(prompts.length)) {
+        return [400, { error: 'bad batch' }];
+      }
+      return [200, { choices: [{ message: { content: `S${prompts.length}` } }] }];
+    });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    statePath = path.join(tmpDir, 'results_summary_batch2_reduce.json');
+    process.env.LM_STUDIO_URL = `${LM_STUDIO}/v1/chat/completions`;
+    provider = createProvider('lmstudio', { retryPolicy: createRetryPolicy({ maxAttempts: 1 }) });
+    prompts = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.LM_STUDIO_URL;
+    console.log.mockRestore();
+    console.error.mockRestore();
+    nock.cleanAll();
+  });
+
+  it('should keep summarizing summaries until a single report remains', async () => {
+    mockLmStudio();
+
+    const { complete, levels } = await runReduction(provider, 'Find themes', batches, { reduceSize: 2, statePath, configHash: 'h' });
+
+    // 5 batches -> 3 groups -> 2 groups -> 1 report
+    expect(complete).toBe(true);
+    expect(levels.map(level => level.total)).toEqual([5, 3, 2, 1]);
+    expect(prompts).toHaveLength(11);
+    expect(prompts[5]).toContain('Summary 1:\nS1');
+    expect(prompts[5]).toContain('summaries of earlier batches');
+    expect(levels[3].items[0].summary).toBe('S11');
+    expect(console.log).toHaveBeenCalledWith('  Level 2, batch 1/3 (2 summaries)...');
+    expect(console.log).toHaveBeenCalledWith('  Level 2, batch 3/3 (1 summary)...');
+
+    const outputFile = path.join(tmpDir, 'report.txt');
+    await saveReductionToFile(levels, outputFile, 'Find themes');
+    const report = fs.readFileSync(outputFile, 'utf8');
+    expect(report).toMatch(/FINAL META-THEME REPORT\n-+\nS11/);
+    expect(report).toContain('LEVEL 1 - BATCH 5 (1 responses)');
+    expect(report).toContain('LEVEL 3 - BATCH 2 (1 summaries)');
+  });
+
+  it('should stop at a failed level and resume only the missing batches', async () => {
+    mockLmStudio({ failOn: [7] });
+
+    const first = await runReduction(provider, 'Find themes', batches, { reduceSize: 2, statePath, configHash: 'h' });
+    expect(first.complete).toBe(false);
+    expect(first.levels).toHaveLength(2);
+    expect(Object.keys(first.levels[1].items)).toEqual(['0', '2']);
+
+    prompts = [];
+    nock.cleanAll();
+    mockLmStudio();
+
+    const second = await runReduction(provider, 'Find themes', batches, { reduceSize: 2, statePath, configHash: 'h' });
+    expect(second.complete).toBe(true);
+    // Level 2 batch 2, then two level-3 groups and the final report
+    expect(prompts).toHaveLength(4);
+    expect(prompts[0]).toContain('Summary 1:\nS3');
+  });
+
+  it('should checkpoint plain batches and only redo failed ones on rerun', async () => {
+    const checkpoint = path.join(tmpDir, 'results_summary_batch2_checkpoint.json');
+    mockLmStudio({ failOn: [2, 4] });
+
+    const first = await summarizeBatches(provider, 'Find themes', batches, { statePath: checkpoint, configHash: 'h' });
+    expect(first.failed).toBe(2);
+    expect(first.summaries.map(s => s.summary)).toEqual(['S1', 'Error: LM Studio API error: 400 - {"error":"bad batch"}', 'S3', expect.stringMatching(/^Error:/), 'S5']);
+    expect(Object.keys(JSON.parse(fs.readFileSync(checkpoint, 'utf8')).levels[0].items)).toEqual(['0', '2', '4']);
+
+    nock.cleanAll();
+    mockLmStudio();
+    const second = await summarizeBatches(provider, 'Find themes', batches, { statePath: checkpoint, configHash: 'h' });
+    expect(second.failed).toBe(0);
+    expect(prompts).toHaveLength(7);
+    expect(prompts[5]).toContain('Response 1:\nr3');
+
+    // Nothing left to do: the report is rebuilt from the checkpoint alone
+    const third = await summarizeBatches(provider, 'Find themes', batches, { statePath: checkpoint, configHash: 'h' });
+    expect(prompts).toHaveLength(7);
+    expect(third.summaries.map(s => s.summary)).toEqual(['S1', 'S6', 'S3', 'S7', 'S5']);
+
+    const outputFile = path.join(tmpDir, 'report.txt');
+    await saveSummariesToFile(third.summaries, outputFile, 'Find themes');
+    expect(fs.readFileSync(outputFile, 'utf8')).toContain('BATCH 5 (1 responses)\n' + '-'.repeat(80) + '\nS5');
+  });
+
+  it('should send masked batches and keep restored summaries', async () => {
+    nock(LM_STUDIO)
+      .post('/v1/chat/completions')
+      .times(2)
+      .reply((uri, body) => {
+        prompts.push(body.messages[1].content);
+        return [200, { choices: [{ message: { content: `[PERSON_1] was praised (${prompts.length})` } }] }];
+      });
+    const pii = { session: createRedactor({ names: ['Jane Doe'] }).session(), tally: createRedactionTally() };
+    const checkpoint = path.join(tmpDir, 'results_summary_batch2_checkpoint.json');
+
+    const { summaries } = await summarizeBatches(provider, 'Find themes', [['Jane Doe helped', 'mail jane@example.com'], ['Thanks Jane Doe']], { statePath: checkpoint, configHash: 'h', pii });
+
+    expect(prompts[0]).toContain('Response 1:\n[PERSON_1] helped');
+    expect(prompts[0]).toContain('mail [EMAIL_1]');
+    expect(prompts[1]).toContain('Thanks [PERSON_1]');
+    expect(prompts.join('\n')).not.toContain('Jane');
+    expect(summaries.map(s => s.summary)).toEqual(['Jane Doe was praised (1)', 'Jane Doe was praised (2)']);
+    expect(pii.tally.entries()).toEqual([
+      { label: 'PERSON', masked: 2, records: 2 },
+      { label: 'EMAIL', masked: 1, records: 1 }
+    ]);
+  });
+
+  it('should plan batches and reduce levels, counting checkpointed batches as done', async () => {
+    const plan = planSummaries(batches, { prompt: 'Find themes', reduceSize: 2 });
+
+    // 5 batches -> 3 groups -> 2 groups -> 1 report
+    expect(plan.levels).toEqual([5, 3, 2, 1]);
+    expect(plan.requests).toBe(11);
+    expect(plan.outputTokens).toBe(11 * 2000);
+    expect(plan.batchTokens).toHaveLength(5);
+
+    mockLmStudio({ failOn: [2] });
+    const checkpoint = path.join(tmpDir, 'results_summary_batch2_checkpoint.json');
+    await summarizeBatches(provider, 'Find themes', batches, { statePath: checkpoint, configHash: 'h' });
+
+    const resumed = planSummaries(batches, { prompt: 'Find themes', state: JSON.parse(fs.readFileSync(checkpoint, 'utf8')) });
+    expect(resumed).toEqual(expect.objectContaining({ done: 4, requests: 1, levels: [5] }));
+    expect(resumed.inputTokens).toBeLessThan(plan.inputTokens);
+  });
+
+  it('should start over when the state was written with other settings', async () => {
+    mockLmStudio();
+    await runReduction(provider, 'Find themes', batches, { reduceSize: 2, statePath, configHash: 'h' });
+
+    prompts = [];
+    await runReduction(provider, 'Find themes', batches, { reduceSize: 2, statePath, configHash: 'other' });
+    expect(prompts).toHaveLength(11);
+  });
+});
+
+describe('summarize --max-tokens-per-batch', () => {
+  const words = (count, word = 'word') => Array(count).fill(word).join(' ');
+  const rows = (texts) => texts.map((text, index) => ({ row: index + 1, recordId: `a${index + 1}`, text }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('should pack responses greedily up to the token budget', () => {
+    // Each 40-char response is ~10 tokens plus per-item overhead
+    const text = 'x'.repeat(40);
+    const batches = packBatches(rows([text, text, text, text, text]), { maxTokens: 40 });
+
+    expect(batches.map(batch => batch.length)).toEqual([2, 2, 1]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('should also respect a response count limit', () => {
+    const batches = packBatches(rows(['a', 'b', 'c']), { maxTokens: 1000, maxItems: 2 });
+    expect(batches).toEqual([['a', 'b'], ['c']]);
+  });
+
+  it('should split a response over the budget and name its row', () => {
+    const long = `${words(60)}. ${words(60)}. ${words(60)}.`;
+    const batches = packBatches(rows(['short', long]), { maxTokens: 120 });
+
+    const parts = batches.flat().filter(item => item.startsWith('(part '));
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts[0]).toMatch(/^\(part 1\/\d\) word/);
+    batches.forEach(batch => {
+      expect(batch.reduce((sum, item) => sum + estimateTokens(item) + 8, 0)).toBeLessThanOrEqual(120);
+    });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Row 2 \(a2\) is ~\d+ tokens, over the 120-token batch budget/));
+  });
+
+  it('should read row numbers and record ids alongside responses', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+    const file = path.join(tmpDir, 'results.csv');
+    fs.writeFileSync(file, [
+      'Salesforce Record ID,Original Text,LM Studio Response',
+      'a1,text,themes one',
+      'a2,text,Error: timeout',
+      'a3,text,themes three'
+    ].join('\n') + '\n');
+
+    try {
+      expect(await readResponseRowsFromCSV(file)).toEqual([
+        { row: 1, recordId: 'a1', text: 'themes one' },
+        { row: 3, recordId: 'a3', text: 'themes three' }
+      ]);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should split text on paragraph and sentence boundaries before words', () => {
+    const paragraph = `${words(10, 'one')}. ${words(10, 'two')}.`;
+    const parts = splitTextByTokens(`${paragraph}\n\n${paragraph}`, 30);
+
+    expect(parts).toEqual([paragraph, paragraph]);
+    expect(splitTextByTokens(paragraph, 15)).toEqual([`${words(10, 'one')}.`, `${words(10, 'two')}.`]);
+    expect(splitTextByTokens('x'.repeat(10), 1)).toEqual(['xxxx', 'xxxx', 'xx']);
+  });
+
+  it('should look up context windows by model prefix', () => {
+    expect(contextWindowFor('gpt-4o-2024-08-06')).toBe(128000);
+    expect(contextWindowFor('gpt-4')).toBe(8192);
+    expect(contextWindowFor('llama3.1:8b')).toBe(131072);
+    expect(contextWindowFor('local-model')).toBe(8192);
+  });
+});
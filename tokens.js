@@ -0,0 +1,105 @@
+/**
+ * Rough token estimate for budgeting requests.
+ *
+ * Uses the common ~4 characters per token heuristic for English text; it is
+ * only used for rate limiting and batching, never for billing.
+ */
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+// Context windows (input + output tokens) for models we commonly point at.
+// Matched by prefix so dated variants (gpt-4o-2024-08-06) resolve too.
+const MODEL_CONTEXT_WINDOWS = [
+  ['gpt-5', 128000],
+  ['gpt-4.1', 128000],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4-32k', 32768],
+  ['gpt-4', 8192],
+  ['gpt-35-turbo', 16385],
+  ['gpt-3.5-turbo', 16385],
+  ['llama3.1', 131072],
+  ['llama3', 8192],
+  ['mistral', 32768],
+  ['qwen', 32768]
+];
+
+// LM Studio's "local-model" and unknown models get a conservative default
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+function contextWindowFor(model) {
+  const name = String(model || '').toLowerCase();
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+function formatTokenCount(tokens) {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+  return String(tokens);
+}
+
+/**
+ * Summary of a list of token counts for dry-run reports, e.g.
+ * "min 12, median 80, p90 310, max 2.4k (total 41.2k)".
+ */
+function describeTokenDistribution(counts) {
+  if (counts.length === 0) return 'none';
+  const sorted = [...counts].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  const total = sorted.reduce((sum, count) => sum + count, 0);
+  return `min ${formatTokenCount(sorted[0])}, median ${formatTokenCount(percentile(0.5))}, ` +
+    `p90 ${formatTokenCount(percentile(0.9))}, max ${formatTokenCount(sorted[sorted.length - 1])} (total ${formatTokenCount(total)})`;
+}
+
+/**
+ * Split text into pieces of at most maxTokens (estimated), preferring
+ * paragraph breaks, then sentence ends, then whitespace, and only cutting
+ * mid-word when a single word is longer than the budget.
+ */
+function splitTextByTokens(text, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  if (String(text).length <= maxChars) return [String(text)];
+
+  const separators = [/\n\s*\n/, /(?<=[.!?])\s+/, /\s+/];
+
+  const split = (piece, level) => {
+    if (piece.length <= maxChars) return [piece];
+    if (level >= separators.length) {
+      const parts = [];
+      for (let i = 0; i < piece.length; i += maxChars) {
+        parts.push(piece.substring(i, i + maxChars));
+      }
+      return parts;
+    }
+
+    const joiner = level === 0 ? '\n\n' : ' ';
+    const units = piece.split(separators[level]).filter(unit => unit.trim());
+    const parts = [];
+    let current = '';
+    units.forEach(unit => {
+      const candidate = current ? `${current}${joiner}${unit}` : unit;
+      if (candidate.length <= maxChars) {
+        current = candidate;
+        return;
+      }
+      if (current) parts.push(current);
+      if (unit.length > maxChars) {
+        parts.push(...split(unit, level + 1));
+        current = '';
+      } else {
+        current = unit;
+      }
+    });
+    if (current) parts.push(current);
+    return parts;
+  };
+
+  return split(String(text).trim(), 0);
+}
+
+module.exports = { estimateTokens, contextWindowFor, splitTextByTokens, formatTokenCount, describeTokenDistribution, DEFAULT_CONTEXT_WINDOW };
@@ -0,0 +1,131 @@
+const WINDOW_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ *
+ * items may be an array or any (async) iterable, so records streamed from
+ * disk are pulled one at a time instead of being loaded up front. Workers
+ * pull the next item as soon as they finish, so slow records don't hold up
+ * a whole batch. When shouldStop() returns true no new items are started,
+ * but in-flight ones are allowed to finish. If a worker (or the iterable)
+ * throws, the pool stops dispatching and rethrows the first error once
+ * everything in flight has settled.
+ */
+async function runWorkerPool(items, concurrency, worker, { shouldStop = () => false } = {}) {
+  const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+  let nextIndex = 0;
+  let exhausted = false;
+  let firstError = null;
+
+  const runWorker = async () => {
+    while (!exhausted && !firstError && !shouldStop()) {
+      let next;
+      try {
+        next = await iterator.next();
+      } catch (error) {
+        if (!firstError) firstError = error;
+        break;
+      }
+      if (next.done) {
+        exhausted = true;
+        break;
+      }
+
+      const index = nextIndex++;
+      try {
+        await worker(next.value, index);
+      } catch (error) {
+        if (!firstError) firstError = error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Array.isArray(items) ? Math.min(concurrency, items.length) : concurrency);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  // Let generators close any files they are reading when we stop early
+  if (!exhausted && typeof iterator.return === 'function') {
+    await iterator.return();
+  }
+
+  if (firstError) throw firstError;
+  return nextIndex;
+}
+
+/**
+ * Sliding one-minute window limiter for requests and tokens.
+ *
+ * acquire(estimatedTokens) resolves once the request fits in both budgets and
+ * returns a ticket; call ticket.settle(actualTokens) when the provider reports
+ * real usage so the window reflects what was actually spent. Callers are
+ * served in FIFO order. A single request larger than the whole token budget
+ * is let through on an empty window rather than blocking forever.
+ */
+function createRateLimiter({ requestsPerMinute, tokensPerMinute, now = Date.now, wait = sleep } = {}) {
+  const entries = [];
+  let queue = Promise.resolve();
+
+  const prune = (time) => {
+    while (entries.length > 0 && time - entries[0].time >= WINDOW_MS) {
+      entries.shift();
+    }
+  };
+
+  const usedTokens = () => entries.reduce((sum, entry) => sum + entry.tokens, 0);
+
+  const fits = (tokens) => {
+    if (requestsPerMinute && entries.length >= requestsPerMinute) return false;
+    if (tokensPerMinute && entries.length > 0 && usedTokens() + tokens > tokensPerMinute) return false;
+    return true;
+  };
+
+  const take = async (tokens) => {
+    for (;;) {
+      const time = now();
+      prune(time);
+      if (fits(tokens)) {
+        const entry = { time, tokens };
+        entries.push(entry);
+        return {
+          settle: (actualTokens) => {
+            if (typeof actualTokens === 'number') entry.tokens = actualTokens;
+          }
+        };
+      }
+      await wait(Math.max(1, entries[0].time + WINDOW_MS - time));
+    }
+  };
+
+  return {
+    acquire(estimatedTokens = 0) {
+      if (!requestsPerMinute && !tokensPerMinute) {
+        return Promise.resolve({ settle: () => {} });
+      }
+      const ticket = queue.then(() => take(estimatedTokens));
+      queue = ticket.catch(() => {});
+      return ticket;
+    }
+  };
+}
+
+/**
+ * Serialize async tasks so they run one at a time in submission order.
+ * Used to keep concurrent CSV appends from interleaving rows.
+ */
+function createSerialQueue() {
+  let tail = Promise.resolve();
+  return {
+    push(task) {
+      const result = tail.then(task);
+      tail = result.catch(() => {});
+      return result;
+    },
+    drain() {
+      return tail;
+    }
+  };
+}
+
+module.exports = { runWorkerPool, createRateLimiter, createSerialQueue };
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runWorkerPool, createRateLimiter, createSerialQueue } = require('./workerPool');
+const { appendResultsToCSV, getProcessedRecordIds } = require('./index');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runWorkerPool', () => {
+  it('should process every item without exceeding the concurrency limit', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const seen = [];
+
+    await runWorkerPool([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      seen.push(item);
+      active--;
+    });
+
+    expect(seen.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(maxActive).toBe(3);
+  });
+
+  it('should stop dispatching when asked and let in-flight work finish', async () => {
+    let stop = false;
+    const finished = [];
+
+    await runWorkerPool([1, 2, 3, 4, 5], 2, async (item) => {
+      if (item === 2) stop = true;
+      await delay(5);
+      finished.push(item);
+    }, { shouldStop: () => stop });
+
+    expect(finished.sort()).toEqual([1, 2]);
+  });
+
+  it('should rethrow the first worker error after in-flight work settles', async () => {
+    const finished = [];
+
+    await expect(runWorkerPool([1, 2, 3], 2, async (item) => {
+      if (item === 1) throw new Error('boom');
+      await delay(5);
+      finished.push(item);
+    })).rejects.toThrow('boom');
+
+    expect(finished).toEqual([2]);
+  });
+
+  it('should pull items from an async iterable one at a time and close it when stopped', async () => {
+    let produced = 0;
+    let closed = false;
+    async function* source() {
+      try {
+        for (let i = 1; i <= 100; i++) {
+          produced++;
+          yield i;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+
+    const seen = [];
+    let stop = false;
+    await runWorkerPool(source(), 2, async (item, index) => {
+      seen.push([item, index]);
+      if (item === 4) stop = true;
+      await delay(2);
+    }, { shouldStop: () => stop });
+
+    expect(seen.slice(0, 4)).toEqual([[1, 0], [2, 1], [3, 2], [4, 3]]);
+    expect(produced).toBeLessThan(10);
+    expect(closed).toBe(true);
+  });
+});
+
+describe('createRateLimiter', () => {
+  const fakeClock = () => {
+    const clock = { time: 0, waits: [] };
+    clock.now = () => clock.time;
+    clock.wait = async (ms) => {
+      clock.waits.push(ms);
+      clock.time += ms;
+    };
+    return clock;
+  };
+
+  it('should wait for the window to roll over once the request budget is spent', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 2, now: clock.now, wait: clock.wait });
+
+    await limiter.acquire();
+    clock.time = 1000;
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(clock.waits).toEqual([59000]);
+  });
+
+  it('should budget tokens and account for settled usage', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 1000, now: clock.now, wait: clock.wait });
+
+    const ticket = await limiter.acquire(900);
+    ticket.settle(100);
+    await limiter.acquire(800);
+    expect(clock.waits).toEqual([]);
+
+    await limiter.acquire(500);
+    expect(clock.waits).toEqual([60000]);
+  });
+
+  it('should let an oversized request through on an empty window', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 100, now: clock.now, wait: clock.wait });
+
+    await limiter.acquire(5000);
+    expect(clock.waits).toEqual([]);
+  });
+});
+
+describe('concurrent CSV appends', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meta-themes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write one header and every row when appends go through a serial queue', async () => {
+    const outputFile = path.join(tmpDir, 'results.csv');
+    const queue = createSerialQueue();
+    const ids = Array.from({ length: 25 }, (_, i) => `a0X${String(i).padStart(3, '0')}`);
+
+    await runWorkerPool(ids, 5, async (id) => {
+      await delay(Math.random() * 5);
+      await queue.push(() => appendResultsToCSV([{
+        recordId: id,
+        Filter__c: id,
+        originalText: 'text, with "quotes"\nand newlines',
+        response: 'themes'
+      }], outputFile, 'Filter__c', true));
+    });
+
+    const content = fs.readFileSync(outputFile, 'utf8');
+    expect(content.match(/Salesforce Record ID/g)).toHaveLength(1);
+
+    const processed = await getProcessedRecordIds(outputFile);
+    expect([...processed].sort()).toEqual(ids);
+  });
+});